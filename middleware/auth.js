@@ -1,6 +1,7 @@
 import { fromNodeHeaders } from "better-auth/node";
 import { auth } from "../auth.js"; // Your Better Auth instance
 import { PrismaClient } from '@prisma/client';
+import { createForbiddenResponse } from '../utils/responses.js';
 
 const prisma = new PrismaClient();
 
@@ -41,6 +42,25 @@ export async function authMiddleware(req, res, next) {
   }
 }
 
+// Moderator-only routes (use after authMiddleware)
+export async function moderatorMiddleware(req, res, next) {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { role: true }
+    });
+
+    if (!user || user.role !== 'MODERATOR') {
+      return res.status(403).json(createForbiddenResponse('Moderator access required'));
+    }
+
+    next();
+  } catch (error) {
+    console.error('Moderator middleware error:', error);
+    res.status(500).json({ error: 'Authorization failed' });
+  }
+}
+
 // Optional auth middleware (doesn't block if no auth)
 export async function optionalAuthMiddleware(req, res, next) {
   try {
@@ -0,0 +1,92 @@
+// middleware/idempotency.js
+import crypto from 'crypto';
+import fs from 'fs';
+import { IdempotencyService } from '../services/idempotencyService.js';
+import { createErrorResponse, createConflictResponse } from '../utils/responses.js';
+
+const MAX_KEY_LENGTH = 255;
+
+// Fingerprint of the request a key was first used for; uploads are compared by name and size
+function hashRequest(req) {
+  const files = (req.files || []).map(file => [file.fieldname, file.originalname, file.size]);
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([req.method, req.originalUrl, req.body || {}, files]))
+    .digest('hex');
+}
+
+// Uploads of a request that is not run again would never be referenced
+function discardUploads(req) {
+  for (const file of req.files || []) {
+    fs.unlink(file.path, () => {});
+  }
+}
+
+/**
+ * Idempotency-Key support for POST/PUT/PATCH routes (use after authMiddleware and any upload middleware)
+ * The first successful response per user and key is stored and replayed for retries with the same key.
+ * Failed requests release the key so a retry runs again. Requests without the header are unaffected.
+ */
+export async function idempotencyMiddleware(req, res, next) {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    discardUploads(req);
+    return res.status(400).json(createErrorResponse(
+      `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`, null, 400, 'INVALID_IDEMPOTENCY_KEY'
+    ));
+  }
+
+  try {
+    const requestHash = hashRequest(req);
+    const { record, created } = await IdempotencyService.claimKey(req.user.id, key, {
+      method: req.method,
+      path: req.originalUrl,
+      requestHash
+    });
+
+    if (!created) {
+      discardUploads(req);
+
+      if (record && record.request_hash !== requestHash) {
+        return res.status(422).json(createErrorResponse(
+          'Idempotency-Key was already used for a different request', null, 422, 'IDEMPOTENCY_KEY_REUSED'
+        ));
+      }
+
+      if (!record || record.response_status === null) {
+        return res.status(409).json(createConflictResponse(
+          'A request with this Idempotency-Key is still being processed, please try again'
+        ));
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.response_status).json(record.response_body);
+    }
+
+    // Store the response before sending it, so a retry after it arrives is always replayed
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      const update = res.statusCode < 400
+        ? IdempotencyService.saveResponse(record.id, res.statusCode, body)
+        : IdempotencyService.releaseKey(record.id);
+
+      update
+        .catch(error => console.error('Idempotency key update failed:', error))
+        .finally(() => sendJson(body));
+
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    console.error('Idempotency middleware error:', error);
+    discardUploads(req);
+    res.status(500).json(createErrorResponse('Idempotency check failed'));
+  }
+}
@@ -0,0 +1,16 @@
+-- Full-text search column of items, run after every `prisma db push` (npm run db:push does).
+--
+-- Prisma cannot declare generated columns, so the schema declares search_vector as a nullable
+-- tsvector and db push creates it as a plain column. This script replaces that column with the
+-- generated one, maintained by Postgres and weighting title (A) over category (B) and
+-- description (C). Dropping the column drops its GIN index too, so the index is recreated under
+-- the name db push gives it. Safe to run again: the column is rebuilt from the item text.
+
+ALTER TABLE "items" DROP COLUMN IF EXISTS "search_vector";
+ALTER TABLE "items" ADD COLUMN "search_vector" tsvector GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', coalesce("title", '')), 'A') ||
+  setweight(to_tsvector('english', coalesce("category", '')), 'B') ||
+  setweight(to_tsvector('english', coalesce("description", '')), 'C')
+) STORED;
+
+CREATE INDEX IF NOT EXISTS "items_search_vector_idx" ON "items" USING GIN ("search_vector");
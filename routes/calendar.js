@@ -0,0 +1,68 @@
+// routes/calendar.js
+import express from 'express';
+import { authMiddleware } from '../middleware/auth.js';
+import { idempotencyMiddleware } from '../middleware/idempotency.js';
+
+// Import validation middleware
+import { 
+  createSuccessResponse,
+  createErrorResponse,
+  createNotFoundResponse
+} from '../validation/validationMiddleware.js';
+
+// Import service layer
+import { CalendarService } from '../services/calendarService.js';
+
+const router = express.Router();
+
+function buildFeedUrl(req, token) {
+  return `${req.protocol}://${req.get('host')}/api/calendar/feed/${token}.ics`;
+}
+
+// Get the current user's private calendar feed URL
+router.get('/feed', 
+  authMiddleware,
+  async (req, res) => {
+    try {
+      const token = await CalendarService.getFeedToken(req.user.id);
+      res.json(createSuccessResponse({ url: buildFeedUrl(req, token) }));
+    } catch (error) {
+      console.error('Calendar feed URL error:', error);
+      res.status(500).json(createErrorResponse('Failed to get calendar feed'));
+    }
+  }
+);
+
+// Replace the calendar feed URL (the old URL stops working)
+router.post('/feed/rotate', 
+  authMiddleware,
+  idempotencyMiddleware,
+  async (req, res) => {
+    try {
+      const token = await CalendarService.rotateFeedToken(req.user.id);
+      res.json(createSuccessResponse({ url: buildFeedUrl(req, token) }, 'Calendar feed URL rotated'));
+    } catch (error) {
+      console.error('Calendar feed rotate error:', error);
+      res.status(500).json(createErrorResponse('Failed to rotate calendar feed'));
+    }
+  }
+);
+
+// Calendar feed of upcoming meetups (token-protected, no session needed)
+router.get('/feed/:token.ics', 
+  async (req, res) => {
+    try {
+      const calendar = await CalendarService.getFeedByToken(req.params.token);
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.send(calendar);
+    } catch (error) {
+      console.error('Calendar feed error:', error);
+      if (error.message === 'Calendar feed not found') {
+        return res.status(404).json(createNotFoundResponse('Calendar feed'));
+      }
+      res.status(500).json(createErrorResponse('Failed to build calendar feed'));
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,28 @@
+// routes/events.js
+import express from 'express';
+import { authMiddleware } from '../middleware/auth.js';
+
+// Import service layer
+import { RealtimeService } from '../services/realtimeService.js';
+
+const router = express.Router();
+
+// Open a Server-Sent Events stream for the current user
+// Browsers connect with: new EventSource('/api/events', { withCredentials: true })
+router.get('/', 
+  authMiddleware,
+  (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+
+    const unsubscribe = RealtimeService.subscribe(req.user.id, res);
+    req.on('close', unsubscribe);
+  }
+);
+
+export default router;
@@ -0,0 +1,133 @@
+// routes/giveaways.js
+import express from 'express';
+import { authMiddleware } from '../middleware/auth.js';
+import { idempotencyMiddleware } from '../middleware/idempotency.js';
+
+// Import validation middleware and schemas
+import {
+  validateBody,
+  validateParams,
+  createSuccessResponse,
+  createErrorResponse,
+  createConflictResponse
+} from '../validation/validationMiddleware.js';
+
+import { itemParamsSchema } from '../validation/itemValidation.js';
+
+import {
+  joinClaimQueueSchema,
+  pickRecipientSchema
+} from '../validation/giveawayValidation.js';
+
+// Import service layer
+import { GiveawayService } from '../services/giveawayService.js';
+
+const router = express.Router();
+
+// Get the current user's giveaway claims
+router.get('/claims',
+  authMiddleware,
+  async (req, res) => {
+    try {
+      const claims = await GiveawayService.getUserClaims(req.user.id);
+      res.json(createSuccessResponse(claims));
+    } catch (error) {
+      console.error('Fetch giveaway claims error:', error);
+      res.status(500).json(createErrorResponse('Failed to fetch giveaway claims'));
+    }
+  }
+);
+
+// Get the claim queue of a giveaway (full queue for the owner, own position for others)
+router.get('/:itemId/claims',
+  authMiddleware,
+  validateParams(itemParamsSchema),
+  async (req, res) => {
+    try {
+      const queue = await GiveawayService.getQueue(req.params.itemId, req.user.id);
+      res.json(createSuccessResponse(queue));
+    } catch (error) {
+      console.error('Fetch claim queue error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createGiveawayErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Join the claim queue of a giveaway
+router.post('/:itemId/claims',
+  authMiddleware,
+  idempotencyMiddleware,
+  validateParams(itemParamsSchema),
+  validateBody(joinClaimQueueSchema),
+  async (req, res) => {
+    try {
+      const claim = await GiveawayService.joinQueue(req.params.itemId, req.user.id, req.body);
+      res.status(201).json(createSuccessResponse(claim, 'Joined the claim queue successfully'));
+    } catch (error) {
+      console.error('Join claim queue error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createGiveawayErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Leave the claim queue of a giveaway
+router.post('/:itemId/claims/withdraw',
+  authMiddleware,
+  idempotencyMiddleware,
+  validateParams(itemParamsSchema),
+  async (req, res) => {
+    try {
+      const result = await GiveawayService.leaveQueue(req.params.itemId, req.user.id);
+      res.json(createSuccessResponse(result, 'Left the claim queue successfully'));
+    } catch (error) {
+      console.error('Leave claim queue error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createGiveawayErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Pick the recipient (owner); the hand-off then runs as a trade
+router.post('/:itemId/pick',
+  authMiddleware,
+  idempotencyMiddleware,
+  validateParams(itemParamsSchema),
+  validateBody(pickRecipientSchema),
+  async (req, res) => {
+    try {
+      const result = await GiveawayService.pickRecipient(req.params.itemId, req.user.id, req.body);
+      res.json(createSuccessResponse(result, 'Recipient picked successfully'));
+    } catch (error) {
+      console.error('Pick giveaway recipient error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createGiveawayErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Helper function to determine status code from error message
+function getErrorStatusCode(errorMessage) {
+  if (errorMessage.includes('not found')) return 404;
+  if (errorMessage.includes('Access denied') || errorMessage.includes('can only')) return 403;
+  if (errorMessage.includes('changed by another action')) return 409;
+  if (errorMessage.includes('already') ||
+      errorMessage.includes('cannot') ||
+      errorMessage.includes('not listed') ||
+      errorMessage.includes('not available') ||
+      errorMessage.includes('no longer') ||
+      errorMessage.includes('No waiting claims')) return 400;
+  return 500;
+}
+
+// Concurrent picks get the CONFLICT error code so clients know to refresh the queue and retry
+function createGiveawayErrorResponse(error, statusCode) {
+  if (statusCode === 409) {
+    return createConflictResponse(error.message);
+  }
+
+  return createErrorResponse(error.message);
+}
+
+export default router;
@@ -6,7 +6,12 @@ import express from 'express';
 import userRoutes from './users.js';
 import itemRoutes from './items.js';
 import tradeRoutes from './trades.js';
+import loanRoutes from './loans.js';
+import giveawayRoutes from './giveaways.js';
+import wantedRoutes from './wanted.js';
 import ratingRoutes from './ratings.js';
+import eventRoutes from './events.js';
+import calendarRoutes from './calendar.js';
 // Uncomment when auth routes are ready
 // import authRoutes from './auth.js';
 
@@ -15,7 +20,12 @@ const router = express.Router();
 router.use('/users', userRoutes);
 router.use('/items', itemRoutes);
 router.use('/trades', tradeRoutes);
+router.use('/loans', loanRoutes);
+router.use('/giveaways', giveawayRoutes);
+router.use('/wanted', wantedRoutes);
 router.use('/ratings', ratingRoutes);
+router.use('/events', eventRoutes);
+router.use('/calendar', calendarRoutes);
 console.log('API routes initialized');
 
 // Uncomment when auth routes are ready
@@ -4,6 +4,7 @@ import express from 'express';
 import multer from 'multer';
 import path from 'path';
 import { authMiddleware, optionalAuthMiddleware } from '../middleware/auth.js';
+import { idempotencyMiddleware } from '../middleware/idempotency.js';
 import { v4 as uuidv4 } from 'uuid';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
@@ -17,8 +18,11 @@ import {
   validateAuth,
   createSuccessResponse,
   createErrorResponse,
+  createPaginatedResponse,
   createServerErrorResponse,
   createNotFoundResponse,
+  createForbiddenResponse,
+  createConflictResponse,
   SUCCESS_MESSAGES,
   ERROR_MESSAGES
 } from '../validation/validationMiddleware.js';
@@ -27,12 +31,14 @@ import {
   createItemSchema,
   updateItemSchema,
   itemQuerySchema,
+  nearbyItemsQuerySchema,
   statusUpdateSchema,
   itemParamsSchema
 } from '../validation/itemValidation.js';
 
 // Import service layer
 import { ItemService } from '../services/itemService.js';
+import { WantedService } from '../services/wantedService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -70,13 +76,20 @@ const upload = multer({
   }
 });
 
-// Get all items (marketplace)
+// Search the marketplace (filtered, sorted and paginated by page or, for newest/oldest, by cursor)
 router.get('/', 
   optionalAuthMiddleware,
+  validateQuery(itemQuerySchema),
   async (req, res) => {
     try {
-      const result = await ItemService.getAllItems(req.user?.id);
-      res.json(createSuccessResponse(result, SUCCESS_MESSAGES.RETRIEVED));
+      const { cursor, page, limit } = req.query;
+      const { items, total, nextCursor } = await ItemService.getAllItems(req.user?.id, req.query);
+
+      if (cursor) {
+        return res.json(createSuccessResponse(items, SUCCESS_MESSAGES.RETRIEVED, { nextCursor }));
+      }
+
+      res.json(createPaginatedResponse(items, page, limit, total, SUCCESS_MESSAGES.RETRIEVED, nextCursor));
     } catch (error) {
       console.error('Items fetch error:', error);
       res.status(500).json(createServerErrorResponse(ERROR_MESSAGES.OPERATION_FAILED, error));
@@ -84,6 +97,22 @@ router.get('/',
   }
 );
 
+// Find items within a radius of a location, nearest first
+router.get('/nearby', 
+  optionalAuthMiddleware,
+  validateQuery(nearbyItemsQuerySchema),
+  async (req, res) => {
+    try {
+      const { page, limit } = req.query;
+      const { items, total } = await ItemService.getNearbyItems(req.user?.id, req.query);
+      res.json(createPaginatedResponse(items, page, limit, total, SUCCESS_MESSAGES.RETRIEVED));
+    } catch (error) {
+      console.error('Nearby items fetch error:', error);
+      res.status(500).json(createServerErrorResponse(ERROR_MESSAGES.OPERATION_FAILED, error));
+    }
+  }
+);
+
 // Get single item with trade requests
 router.get('/:itemId', 
   optionalAuthMiddleware,
@@ -106,6 +135,7 @@ router.get('/:itemId',
 router.post('/', 
   authMiddleware,
   upload.array('images', 5),
+  idempotencyMiddleware,
   validateFiles({ maxFiles: 5, required: false }),
   validateBody(createItemSchema),
   (req, res, next) => {
@@ -121,6 +151,11 @@ router.post('/',
       
       const item = await ItemService.createItem(itemData, req.user.id);
       res.status(201).json(createSuccessResponse(item, SUCCESS_MESSAGES.ITEM_CREATED));
+
+      // Let users whose wanted items match know, without holding up the response
+      WantedService.notifyMatches(item.id).catch(error => {
+        console.error('Wanted match notification error:', error);
+      });
     } catch (error) {
       console.error('Item creation error:', error);
       res.status(500).json(createServerErrorResponse(ERROR_MESSAGES.OPERATION_FAILED, error));
@@ -133,6 +168,7 @@ router.put('/:itemId',
   authMiddleware,
   validateParams(itemParamsSchema),
   upload.array('newImages', 5),
+  idempotencyMiddleware,
   validateFiles({ maxFiles: 5, required: false }),
   validateBody(updateItemSchema),
   async (req, res) => {
@@ -149,6 +185,9 @@ router.put('/:itemId',
       if (error.message === 'Item not found or access denied') {
         return res.status(404).json(createNotFoundResponse('Item'));
       }
+      if (error.message.startsWith('Cannot change the listing type')) {
+        return res.status(400).json(createErrorResponse(error.message));
+      }
       res.status(500).json(createServerErrorResponse(ERROR_MESSAGES.OPERATION_FAILED, error));
     }
   }
@@ -170,6 +209,9 @@ router.delete('/:itemId',
       if (error.message === 'Cannot delete item with pending trade requests') {
         return res.status(400).json(createErrorResponse(ERROR_MESSAGES.CANNOT_DELETE));
       }
+      if (error.message === 'Cannot delete item with open loans') {
+        return res.status(400).json(createErrorResponse(error.message));
+      }
       res.status(500).json(createServerErrorResponse(ERROR_MESSAGES.OPERATION_FAILED, error));
     }
   }
@@ -189,17 +231,45 @@ router.get('/meta/categories', async (req, res) => {
 // Toggle item status (available/removed)
 router.patch('/:itemId/status', 
   authMiddleware,
+  idempotencyMiddleware,
   validateParams(itemParamsSchema),
   validateBody(statusUpdateSchema),
   async (req, res) => {
     try {
-      const item = await ItemService.updateItemStatus(req.params.itemId, req.body.status, req.user.id);
+      const item = await ItemService.updateItemStatus(req.params.itemId, req.user.id, req.body.status);
       res.json(createSuccessResponse(item, SUCCESS_MESSAGES.ITEM_STATUS_UPDATED));
     } catch (error) {
       console.error('Status update error:', error);
       if (error.message === 'Item not found or access denied') {
         return res.status(404).json(createNotFoundResponse('Item'));
       }
+      if (error.message.includes('cannot move from') || error.message.startsWith('Cannot remove item')) {
+        return res.status(400).json(createErrorResponse(error.message));
+      }
+      if (error.message.includes('changed by another action')) {
+        return res.status(409).json(createConflictResponse(error.message));
+      }
+      res.status(500).json(createServerErrorResponse(ERROR_MESSAGES.OPERATION_FAILED, error));
+    }
+  }
+);
+
+// Public wanted posts of other users that an item satisfies (owner only)
+router.get('/:itemId/wanted-matches', 
+  authMiddleware,
+  validateParams(itemParamsSchema),
+  async (req, res) => {
+    try {
+      const result = await WantedService.getItemMatches(req.params.itemId, req.user.id);
+      res.json(createSuccessResponse(result, SUCCESS_MESSAGES.RETRIEVED));
+    } catch (error) {
+      console.error('Wanted matches fetch error:', error);
+      if (error.message === 'Item not found') {
+        return res.status(404).json(createNotFoundResponse('Item'));
+      }
+      if (error.message.includes('can only')) {
+        return res.status(403).json(createForbiddenResponse(error.message));
+      }
       res.status(500).json(createServerErrorResponse(ERROR_MESSAGES.OPERATION_FAILED, error));
     }
   }
@@ -0,0 +1,181 @@
+// routes/loans.js
+import express from 'express';
+import { authMiddleware } from '../middleware/auth.js';
+import { idempotencyMiddleware } from '../middleware/idempotency.js';
+
+// Import validation middleware and schemas
+import {
+  validateBody,
+  validateParams,
+  validateQuery,
+  createSuccessResponse,
+  createErrorResponse,
+  createConflictResponse,
+  loanIdParamSchema
+} from '../validation/validationMiddleware.js';
+
+import {
+  createLoanSchema,
+  userLoansQuerySchema
+} from '../validation/loanValidation.js';
+
+// Import service layer
+import { LoanService } from '../services/loanService.js';
+
+const router = express.Router();
+
+// Request to borrow an item listed for lending
+router.post('/',
+  authMiddleware,
+  idempotencyMiddleware,
+  validateBody(createLoanSchema),
+  async (req, res) => {
+    try {
+      const loan = await LoanService.requestLoan(req.user.id, req.body);
+      res.status(201).json(createSuccessResponse(loan, 'Loan requested successfully'));
+    } catch (error) {
+      console.error('Loan request error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createLoanErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Get the user's loans as lender and/or borrower
+router.get('/',
+  authMiddleware,
+  validateQuery(userLoansQuerySchema),
+  async (req, res) => {
+    try {
+      const loans = await LoanService.getUserLoans(req.user.id, req.query);
+      res.json(createSuccessResponse(loans));
+    } catch (error) {
+      console.error('Fetch loans error:', error);
+      res.status(500).json(createErrorResponse('Failed to fetch loans'));
+    }
+  }
+);
+
+// Get a loan with its status timeline
+router.get('/:loanId',
+  authMiddleware,
+  validateParams(loanIdParamSchema),
+  async (req, res) => {
+    try {
+      const loan = await LoanService.getLoan(req.params.loanId, req.user.id);
+      res.json(createSuccessResponse(loan));
+    } catch (error) {
+      console.error('Fetch loan error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createLoanErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Approve a loan request (lender); overlapping pending requests are rejected
+router.post('/:loanId/approve',
+  authMiddleware,
+  idempotencyMiddleware,
+  validateParams(loanIdParamSchema),
+  async (req, res) => {
+    try {
+      const loan = await LoanService.approveLoan(req.params.loanId, req.user.id);
+      res.json(createSuccessResponse(loan, 'Loan approved successfully'));
+    } catch (error) {
+      console.error('Approve loan error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createLoanErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Reject a loan request (lender)
+router.post('/:loanId/reject',
+  authMiddleware,
+  idempotencyMiddleware,
+  validateParams(loanIdParamSchema),
+  async (req, res) => {
+    try {
+      const loan = await LoanService.rejectLoan(req.params.loanId, req.user.id);
+      res.json(createSuccessResponse(loan, 'Loan rejected successfully'));
+    } catch (error) {
+      console.error('Reject loan error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createLoanErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Cancel a loan before the item is handed over (lender or borrower)
+router.post('/:loanId/cancel',
+  authMiddleware,
+  idempotencyMiddleware,
+  validateParams(loanIdParamSchema),
+  async (req, res) => {
+    try {
+      const loan = await LoanService.cancelLoan(req.params.loanId, req.user.id);
+      res.json(createSuccessResponse(loan, 'Loan cancelled successfully'));
+    } catch (error) {
+      console.error('Cancel loan error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createLoanErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Hand the item over to the borrower (lender); the item becomes LENT
+router.post('/:loanId/handover',
+  authMiddleware,
+  idempotencyMiddleware,
+  validateParams(loanIdParamSchema),
+  async (req, res) => {
+    try {
+      const loan = await LoanService.handOverLoan(req.params.loanId, req.user.id);
+      res.json(createSuccessResponse(loan, 'Item handed over successfully'));
+    } catch (error) {
+      console.error('Loan handover error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createLoanErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Confirm the item was returned (lender); the item is available again
+router.post('/:loanId/return',
+  authMiddleware,
+  idempotencyMiddleware,
+  validateParams(loanIdParamSchema),
+  async (req, res) => {
+    try {
+      const loan = await LoanService.confirmReturn(req.params.loanId, req.user.id);
+      res.json(createSuccessResponse(loan, 'Return confirmed successfully'));
+    } catch (error) {
+      console.error('Loan return error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createLoanErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Helper function to determine status code from error message
+function getErrorStatusCode(errorMessage) {
+  if (errorMessage.includes('not found')) return 404;
+  if (errorMessage.includes('Access denied') || errorMessage.includes('can only')) return 403;
+  if (errorMessage.includes('changed by another action')) return 409;
+  if (errorMessage.includes('already') ||
+      errorMessage.includes('cannot') ||
+      errorMessage.includes('must be') ||
+      errorMessage.includes('not available')) return 400;
+  return 500;
+}
+
+// Concurrent changes get the CONFLICT error code so clients know to refresh the loan and retry
+function createLoanErrorResponse(error, statusCode) {
+  if (statusCode === 409) {
+    return createConflictResponse(error.message);
+  }
+
+  return createErrorResponse(error.message);
+}
+
+export default router;
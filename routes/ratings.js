@@ -1,6 +1,7 @@
 // routes/ratings.js
 import express from 'express';
 import { authMiddleware } from '../middleware/auth.js';
+import { idempotencyMiddleware } from '../middleware/idempotency.js';
 
 // Import validation middleware and schemas
 import { 
@@ -11,7 +12,9 @@ import {
   createErrorResponse,
   idParamSchema,
   userIdParamSchema,
-  paginationSchema
+  paginationSchema,
+  cursorPaginationSchema,
+  SUCCESS_MESSAGES
 } from '../validation/validationMiddleware.js';
 
 import {
@@ -28,6 +31,7 @@ const router = express.Router();
 // Create a new rating
 router.post('/', 
   authMiddleware,
+  idempotencyMiddleware,
   validateBody(createRatingSchema),
   async (req, res) => {
     try {
@@ -44,6 +48,7 @@ router.post('/',
 // Update a rating
 router.put('/:ratingId', 
   authMiddleware,
+  idempotencyMiddleware,
   validateParams(idParamSchema),
   validateBody(updateRatingSchema),
   async (req, res) => {
@@ -77,10 +82,11 @@ router.delete('/:ratingId',
 // Get ratings for a user (received by default)
 router.get('/user/:userId', 
   validateParams(userIdParamSchema),
+  validateQuery(cursorPaginationSchema),
   async (req, res) => {
     try {
-      const result = await RatingService.getUserRatings(req.params.userId, 'received');
-      res.json(createSuccessResponse(result));
+      const { nextCursor, ...result } = await RatingService.getUserRatings(req.params.userId, 'received', req.query);
+      res.json(createSuccessResponse(result, SUCCESS_MESSAGES.RETRIEVED, { nextCursor }));
     } catch (error) {
       console.error('User ratings fetch error:', error);
       res.status(500).json(createErrorResponse('Failed to fetch user ratings'));
@@ -102,7 +108,7 @@ router.get('/user/:userId/stats',
   }
 );
 
-// Get pending ratings (trades that can be rated by current user)
+// Get pending ratings (completed trades and returned loans the current user can rate)
 router.get('/pending', 
   authMiddleware,
   validateQuery(paginationSchema),
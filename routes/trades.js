@@ -1,32 +1,111 @@
 // routes/trades.js
 import express from 'express';
-import { authMiddleware } from '../middleware/auth.js';
+import multer from 'multer';
+import path from 'path';
+import fs from 'fs';
+import { v4 as uuidv4 } from 'uuid';
+import { fileURLToPath } from 'url';
+import { authMiddleware, moderatorMiddleware } from '../middleware/auth.js';
+import { idempotencyMiddleware } from '../middleware/idempotency.js';
 
 // Import validation middleware and schemas
 import { 
   validateBody, 
   validateParams, 
   validateQuery,
+  validateFiles,
   createSuccessResponse,
   createErrorResponse,
+  createConflictResponse,
+  createPaginatedResponse,
   idParamSchema,
-  tradeIdParamSchema
+  tradeIdParamSchema,
+  cycleIdParamSchema,
+  cursorPaginationSchema,
+  SUCCESS_MESSAGES
 } from '../validation/validationMiddleware.js';
 
 import {
   createTradeSchema,
+  counterOfferSchema,
+  completeTradeSchema,
   tradeStatusSchema,
-  userTradesQuerySchema
+  userTradesQuerySchema,
+  receivedRequestsQuerySchema
 } from '../validation/tradeValidation.js';
 
+import { sendMessageSchema } from '../validation/messageValidation.js';
+
+import {
+  openDisputeSchema,
+  resolveDisputeSchema,
+  disputeQuerySchema,
+  disputeParamsSchema
+} from '../validation/disputeValidation.js';
+
+import {
+  proposeMeetupSchema,
+  acceptMeetupSchema,
+  meetupParamsSchema
+} from '../validation/meetupValidation.js';
+
 // Import service layer
 import { TradeService } from '../services/tradeService.js';
+import { MessageService } from '../services/messageService.js';
+import { MeetupService } from '../services/meetupService.js';
+import { CalendarService } from '../services/calendarService.js';
+import { TradeCycleService } from '../services/tradeCycleService.js';
+import { DisputeService } from '../services/disputeService.js';
+import { HandoverService } from '../services/handoverService.js';
+import { renderReceiptHtml, renderReceiptPdf } from '../utils/tradeReceipt.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
 
 const router = express.Router();
 
+// Configure multer for dispute evidence photos
+const evidenceStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const uploadPath = path.join(__dirname, '..', 'uploads', 'disputes');
+    if (!fs.existsSync(uploadPath)) {
+      fs.mkdirSync(uploadPath, { recursive: true });
+    }
+    cb(null, uploadPath);
+  },
+  filename: (req, file, cb) => {
+    const uniqueName = `${uuidv4()}${path.extname(file.originalname)}`;
+    cb(null, uniqueName);
+  }
+});
+
+// Evidence photos of a dispute that could not be opened or added to would never be referenced
+function discardEvidence(files = []) {
+  for (const file of files) {
+    fs.unlink(file.path, () => {});
+  }
+}
+
+const evidenceUpload = multer({
+  storage: evidenceStorage,
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|webp/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed'));
+    }
+  }
+});
+
 // Create trade request
 router.post('/request', 
   authMiddleware,
+  idempotencyMiddleware,
   validateBody(createTradeSchema),
   async (req, res) => {
     try {
@@ -35,7 +114,23 @@ router.post('/request',
     } catch (error) {
       console.error('Trade request error:', error);
       const statusCode = getErrorStatusCode(error.message);
-      res.status(statusCode).json(createErrorResponse(error.message));
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Preview a trade request: validates the items and returns the offer's match likelihood
+router.post('/request/preview', 
+  authMiddleware,
+  validateBody(createTradeSchema),
+  async (req, res) => {
+    try {
+      const preview = await TradeService.previewTradeRequest(req.body, req.user.id);
+      res.json(createSuccessResponse(preview, 'Trade request preview generated successfully'));
+    } catch (error) {
+      console.error('Trade request preview error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
     }
   }
 );
@@ -43,6 +138,7 @@ router.post('/request',
 // Accept trade request
 router.post('/accept/:requestId', 
   authMiddleware,
+  idempotencyMiddleware,
   validateParams(idParamSchema),
   async (req, res) => {
     try {
@@ -51,7 +147,7 @@ router.post('/accept/:requestId',
     } catch (error) {
       console.error('Accept trade error:', error);
       const statusCode = getErrorStatusCode(error.message);
-      res.status(statusCode).json(createErrorResponse(error.message));
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
     }
   }
 );
@@ -59,6 +155,7 @@ router.post('/accept/:requestId',
 // Reject trade request
 router.post('/reject/:requestId', 
   authMiddleware,
+  idempotencyMiddleware,
   validateParams(idParamSchema),
   async (req, res) => {
     try {
@@ -67,7 +164,58 @@ router.post('/reject/:requestId',
     } catch (error) {
       console.error('Reject trade error:', error);
       const statusCode = getErrorStatusCode(error.message);
-      res.status(statusCode).json(createErrorResponse(error.message));
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Withdraw a trade request (requester, or the owner for their own counter-offer)
+router.post('/withdraw/:requestId', 
+  authMiddleware,
+  idempotencyMiddleware,
+  validateParams(idParamSchema),
+  async (req, res) => {
+    try {
+      await TradeService.withdrawTradeRequest(req.params.requestId, req.user.id);
+      res.json(createSuccessResponse(null, 'Trade request withdrawn successfully'));
+    } catch (error) {
+      console.error('Withdraw trade request error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Counter a trade request with a new offer revision
+router.post('/requests/:requestId/counter', 
+  authMiddleware,
+  idempotencyMiddleware,
+  validateParams(idParamSchema),
+  validateBody(counterOfferSchema),
+  async (req, res) => {
+    try {
+      const counterOffer = await TradeService.counterTradeRequest(req.params.requestId, req.body, req.user.id);
+      res.status(201).json(createSuccessResponse(counterOffer, 'Counter-offer sent successfully'));
+    } catch (error) {
+      console.error('Counter-offer error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Get the negotiation thread of a trade request
+router.get('/requests/:requestId/negotiation', 
+  authMiddleware,
+  validateParams(idParamSchema),
+  async (req, res) => {
+    try {
+      const negotiation = await TradeService.getNegotiation(req.params.requestId, req.user.id);
+      res.json(createSuccessResponse(negotiation));
+    } catch (error) {
+      console.error('Fetch negotiation error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
     }
   }
 );
@@ -75,15 +223,20 @@ router.post('/reject/:requestId',
 // Complete trade
 router.post('/complete/:tradeId', 
   authMiddleware,
+  idempotencyMiddleware,
   validateParams(tradeIdParamSchema),
+  validateBody(completeTradeSchema),
   async (req, res) => {
     try {
-      const result = await TradeService.completeTrade(req.params.tradeId, req.user.id);
-      res.json(createSuccessResponse(result, 'Trade completed successfully'));
+      const result = await TradeService.completeTrade(req.params.tradeId, req.user.id, req.body.handover_code);
+      const message = result.status === 'COMPLETED'
+        ? 'Trade completed successfully'
+        : 'Completion confirmed, waiting for the other party';
+      res.json(createSuccessResponse(result, message));
     } catch (error) {
       console.error('Complete trade error:', error);
       const statusCode = getErrorStatusCode(error.message);
-      res.status(statusCode).json(createErrorResponse(error.message));
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
     }
   }
 );
@@ -91,6 +244,7 @@ router.post('/complete/:tradeId',
 // Cancel trade
 router.post('/cancel/:tradeId', 
   authMiddleware,
+  idempotencyMiddleware,
   validateParams(tradeIdParamSchema),
   async (req, res) => {
     try {
@@ -99,7 +253,7 @@ router.post('/cancel/:tradeId',
     } catch (error) {
       console.error('Cancel trade error:', error);
       const statusCode = getErrorStatusCode(error.message);
-      res.status(statusCode).json(createErrorResponse(error.message));
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
     }
   }
 );
@@ -107,10 +261,11 @@ router.post('/cancel/:tradeId',
 // Get user's trades
 router.get('/my-trades', 
   authMiddleware,
+  validateQuery(cursorPaginationSchema),
   async (req, res) => {
     try {
-      const trades = await TradeService.getUserTrades(req.user.id);
-      res.json(createSuccessResponse(trades));
+      const { trades, nextCursor } = await TradeService.getUserTrades(req.user.id, req.query);
+      res.json(createSuccessResponse(trades, SUCCESS_MESSAGES.RETRIEVED, { nextCursor }));
     } catch (error) {
       console.error('Fetch trades error:', error);
       res.status(500).json(createErrorResponse('Failed to fetch trades'));
@@ -121,10 +276,11 @@ router.get('/my-trades',
 // Get trade requests for user's items
 router.get('/requests/received', 
   authMiddleware,
+  validateQuery(receivedRequestsQuerySchema),
   async (req, res) => {
     try {
-      const requests = await TradeService.getReceivedRequests(req.user.id);
-      res.json(createSuccessResponse(requests));
+      const { requests, nextCursor } = await TradeService.getReceivedRequests(req.user.id, req.query);
+      res.json(createSuccessResponse(requests, SUCCESS_MESSAGES.RETRIEVED, { nextCursor }));
     } catch (error) {
       console.error('Fetch received requests error:', error);
       res.status(500).json(createErrorResponse('Failed to fetch trade requests'));
@@ -135,10 +291,11 @@ router.get('/requests/received',
 // Get trade requests made by user
 router.get('/requests/sent', 
   authMiddleware,
+  validateQuery(cursorPaginationSchema),
   async (req, res) => {
     try {
-      const requests = await TradeService.getSentRequests(req.user.id);
-      res.json(createSuccessResponse(requests));
+      const { requests, nextCursor } = await TradeService.getSentRequests(req.user.id, req.query);
+      res.json(createSuccessResponse(requests, SUCCESS_MESSAGES.RETRIEVED, { nextCursor }));
     } catch (error) {
       console.error('Fetch sent requests error:', error);
       res.status(500).json(createErrorResponse('Failed to fetch sent requests'));
@@ -173,15 +330,539 @@ router.get('/completed/:userId',
   }
 );
 
+// Get the trade cycles (3- and 4-way swaps) the user takes part in
+router.get('/cycles', 
+  authMiddleware,
+  async (req, res) => {
+    try {
+      const cycles = await TradeCycleService.getUserCycles(req.user.id);
+      res.json(createSuccessResponse(cycles));
+    } catch (error) {
+      console.error('Fetch trade cycles error:', error);
+      res.status(500).json(createErrorResponse('Failed to fetch trade cycles'));
+    }
+  }
+);
+
+// Get a trade cycle with its status timeline
+router.get('/cycles/:cycleId', 
+  authMiddleware,
+  validateParams(cycleIdParamSchema),
+  async (req, res) => {
+    try {
+      const cycle = await TradeCycleService.getCycle(req.params.cycleId, req.user.id);
+      res.json(createSuccessResponse(cycle));
+    } catch (error) {
+      console.error('Fetch trade cycle error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Accept a proposed trade cycle (items are reserved once everyone accepted)
+router.post('/cycles/:cycleId/accept', 
+  authMiddleware,
+  idempotencyMiddleware,
+  validateParams(cycleIdParamSchema),
+  async (req, res) => {
+    try {
+      const cycle = await TradeCycleService.acceptCycle(req.params.cycleId, req.user.id);
+      const message = cycle.status === 'ACCEPTED'
+        ? 'Trade cycle accepted by every participant'
+        : 'Trade cycle accepted, waiting for the other participants';
+      res.json(createSuccessResponse(cycle, message));
+    } catch (error) {
+      console.error('Accept trade cycle error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Decline a proposed trade cycle
+router.post('/cycles/:cycleId/decline', 
+  authMiddleware,
+  idempotencyMiddleware,
+  validateParams(cycleIdParamSchema),
+  async (req, res) => {
+    try {
+      const cycle = await TradeCycleService.declineCycle(req.params.cycleId, req.user.id);
+      res.json(createSuccessResponse(cycle, 'Trade cycle declined'));
+    } catch (error) {
+      console.error('Decline trade cycle error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Cancel a trade cycle
+router.post('/cycles/:cycleId/cancel', 
+  authMiddleware,
+  idempotencyMiddleware,
+  validateParams(cycleIdParamSchema),
+  async (req, res) => {
+    try {
+      const cycle = await TradeCycleService.cancelCycle(req.params.cycleId, req.user.id);
+      res.json(createSuccessResponse(cycle, 'Trade cycle cancelled successfully'));
+    } catch (error) {
+      console.error('Cancel trade cycle error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Get the dispute queue (moderators only)
+router.get('/disputes', 
+  authMiddleware,
+  moderatorMiddleware,
+  validateQuery(disputeQuerySchema),
+  async (req, res) => {
+    try {
+      const { page, limit } = req.query;
+      const { disputes, total } = await DisputeService.getDisputes(req.query);
+      res.json(createPaginatedResponse(disputes, page, limit, total));
+    } catch (error) {
+      console.error('Fetch disputes error:', error);
+      res.status(500).json(createErrorResponse('Failed to fetch disputes'));
+    }
+  }
+);
+
+// Resolve a dispute (moderators only)
+router.post('/disputes/:disputeId/resolve', 
+  authMiddleware,
+  moderatorMiddleware,
+  idempotencyMiddleware,
+  validateParams(disputeParamsSchema),
+  validateBody(resolveDisputeSchema),
+  async (req, res) => {
+    try {
+      const dispute = await DisputeService.resolveDispute(req.params.disputeId, req.user.id, req.body);
+      res.json(createSuccessResponse(dispute, 'Dispute resolved successfully'));
+    } catch (error) {
+      console.error('Resolve dispute error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Open a dispute on a pending or recently completed trade (up to 5 evidence photos)
+router.post('/:tradeId/disputes', 
+  authMiddleware,
+  validateParams(tradeIdParamSchema),
+  evidenceUpload.array('evidence', 5),
+  idempotencyMiddleware,
+  validateFiles({ maxFiles: 5, required: false, allowedTypes: ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'] }),
+  validateBody(openDisputeSchema),
+  async (req, res) => {
+    try {
+      const dispute = await DisputeService.openDispute(req.params.tradeId, req.user.id, req.body, req.files || []);
+      res.status(201).json(createSuccessResponse(dispute, 'Dispute opened successfully'));
+    } catch (error) {
+      console.error('Open dispute error:', error);
+      discardEvidence(req.files);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Get the dispute of a trade and its resolution
+router.get('/:tradeId/dispute', 
+  authMiddleware,
+  validateParams(tradeIdParamSchema),
+  async (req, res) => {
+    try {
+      const dispute = await DisputeService.getTradeDispute(req.params.tradeId, req.user.id);
+      res.json(createSuccessResponse(dispute));
+    } catch (error) {
+      console.error('Fetch dispute error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Add evidence photos to the open dispute of a trade
+router.post('/:tradeId/dispute/evidence', 
+  authMiddleware,
+  validateParams(tradeIdParamSchema),
+  evidenceUpload.array('evidence', 5),
+  idempotencyMiddleware,
+  validateFiles({ maxFiles: 5, required: true, allowedTypes: ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'] }),
+  async (req, res) => {
+    try {
+      const dispute = await DisputeService.addEvidence(req.params.tradeId, req.user.id, req.files);
+      res.json(createSuccessResponse(dispute, 'Evidence added successfully'));
+    } catch (error) {
+      console.error('Add dispute evidence error:', error);
+      discardEvidence(req.files);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Get the conversation of a trade request
+router.get('/requests/:requestId/messages', 
+  authMiddleware,
+  validateParams(idParamSchema),
+  async (req, res) => {
+    try {
+      const result = await MessageService.getMessages({ requestId: req.params.requestId }, req.user.id);
+      res.json(createSuccessResponse(result));
+    } catch (error) {
+      console.error('Fetch messages error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Post a message to the conversation of a trade request
+router.post('/requests/:requestId/messages', 
+  authMiddleware,
+  idempotencyMiddleware,
+  validateParams(idParamSchema),
+  validateBody(sendMessageSchema),
+  async (req, res) => {
+    try {
+      const message = await MessageService.sendMessage({ requestId: req.params.requestId }, req.body.body, req.user.id);
+      res.status(201).json(createSuccessResponse(message, 'Message sent successfully'));
+    } catch (error) {
+      console.error('Send message error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Mark the other party's messages on a trade request as read
+router.post('/requests/:requestId/messages/read', 
+  authMiddleware,
+  idempotencyMiddleware,
+  validateParams(idParamSchema),
+  async (req, res) => {
+    try {
+      const result = await MessageService.markAsRead({ requestId: req.params.requestId }, req.user.id);
+      res.json(createSuccessResponse(result, 'Messages marked as read'));
+    } catch (error) {
+      console.error('Mark messages read error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Get the conversation of a trade
+router.get('/:tradeId/messages', 
+  authMiddleware,
+  validateParams(tradeIdParamSchema),
+  async (req, res) => {
+    try {
+      const result = await MessageService.getMessages({ tradeId: req.params.tradeId }, req.user.id);
+      res.json(createSuccessResponse(result));
+    } catch (error) {
+      console.error('Fetch messages error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Post a message to the conversation of a trade
+router.post('/:tradeId/messages', 
+  authMiddleware,
+  idempotencyMiddleware,
+  validateParams(tradeIdParamSchema),
+  validateBody(sendMessageSchema),
+  async (req, res) => {
+    try {
+      const message = await MessageService.sendMessage({ tradeId: req.params.tradeId }, req.body.body, req.user.id);
+      res.status(201).json(createSuccessResponse(message, 'Message sent successfully'));
+    } catch (error) {
+      console.error('Send message error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Mark the other party's messages on a trade as read
+router.post('/:tradeId/messages/read', 
+  authMiddleware,
+  idempotencyMiddleware,
+  validateParams(tradeIdParamSchema),
+  async (req, res) => {
+    try {
+      const result = await MessageService.markAsRead({ tradeId: req.params.tradeId }, req.user.id);
+      res.json(createSuccessResponse(result, 'Messages marked as read'));
+    } catch (error) {
+      console.error('Mark messages read error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Get meetup history and the agreed meetup of a trade
+router.get('/:tradeId/meetups', 
+  authMiddleware,
+  validateParams(tradeIdParamSchema),
+  async (req, res) => {
+    try {
+      const meetups = await MeetupService.getTradeMeetups(req.params.tradeId, req.user.id);
+      res.json(createSuccessResponse(meetups));
+    } catch (error) {
+      console.error('Fetch meetups error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Suggest a meeting point halfway between both participants
+router.get('/:tradeId/meetups/suggestion', 
+  authMiddleware,
+  validateParams(tradeIdParamSchema),
+  async (req, res) => {
+    try {
+      const suggestion = await MeetupService.suggestMeetingPoint(req.params.tradeId, req.user.id);
+      res.json(createSuccessResponse(suggestion));
+    } catch (error) {
+      console.error('Meetup suggestion error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Propose a meetup (replaces any open proposal or agreed meetup)
+router.post('/:tradeId/meetups', 
+  authMiddleware,
+  idempotencyMiddleware,
+  validateParams(tradeIdParamSchema),
+  validateBody(proposeMeetupSchema),
+  async (req, res) => {
+    try {
+      const meetup = await MeetupService.proposeMeetup(req.params.tradeId, req.body, req.user.id);
+      res.status(201).json(createSuccessResponse(meetup, 'Meetup proposed successfully'));
+    } catch (error) {
+      console.error('Propose meetup error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Accept one slot of a proposed meetup
+router.post('/:tradeId/meetups/:meetupId/accept', 
+  authMiddleware,
+  idempotencyMiddleware,
+  validateParams(meetupParamsSchema),
+  validateBody(acceptMeetupSchema),
+  async (req, res) => {
+    try {
+      const meetup = await MeetupService.acceptMeetup(
+        req.params.tradeId, req.params.meetupId, req.body.slot_id, req.user.id
+      );
+      res.json(createSuccessResponse(meetup, 'Meetup accepted successfully'));
+    } catch (error) {
+      console.error('Accept meetup error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Decline a proposed meetup
+router.post('/:tradeId/meetups/:meetupId/decline', 
+  authMiddleware,
+  idempotencyMiddleware,
+  validateParams(meetupParamsSchema),
+  async (req, res) => {
+    try {
+      const meetup = await MeetupService.declineMeetup(req.params.tradeId, req.params.meetupId, req.user.id);
+      res.json(createSuccessResponse(meetup, 'Meetup declined'));
+    } catch (error) {
+      console.error('Decline meetup error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Cancel a proposed or agreed meetup
+router.post('/:tradeId/meetups/:meetupId/cancel', 
+  authMiddleware,
+  idempotencyMiddleware,
+  validateParams(meetupParamsSchema),
+  async (req, res) => {
+    try {
+      const meetup = await MeetupService.cancelMeetup(req.params.tradeId, req.params.meetupId, req.user.id);
+      res.json(createSuccessResponse(meetup, 'Meetup cancelled'));
+    } catch (error) {
+      console.error('Cancel meetup error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Get your handover code (and QR payload) to show the other participant at the meetup
+router.get('/:tradeId/handover', 
+  authMiddleware,
+  validateParams(tradeIdParamSchema),
+  async (req, res) => {
+    try {
+      const handover = await HandoverService.getHandover(req.params.tradeId, req.user.id);
+      res.json(createSuccessResponse(handover));
+    } catch (error) {
+      console.error('Fetch handover code error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Replace your handover code (unlocks a code locked after too many wrong entries)
+router.post('/:tradeId/handover/regenerate', 
+  authMiddleware,
+  idempotencyMiddleware,
+  validateParams(tradeIdParamSchema),
+  async (req, res) => {
+    try {
+      const handover = await HandoverService.regenerateCode(req.params.tradeId, req.user.id);
+      res.json(createSuccessResponse(handover, 'Handover code regenerated'));
+    } catch (error) {
+      console.error('Regenerate handover code error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Get the status timeline of a trade
+router.get('/:tradeId/timeline', 
+  authMiddleware,
+  validateParams(tradeIdParamSchema),
+  async (req, res) => {
+    try {
+      const timeline = await TradeService.getTradeTimeline(req.params.tradeId, req.user.id);
+      res.json(createSuccessResponse(timeline, 'Trade timeline retrieved successfully'));
+    } catch (error) {
+      console.error('Trade timeline error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Download the agreed meetup of a trade as an iCalendar file
+router.get('/:tradeId/meetup.ics', 
+  authMiddleware,
+  validateParams(tradeIdParamSchema),
+  async (req, res) => {
+    try {
+      const calendar = await CalendarService.getTradeCalendar(req.params.tradeId, req.user.id);
+      res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `attachment; filename="swappo-trade-${req.params.tradeId}.ics"`
+      });
+      res.send(calendar);
+    } catch (error) {
+      console.error('Meetup calendar error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Get the receipt of a completed trade
+router.get('/:tradeId/receipt', 
+  authMiddleware,
+  validateParams(tradeIdParamSchema),
+  async (req, res) => {
+    try {
+      const receipt = await TradeService.getTradeReceipt(req.params.tradeId, req.user.id);
+      res.json(createSuccessResponse(receipt, 'Trade receipt retrieved successfully'));
+    } catch (error) {
+      console.error('Trade receipt error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Get the receipt of a completed trade as a printable HTML page
+router.get('/:tradeId/receipt.html', 
+  authMiddleware,
+  validateParams(tradeIdParamSchema),
+  async (req, res) => {
+    try {
+      const receipt = await TradeService.getTradeReceipt(req.params.tradeId, req.user.id);
+      res.set('Content-Type', 'text/html; charset=utf-8');
+      res.send(renderReceiptHtml(receipt, `${req.protocol}://${req.get('host')}`));
+    } catch (error) {
+      console.error('Trade receipt error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
+// Download the receipt of a completed trade as a PDF
+router.get('/:tradeId/receipt.pdf', 
+  authMiddleware,
+  validateParams(tradeIdParamSchema),
+  async (req, res) => {
+    try {
+      const receipt = await TradeService.getTradeReceipt(req.params.tradeId, req.user.id);
+      const pdf = await renderReceiptPdf(receipt);
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="swappo-receipt-${req.params.tradeId}.pdf"`
+      });
+      res.send(pdf);
+    } catch (error) {
+      console.error('Trade receipt error:', error);
+      const statusCode = getErrorStatusCode(error.message);
+      res.status(statusCode).json(createTradeErrorResponse(error, statusCode));
+    }
+  }
+);
+
 // Helper function to determine status code from error message
 function getErrorStatusCode(errorMessage) {
   if (errorMessage.includes('not found')) return 404;
   if (errorMessage.includes('Access denied') || errorMessage.includes('can only')) return 403;
-  if (errorMessage.includes('already exists') || 
+  if (errorMessage.includes('changed by another action') ||
+      errorMessage.startsWith('Trade is no longer pending')) return 409;
+  if (errorMessage.includes('limit reached')) return 429;
+  if (errorMessage.includes('already') || 
       errorMessage.includes('cannot') || 
       errorMessage.includes('must be') ||
+      errorMessage.includes('not available') ||
       errorMessage.includes('no longer')) return 400;
   return 500;
 }
 
+// Concurrent changes get the CONFLICT error code so clients know to refresh the trade and retry;
+// quota errors carry their own error code and the quota that was hit
+function createTradeErrorResponse(error, statusCode) {
+  if (statusCode === 409) {
+    return createConflictResponse(error.message);
+  }
+
+  if (error.errorCode) {
+    return createErrorResponse(error.message, error.details, statusCode, error.errorCode);
+  }
+
+  return createErrorResponse(error.message);
+}
+
 export default router;
\ No newline at end of file
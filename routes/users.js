@@ -1,6 +1,7 @@
 // routes/users.js
 import express from 'express';
 import { authMiddleware } from '../middleware/auth.js';
+import { idempotencyMiddleware } from '../middleware/idempotency.js';
 
 // Import validation middleware and schemas
 import { 
@@ -46,7 +47,7 @@ router.get('/me',
   authMiddleware, 
   async (req, res) => {
     try {
-      const user = await UserService.getUserProfile(req.user.id);
+      const user = await UserService.getCurrentUser(req.user.id);
       res.json(createSuccessResponse(user));
     } catch (error) {
       console.error('Current user fetch error:', error);
@@ -61,6 +62,7 @@ router.get('/me',
 // Update user profile
 router.put('/profile', 
   authMiddleware, 
+  idempotencyMiddleware,
   validateBody(updateProfileSchema),
   async (req, res) => {
     try {
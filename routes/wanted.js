@@ -0,0 +1,126 @@
+// routes/wanted.js
+import express from 'express';
+import { authMiddleware, optionalAuthMiddleware } from '../middleware/auth.js';
+import { idempotencyMiddleware } from '../middleware/idempotency.js';
+
+// Import validation middleware and schemas
+import {
+  validateBody,
+  validateParams,
+  validateQuery,
+  createSuccessResponse,
+  createErrorResponse,
+  wantedIdParamSchema,
+  SUCCESS_MESSAGES
+} from '../validation/validationMiddleware.js';
+
+import {
+  createWantedSchema,
+  updateWantedSchema,
+  wantedQuerySchema
+} from '../validation/wantedValidation.js';
+
+// Import service layer
+import { WantedService } from '../services/wantedService.js';
+
+const router = express.Router();
+
+// Browse public wanted posts, newest first
+router.get('/',
+  validateQuery(wantedQuerySchema),
+  async (req, res) => {
+    try {
+      const { wanted, nextCursor } = await WantedService.browseWanted(req.query);
+      res.json(createSuccessResponse(wanted, SUCCESS_MESSAGES.RETRIEVED, { nextCursor }));
+    } catch (error) {
+      console.error('Fetch wanted posts error:', error);
+      res.status(500).json(createErrorResponse('Failed to fetch wanted posts'));
+    }
+  }
+);
+
+// Get the current user's wanted list (public and private entries)
+router.get('/mine',
+  authMiddleware,
+  async (req, res) => {
+    try {
+      const wanted = await WantedService.getUserWanted(req.user.id);
+      res.json(createSuccessResponse(wanted));
+    } catch (error) {
+      console.error('Fetch wanted list error:', error);
+      res.status(500).json(createErrorResponse('Failed to fetch wanted list'));
+    }
+  }
+);
+
+// Add a wanted item
+router.post('/',
+  authMiddleware,
+  idempotencyMiddleware,
+  validateBody(createWantedSchema),
+  async (req, res) => {
+    try {
+      const wanted = await WantedService.createWanted(req.user.id, req.body);
+      res.status(201).json(createSuccessResponse(wanted, 'Wanted item added successfully'));
+    } catch (error) {
+      console.error('Create wanted item error:', error);
+      res.status(500).json(createErrorResponse('Failed to add wanted item'));
+    }
+  }
+);
+
+// Get a wanted item (public ones, or your own)
+router.get('/:wantedId',
+  optionalAuthMiddleware,
+  validateParams(wantedIdParamSchema),
+  async (req, res) => {
+    try {
+      const wanted = await WantedService.getWanted(req.params.wantedId, req.user?.id);
+      res.json(createSuccessResponse(wanted));
+    } catch (error) {
+      console.error('Fetch wanted item error:', error);
+      res.status(getErrorStatusCode(error.message)).json(createErrorResponse(error.message));
+    }
+  }
+);
+
+// Update one of your wanted items
+router.put('/:wantedId',
+  authMiddleware,
+  idempotencyMiddleware,
+  validateParams(wantedIdParamSchema),
+  validateBody(updateWantedSchema),
+  async (req, res) => {
+    try {
+      const wanted = await WantedService.updateWanted(req.params.wantedId, req.user.id, req.body);
+      res.json(createSuccessResponse(wanted, 'Wanted item updated successfully'));
+    } catch (error) {
+      console.error('Update wanted item error:', error);
+      res.status(getErrorStatusCode(error.message)).json(createErrorResponse(error.message));
+    }
+  }
+);
+
+// Remove one of your wanted items
+router.delete('/:wantedId',
+  authMiddleware,
+  validateParams(wantedIdParamSchema),
+  async (req, res) => {
+    try {
+      const result = await WantedService.deleteWanted(req.params.wantedId, req.user.id);
+      res.json(createSuccessResponse(result));
+    } catch (error) {
+      console.error('Delete wanted item error:', error);
+      res.status(getErrorStatusCode(error.message)).json(createErrorResponse(error.message));
+    }
+  }
+);
+
+// Helper function to determine status code from error message
+function getErrorStatusCode(errorMessage) {
+  if (errorMessage.includes('not found')) return 404;
+  if (errorMessage.includes('can only')) return 403;
+  return 500;
+}
+
+export default router;
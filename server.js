@@ -15,6 +15,7 @@ import YAML from 'yamljs';
 
 // Centralized routing
 import router from './routes/index.js';
+import { startScheduler } from './utils/scheduler.js';
 
 dotenv.config();
 
@@ -58,6 +59,7 @@ app.use(cors({
   ],
   methods: ["GET", "POST", "PUT", "DELETE"], // Specify allowed HTTP methods
   credentials: true, // Allow credentials (cookies, authorization headers, etc.)
+  exposedHeaders: ['Idempotent-Replayed'], // Set when a stored response is replayed for an Idempotency-Key
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -193,4 +195,5 @@ app.listen(3000, () => {
     console.log('⚠️  API Documentation not available - check docs/swagger.yaml');
   }
   console.log('🌍 Environment:', process.env.NODE_ENV || 'development');
+  startScheduler();
 });
\ No newline at end of file
@@ -0,0 +1,163 @@
+// services/calendarService.js
+import { PrismaClient } from '@prisma/client';
+import crypto from 'crypto';
+import { buildCalendar } from '../utils/icalendar.js';
+
+const prisma = new PrismaClient();
+
+// Everything needed to describe a trade's meetup from either participant's side
+const tradeDetailsInclude = {
+  owner: { select: { id: true, name: true } },
+  requester: { select: { id: true, name: true } },
+  requested_item: { select: { title: true } },
+  offered_item: { select: { title: true } },
+  trade_request: {
+    select: {
+      items: {
+        select: { side: true, item: { select: { title: true } } }
+      }
+    }
+  }
+};
+
+/**
+ * Turn an agreed meetup into a calendar event seen from the given user's side
+ */
+function toCalendarEvent(meetup, trade, userId) {
+  const isOwner = trade.owner_id === userId;
+  const counterpart = isOwner ? trade.requester : trade.owner;
+
+  // Requests created before bundles have no item rows
+  const items = trade.trade_request.items.length > 0
+    ? trade.trade_request.items
+    : [
+        { side: 'REQUESTED', item: trade.requested_item },
+        { side: 'OFFERED', item: trade.offered_item }
+      ];
+  const titlesFor = (side) => items.filter(i => i.side === side).map(i => i.item.title).join(', ');
+
+  // The owner gives the requested items, the requester gives the offered items
+  const youGive = titlesFor(isOwner ? 'REQUESTED' : 'OFFERED');
+  const youGet = titlesFor(isOwner ? 'OFFERED' : 'REQUESTED');
+  const slot = meetup.slots.find(s => s.is_accepted);
+
+  return {
+    uid: `meetup-${meetup.id}@swappo`,
+    start: meetup.scheduled_at,
+    end: slot?.ends_at || null,
+    summary: `Swappo swap with ${counterpart.name}`,
+    description: [
+      `Swap with: ${counterpart.name}`,
+      `You give: ${youGive}`,
+      `You get: ${youGet}`,
+      meetup.note ? `Note: ${meetup.note}` : null
+    ].filter(Boolean).join('\n'),
+    location: meetup.location_label,
+    latitude: meetup.latitude,
+    longitude: meetup.longitude
+  };
+}
+
+export class CalendarService {
+
+  /**
+   * iCalendar file for the agreed meetup of one trade
+   */
+  static async getTradeCalendar(tradeId, userId) {
+    const trade = await prisma.trade.findUnique({
+      where: { id: tradeId },
+      include: {
+        ...tradeDetailsInclude,
+        meetups: {
+          where: { status: 'ACCEPTED' },
+          include: { slots: true },
+          take: 1
+        }
+      }
+    });
+
+    if (!trade) {
+      throw new Error('Trade not found');
+    }
+
+    if (trade.owner_id !== userId && trade.requester_id !== userId) {
+      throw new Error('Access denied: you are not part of this trade');
+    }
+
+    const meetup = trade.meetups[0];
+    if (!meetup) {
+      throw new Error('Agreed meetup not found for this trade');
+    }
+
+    return buildCalendar('Swappo swap', [toCalendarEvent(meetup, trade, userId)]);
+  }
+
+  /**
+   * Get the user's private calendar feed token, creating it on first use
+   */
+  static async getFeedToken(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { calendar_token: true }
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return user.calendar_token || CalendarService.rotateFeedToken(userId);
+  }
+
+  /**
+   * Replace the user's calendar feed token, invalidating the old feed URL
+   */
+  static async rotateFeedToken(userId) {
+    const token = crypto.randomBytes(24).toString('hex');
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { calendar_token: token }
+    });
+
+    return token;
+  }
+
+  /**
+   * iCalendar feed of all upcoming agreed meetups of a user's pending trades
+   * Authenticated by the feed token only, so calendar apps can subscribe without a session
+   */
+  static async getFeedByToken(token) {
+    const user = await prisma.user.findUnique({
+      where: { calendar_token: token },
+      select: { id: true }
+    });
+
+    if (!user) {
+      throw new Error('Calendar feed not found');
+    }
+
+    const meetups = await prisma.tradeMeetup.findMany({
+      where: {
+        status: 'ACCEPTED',
+        scheduled_at: { gte: new Date() },
+        trade: {
+          status: 'PENDING',
+          OR: [
+            { owner_id: user.id },
+            { requester_id: user.id }
+          ]
+        }
+      },
+      include: {
+        slots: true,
+        trade: { include: tradeDetailsInclude }
+      },
+      orderBy: { scheduled_at: 'asc' }
+    });
+
+    return buildCalendar(
+      'Swappo swaps',
+      meetups.map(meetup => toCalendarEvent(meetup, meetup.trade, user.id))
+    );
+  }
+}
@@ -0,0 +1,350 @@
+// services/disputeService.js
+import { PrismaClient } from '@prisma/client';
+import { RealtimeService } from './realtimeService.js';
+import { TradeStateMachine } from './tradeStateMachine.js';
+import { TradeService } from './tradeService.js';
+import { LOYALTY_POINTS_PER_STAR } from './ratingService.js';
+import { getDisputeSettings } from '../utils/tradeSettings.js';
+import { updateUserBadge } from '../utils/badgeSystem.js';
+
+const prisma = new PrismaClient();
+
+// Include for a dispute as shown to participants and moderators
+const disputeInclude = {
+  opened_by: { select: { id: true, name: true, image: true } },
+  resolved_by: { select: { id: true, name: true, image: true } },
+  evidence: {
+    include: { uploaded_by: { select: { id: true, name: true, image: true } } },
+    orderBy: { created_at: 'asc' }
+  }
+};
+
+function toEvidenceData(files, disputeId, userId) {
+  return files.map(file => ({
+    dispute_id: disputeId,
+    uploaded_by_id: userId,
+    url: `/uploads/disputes/${file.filename}`
+  }));
+}
+
+/**
+ * Every item of a trade, falling back to the primary items for requests created before bundles existed.
+ * Expects trade.trade_request.items to be loaded.
+ */
+function getTradeItemIds(trade) {
+  const { items } = trade.trade_request;
+
+  if (!items || items.length === 0) {
+    return [trade.requested_item_id, trade.offered_item_id];
+  }
+
+  return items.map(i => i.item_id);
+}
+
+export class DisputeService {
+
+  /**
+   * Open a dispute on a pending or recently completed trade
+   * The trade becomes DISPUTED until a moderator resolves the dispute
+   */
+  static async openDispute(tradeId, userId, { reason }, files = []) {
+    const trade = await prisma.trade.findUnique({
+      where: { id: tradeId },
+      select: {
+        id: true,
+        trade_request_id: true,
+        owner_id: true,
+        requester_id: true,
+        status: true,
+        completed_at: true
+      }
+    });
+
+    if (!trade) {
+      throw new Error('Trade not found');
+    }
+
+    if (trade.owner_id !== userId && trade.requester_id !== userId) {
+      throw new Error('You can only dispute trades you are part of');
+    }
+
+    TradeStateMachine.assertTransition('TRADE', trade.status, 'DISPUTED');
+
+    if (trade.status === 'COMPLETED') {
+      const { windowDays } = getDisputeSettings();
+      const windowEnd = new Date(trade.completed_at.getTime() + windowDays * 24 * 60 * 60 * 1000);
+
+      if (windowEnd < new Date()) {
+        throw new Error(`Completed trades must be disputed within ${windowDays} days`);
+      }
+    }
+
+    const dispute = await prisma.$transaction(async (tx) => {
+      await TradeStateMachine.transition(tx, 'TRADE', tradeId, trade.status, 'DISPUTED', {
+        actorId: userId,
+        reason,
+        tradeRequestId: trade.trade_request_id
+      });
+
+      const createdDispute = await tx.tradeDispute.create({
+        data: {
+          trade_id: tradeId,
+          opened_by_id: userId,
+          reason,
+          previous_trade_status: trade.status
+        }
+      });
+
+      if (files.length > 0) {
+        await tx.disputeEvidence.createMany({
+          data: toEvidenceData(files, createdDispute.id, userId)
+        });
+      }
+
+      return tx.tradeDispute.findUnique({
+        where: { id: createdDispute.id },
+        include: disputeInclude
+      });
+    });
+
+    const otherPartyId = trade.owner_id === userId ? trade.requester_id : trade.owner_id;
+    RealtimeService.publish([otherPartyId], 'trade.disputed', dispute);
+
+    return dispute;
+  }
+
+  /**
+   * Get the latest dispute of a trade, including its resolution
+   * Visible to both participants and to moderators
+   */
+  static async getTradeDispute(tradeId, userId) {
+    const [trade, user] = await Promise.all([
+      prisma.trade.findUnique({
+        where: { id: tradeId },
+        select: { owner_id: true, requester_id: true }
+      }),
+      prisma.user.findUnique({
+        where: { id: userId },
+        select: { role: true }
+      })
+    ]);
+
+    if (!trade) {
+      throw new Error('Trade not found');
+    }
+
+    const isParticipant = trade.owner_id === userId || trade.requester_id === userId;
+    if (!isParticipant && user?.role !== 'MODERATOR') {
+      throw new Error('You can only view disputes of trades you are part of');
+    }
+
+    const dispute = await prisma.tradeDispute.findFirst({
+      where: { trade_id: tradeId },
+      include: disputeInclude,
+      orderBy: { created_at: 'desc' }
+    });
+
+    if (!dispute) {
+      throw new Error('Dispute not found');
+    }
+
+    return dispute;
+  }
+
+  /**
+   * Attach more evidence photos to the open dispute of a trade (either participant)
+   */
+  static async addEvidence(tradeId, userId, files) {
+    const dispute = await prisma.tradeDispute.findFirst({
+      where: { trade_id: tradeId, status: 'OPEN' },
+      include: {
+        trade: { select: { owner_id: true, requester_id: true } }
+      }
+    });
+
+    if (!dispute) {
+      throw new Error('Open dispute not found');
+    }
+
+    const { owner_id, requester_id } = dispute.trade;
+    if (owner_id !== userId && requester_id !== userId) {
+      throw new Error('You can only add evidence to disputes of trades you are part of');
+    }
+
+    await prisma.disputeEvidence.createMany({
+      data: toEvidenceData(files, dispute.id, userId)
+    });
+
+    const updatedDispute = await prisma.tradeDispute.findUnique({
+      where: { id: dispute.id },
+      include: disputeInclude
+    });
+
+    const otherPartyId = owner_id === userId ? requester_id : owner_id;
+    RealtimeService.publish([otherPartyId], 'trade.dispute_updated', updatedDispute);
+
+    return updatedDispute;
+  }
+
+  /**
+   * Get disputes for the moderator queue, oldest first
+   */
+  static async getDisputes({ status, page, limit }) {
+    const where = { status };
+
+    const [disputes, total] = await Promise.all([
+      prisma.tradeDispute.findMany({
+        where,
+        include: {
+          ...disputeInclude,
+          trade: {
+            include: {
+              owner: { select: { id: true, name: true, image: true } },
+              requester: { select: { id: true, name: true, image: true } },
+              trade_request: {
+                select: {
+                  items: { include: { item: { include: { images: true } } } }
+                }
+              }
+            }
+          }
+        },
+        orderBy: { created_at: 'asc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.tradeDispute.count({ where })
+    ]);
+
+    return { disputes, total };
+  }
+
+  /**
+   * Resolve an open dispute (moderators only)
+   * UPHOLD fails the trade: items of a pending trade are released, a completed trade's
+   * items are handed back when revert_items is set and its ratings removed when void_ratings is set.
+   * DISMISS restores the trade's status from before the dispute.
+   * Loyalty points can be adjusted for either participant with both decisions.
+   */
+  static async resolveDispute(disputeId, moderatorId, resolution) {
+    const { decision, note, revert_items, void_ratings, points_adjustments } = resolution;
+
+    const dispute = await prisma.tradeDispute.findUnique({
+      where: { id: disputeId },
+      include: {
+        trade: { include: { trade_request: { include: { items: true } } } }
+      }
+    });
+
+    if (!dispute) {
+      throw new Error('Dispute not found');
+    }
+
+    if (dispute.status !== 'OPEN') {
+      throw new Error('Dispute is already resolved');
+    }
+
+    const { trade } = dispute;
+    const participantIds = [trade.owner_id, trade.requester_id];
+
+    if (participantIds.includes(moderatorId)) {
+      throw new Error('You cannot resolve a dispute on your own trade');
+    }
+
+    if (points_adjustments.some(adjustment => !participantIds.includes(adjustment.user_id))) {
+      throw new Error('Points adjustments must be for trade participants');
+    }
+
+    const eventContext = {
+      actorId: moderatorId,
+      reason: note,
+      tradeRequestId: trade.trade_request_id,
+      tradeId: trade.id
+    };
+    const wasCompleted = dispute.previous_trade_status === 'COMPLETED';
+
+    const { resolvedDispute, settledCycle } = await prisma.$transaction(async (tx) => {
+      let itemsReverted = false;
+      let ratingsVoided = 0;
+      const affectedUserIds = new Set(points_adjustments.map(adjustment => adjustment.user_id));
+
+      if (decision === 'UPHOLD') {
+        await TradeStateMachine.transition(tx, 'TRADE', trade.id, 'DISPUTED', 'FAILED', {
+          ...eventContext,
+          data: { closed_reason: `Dispute upheld: ${note}` }
+        });
+
+        const itemIds = getTradeItemIds(trade);
+
+        if (!wasCompleted) {
+          // Reserved items go back on the market
+          await TradeStateMachine.transitionMany(tx, 'ITEM', itemIds, 'RESERVED', 'AVAILABLE', eventContext);
+          itemsReverted = true;
+        } else if (revert_items) {
+          // Swapped items go back to their original owners
+          await TradeStateMachine.transitionMany(tx, 'ITEM', itemIds, 'SWAPPED', 'AVAILABLE', eventContext);
+          await tx.swappedItem.deleteMany({ where: { trade_id: trade.id } });
+          itemsReverted = true;
+        }
+
+        if (void_ratings) {
+          const ratings = await tx.rating.findMany({
+            where: { trade_id: trade.id },
+            select: { id: true, rating: true, reviewee_id: true }
+          });
+
+          // Take back the loyalty points the ratings gave
+          for (const rating of ratings) {
+            await tx.user.update({
+              where: { id: rating.reviewee_id },
+              data: { loyalty_points: { decrement: rating.rating * LOYALTY_POINTS_PER_STAR } }
+            });
+            affectedUserIds.add(rating.reviewee_id);
+          }
+
+          await tx.rating.deleteMany({ where: { trade_id: trade.id } });
+          ratingsVoided = ratings.length;
+        }
+      } else {
+        await TradeStateMachine.transition(
+          tx, 'TRADE', trade.id, 'DISPUTED', dispute.previous_trade_status, eventContext
+        );
+      }
+
+      for (const adjustment of points_adjustments) {
+        await tx.user.update({
+          where: { id: adjustment.user_id },
+          data: { loyalty_points: { increment: adjustment.points } }
+        });
+      }
+
+      for (const userId of affectedUserIds) {
+        await updateUserBadge(tx, userId);
+      }
+
+      // A failed trade ends its trade cycle, a restored one may be the last leg to complete
+      const settledCycle = await TradeService.settleCycle(tx, trade.id, { actorId: moderatorId });
+
+      const resolvedDispute = await tx.tradeDispute.update({
+        where: { id: disputeId },
+        data: {
+          status: decision === 'UPHOLD' ? 'UPHELD' : 'DISMISSED',
+          resolution_note: note,
+          resolved_by_id: moderatorId,
+          resolved_at: new Date(),
+          items_reverted: itemsReverted,
+          ratings_voided: ratingsVoided,
+          points_adjustments: points_adjustments.length > 0 ? points_adjustments : undefined
+        },
+        include: disputeInclude
+      });
+
+      return { resolvedDispute, settledCycle };
+    });
+
+    RealtimeService.publish(participantIds, 'trade.dispute_resolved', resolvedDispute);
+    TradeService.notifySettledCycle(settledCycle);
+
+    return resolvedDispute;
+  }
+}
@@ -0,0 +1,253 @@
+// services/giveawayService.js
+import { PrismaClient } from '@prisma/client';
+import { RealtimeService } from './realtimeService.js';
+import { TradeStateMachine } from './tradeStateMachine.js';
+import { HandoverService } from './handoverService.js';
+import { BADGE_THRESHOLDS } from '../utils/badgeSystem.js';
+import { runSerializable } from '../utils/transactions.js';
+
+const prisma = new PrismaClient();
+
+// Include for a claim as shown in the queue
+const claimInclude = {
+  claimant: { select: { id: true, name: true, image: true, badge: true } }
+};
+
+// Ways the system picks a recipient when the owner does not choose one
+const PICK_STRATEGIES = {
+  // First in the queue
+  earliest: (a, b) => a.created_at - b.created_at,
+  // Highest badge first, earliest among equal badges
+  highest_badge: (a, b) =>
+    BADGE_THRESHOLDS[b.claimant.badge] - BADGE_THRESHOLDS[a.claimant.badge] || a.created_at - b.created_at
+};
+
+async function findGiveawayItem(itemId) {
+  const item = await prisma.item.findUnique({
+    where: { id: itemId },
+    select: { id: true, user_id: true, title: true, status: true, listing_type: true }
+  });
+
+  if (!item) {
+    throw new Error('Item not found');
+  }
+
+  if (item.listing_type !== 'GIVEAWAY') {
+    throw new Error(`Item "${item.title}" is not listed as a giveaway`);
+  }
+
+  return item;
+}
+
+// 1-based position of a waiting claim in its item's queue
+async function getQueuePosition(claim) {
+  const ahead = await prisma.giveawayClaim.count({
+    where: { item_id: claim.item_id, status: 'WAITING', created_at: { lt: claim.created_at } }
+  });
+
+  return ahead + 1;
+}
+
+export class GiveawayService {
+
+  /**
+   * Join the claim queue of a giveaway item
+   * A user who left the queue can join again at the back.
+   */
+  static async joinQueue(itemId, userId, { note } = {}) {
+    const item = await findGiveawayItem(itemId);
+
+    if (item.user_id === userId) {
+      throw new Error('You cannot claim your own item');
+    }
+
+    if (item.status !== 'AVAILABLE') {
+      throw new Error(`Item "${item.title}" is not available`);
+    }
+
+    const existing = await prisma.giveawayClaim.findUnique({
+      where: { item_id_claimant_id: { item_id: itemId, claimant_id: userId } }
+    });
+
+    if (existing && existing.status === 'WAITING') {
+      throw new Error('You are already in the claim queue for this item');
+    }
+
+    if (existing && existing.status !== 'WITHDRAWN') {
+      throw new Error('You can no longer claim this item');
+    }
+
+    const data = { note: note || null, status: 'WAITING', created_at: new Date() };
+    const claim = existing
+      ? await prisma.giveawayClaim.update({ where: { id: existing.id }, data, include: claimInclude })
+      : await prisma.giveawayClaim.create({
+          data: { ...data, item_id: itemId, claimant_id: userId },
+          include: claimInclude
+        });
+
+    const position = await getQueuePosition(claim);
+
+    RealtimeService.publish([item.user_id], 'giveaway.claimed', { itemId, claim, position });
+
+    return { ...claim, position };
+  }
+
+  /**
+   * Leave the claim queue of a giveaway item
+   */
+  static async leaveQueue(itemId, userId) {
+    const { count } = await prisma.giveawayClaim.updateMany({
+      where: { item_id: itemId, claimant_id: userId, status: 'WAITING' },
+      data: { status: 'WITHDRAWN' }
+    });
+
+    if (count === 0) {
+      throw new Error('Claim not found');
+    }
+
+    return { itemId, status: 'WITHDRAWN' };
+  }
+
+  /**
+   * Get the claim queue of a giveaway item
+   * The owner sees every waiting claim in order; other users see their own claim and the queue length.
+   */
+  static async getQueue(itemId, userId) {
+    const item = await findGiveawayItem(itemId);
+
+    const claims = await prisma.giveawayClaim.findMany({
+      where: { item_id: itemId, status: 'WAITING' },
+      include: claimInclude,
+      orderBy: { created_at: 'asc' }
+    });
+
+    const queue = claims.map((claim, index) => ({ ...claim, position: index + 1 }));
+
+    if (item.user_id === userId) {
+      return { item, queue_length: queue.length, claims: queue };
+    }
+
+    const ownClaim = await prisma.giveawayClaim.findUnique({
+      where: { item_id_claimant_id: { item_id: itemId, claimant_id: userId } }
+    });
+
+    return {
+      item,
+      queue_length: queue.length,
+      my_claim: ownClaim
+        ? { ...ownClaim, position: queue.find(c => c.id === ownClaim.id)?.position ?? null }
+        : null
+    };
+  }
+
+  /**
+   * Get the current user's giveaway claims
+   */
+  static async getUserClaims(userId) {
+    const claims = await prisma.giveawayClaim.findMany({
+      where: { claimant_id: userId },
+      include: {
+        item: { include: { images: true, user: { select: { id: true, name: true, image: true } } } },
+        trade_request: { select: { id: true, trade: { select: { id: true, status: true } } } }
+      },
+      orderBy: { created_at: 'desc' }
+    });
+
+    return Promise.all(claims.map(async claim => ({
+      ...claim,
+      position: claim.status === 'WAITING' ? await getQueuePosition(claim) : null
+    })));
+  }
+
+  /**
+   * Pick the recipient of a giveaway (owner only)
+   * Either a given claim or the first claim by strategy ('earliest' or 'highest_badge').
+   * The hand-off runs as an accepted trade request and pending trade with only a requested item,
+   * so it is completed with handover codes like any trade and the recipient gets a SwappedItem.
+   * Other claimants stay in the queue until the trade completes, in case the hand-off falls through.
+   */
+  static async pickRecipient(itemId, userId, { claim_id, strategy = 'earliest' } = {}) {
+    const item = await findGiveawayItem(itemId);
+
+    if (item.user_id !== userId) {
+      throw new Error('You can only pick recipients for your own items');
+    }
+
+    if (item.status !== 'AVAILABLE') {
+      throw new Error(`Item "${item.title}" is not available`);
+    }
+
+    const waitingClaims = await prisma.giveawayClaim.findMany({
+      where: { item_id: itemId, status: 'WAITING' },
+      include: claimInclude
+    });
+
+    const claim = claim_id
+      ? waitingClaims.find(c => c.id === claim_id)
+      : [...waitingClaims].sort(PICK_STRATEGIES[strategy])[0];
+
+    if (!claim) {
+      throw new Error(claim_id ? 'Claim not found' : 'No waiting claims to pick from');
+    }
+
+    const result = await runSerializable(prisma, async (tx) => {
+      const { count } = await tx.giveawayClaim.updateMany({
+        where: { id: claim.id, status: 'WAITING' },
+        data: { status: 'SELECTED' }
+      });
+
+      if (count === 0) {
+        throw new Error('Claim was changed by another action, please try again');
+      }
+
+      // A recipient picked earlier whose hand-off was cancelled
+      await tx.giveawayClaim.updateMany({
+        where: { item_id: itemId, status: 'SELECTED', id: { not: claim.id } },
+        data: { status: 'NOT_SELECTED' }
+      });
+
+      const tradeRequest = await tx.tradeRequest.create({
+        data: {
+          requested_item_id: itemId,
+          requester_id: claim.claimant_id,
+          status: 'ACCEPTED',
+          items: { create: [{ item_id: itemId, side: 'REQUESTED' }] }
+        }
+      });
+
+      await tx.giveawayClaim.update({
+        where: { id: claim.id },
+        data: { trade_request_id: tradeRequest.id }
+      });
+
+      const trade = await tx.trade.create({
+        data: {
+          trade_request_id: tradeRequest.id,
+          owner_id: userId,
+          requester_id: claim.claimant_id,
+          requested_item_id: itemId,
+          status: 'PENDING'
+        }
+      });
+
+      const eventContext = {
+        actorId: userId,
+        reason: 'Giveaway recipient picked',
+        tradeRequestId: tradeRequest.id,
+        tradeId: trade.id
+      };
+      await TradeStateMachine.recordCreated(tx, 'TRADE_REQUEST', tradeRequest.id, 'ACCEPTED', eventContext);
+      await TradeStateMachine.recordCreated(tx, 'TRADE', trade.id, 'PENDING', eventContext);
+
+      await HandoverService.createCodes(tx, trade);
+
+      await TradeStateMachine.transition(tx, 'ITEM', itemId, 'AVAILABLE', 'RESERVED', eventContext);
+
+      return { claim: { ...claim, status: 'SELECTED', trade_request_id: tradeRequest.id }, trade };
+    });
+
+    RealtimeService.publish([claim.claimant_id], 'giveaway.selected', result);
+
+    return result;
+  }
+}
@@ -0,0 +1,156 @@
+// services/handoverService.js
+import { PrismaClient } from '@prisma/client';
+import crypto from 'crypto';
+
+const prisma = new PrismaClient();
+
+// Wrong entries allowed before a code is locked and has to be regenerated by its holder
+const MAX_HANDOVER_ATTEMPTS = 5;
+
+function generateHandoverCode() {
+  return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+}
+
+// Scanned by the other participant's app, which completes the trade with the code
+function buildQrPayload(tradeId, code) {
+  return `swappo://trades/${tradeId}/handover?code=${code}`;
+}
+
+function isSameCode(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+export class HandoverService {
+
+  /**
+   * Create the handover codes of both participants
+   * Must run inside a transaction; called when a trade is created
+   */
+  static async createCodes(tx, trade) {
+    await tx.tradeHandoverCode.createMany({
+      data: [trade.owner_id, trade.requester_id].map(user_id => ({
+        trade_id: trade.id,
+        user_id,
+        code: generateHandoverCode()
+      })),
+      skipDuplicates: true
+    });
+  }
+
+  /**
+   * Get the current user's handover code for a trade and the state of both codes
+   * Trades accepted before handover codes existed get their codes on first request
+   */
+  static async getHandover(tradeId, userId) {
+    const trade = await prisma.trade.findUnique({
+      where: { id: tradeId },
+      select: { id: true, owner_id: true, requester_id: true, status: true }
+    });
+
+    if (!trade) {
+      throw new Error('Trade not found');
+    }
+
+    if (trade.owner_id !== userId && trade.requester_id !== userId) {
+      throw new Error('You can only view handover codes of trades you are part of');
+    }
+
+    if (trade.status === 'PENDING') {
+      await prisma.$transaction(tx => HandoverService.createCodes(tx, trade));
+    }
+
+    const codes = await prisma.tradeHandoverCode.findMany({
+      where: { trade_id: tradeId }
+    });
+
+    const ownCode = codes.find(c => c.user_id === userId);
+    const otherCode = codes.find(c => c.user_id !== userId);
+
+    if (!ownCode) {
+      throw new Error('Handover code not found');
+    }
+
+    return {
+      code: ownCode.code,
+      qr_payload: buildQrPayload(tradeId, ownCode.code),
+      locked: ownCode.failed_attempts >= MAX_HANDOVER_ATTEMPTS,
+      // The other party entered this user's code
+      used_at: ownCode.used_at,
+      // This user entered the other party's code
+      other_code_used_at: otherCode?.used_at || null
+    };
+  }
+
+  /**
+   * Replace the current user's handover code (e.g. after it was locked or shared by mistake)
+   */
+  static async regenerateCode(tradeId, userId) {
+    const handoverCode = await prisma.tradeHandoverCode.findUnique({
+      where: { trade_id_user_id: { trade_id: tradeId, user_id: userId } },
+      include: { trade: { select: { status: true } } }
+    });
+
+    if (!handoverCode) {
+      throw new Error('Handover code not found');
+    }
+
+    if (handoverCode.trade.status !== 'PENDING') {
+      throw new Error('Handover codes cannot be changed once the trade is no longer pending');
+    }
+
+    if (handoverCode.used_at) {
+      throw new Error('Your handover code has already been used');
+    }
+
+    const code = generateHandoverCode();
+
+    await prisma.tradeHandoverCode.update({
+      where: { id: handoverCode.id },
+      data: { code, failed_attempts: 0 }
+    });
+
+    return { code, qr_payload: buildQrPayload(tradeId, code), locked: false };
+  }
+
+  /**
+   * Check the code a participant entered against the one the other party holds
+   * Wrong entries are counted and lock the code at MAX_HANDOVER_ATTEMPTS.
+   * Returns the matching code record, to be passed to markUsed.
+   */
+  static async verifyCode(tradeId, holderId, enteredCode) {
+    const handoverCode = await prisma.tradeHandoverCode.findUnique({
+      where: { trade_id_user_id: { trade_id: tradeId, user_id: holderId } }
+    });
+
+    if (!handoverCode) {
+      throw new Error('Handover code is not available yet, ask the other party to open the trade');
+    }
+
+    if (handoverCode.failed_attempts >= MAX_HANDOVER_ATTEMPTS) {
+      throw new Error('Handover code is no longer valid, ask the other party for a new code');
+    }
+
+    if (!isSameCode(handoverCode.code, enteredCode)) {
+      await prisma.tradeHandoverCode.update({
+        where: { id: handoverCode.id },
+        data: { failed_attempts: { increment: 1 } }
+      });
+      throw new Error('Handover code must be the one shown by the other party');
+    }
+
+    return handoverCode;
+  }
+
+  /**
+   * Record that a verified code was used to confirm the handover
+   * Must run inside a transaction
+   */
+  static async markUsed(tx, handoverCode, userId) {
+    await tx.tradeHandoverCode.update({
+      where: { id: handoverCode.id },
+      data: { used_at: new Date(), used_by_id: userId }
+    });
+  }
+}
@@ -0,0 +1,80 @@
+// services/idempotencyService.js
+import { PrismaClient } from '@prisma/client';
+import { getIdempotencySettings } from '../utils/tradeSettings.js';
+
+const prisma = new PrismaClient();
+
+export class IdempotencyService {
+
+  /**
+   * Claim an Idempotency-Key for a request
+   * Returns { record, created }; created is false when an earlier request already holds the key,
+   * in which case record is that request (null if it was released in the meantime).
+   * Expired keys are released and claimed again.
+   */
+  static async claimKey(userId, key, { method, path, requestHash }) {
+    const where = { user_id_key: { user_id: userId, key } };
+    const existing = await prisma.idempotencyKey.findUnique({ where });
+
+    if (existing && existing.expires_at > new Date()) {
+      return { record: existing, created: false };
+    }
+
+    if (existing) {
+      await prisma.idempotencyKey.deleteMany({ where: { id: existing.id } });
+    }
+
+    const { ttlHours } = getIdempotencySettings();
+
+    try {
+      const record = await prisma.idempotencyKey.create({
+        data: {
+          user_id: userId,
+          key,
+          method,
+          path,
+          request_hash: requestHash,
+          expires_at: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+        }
+      });
+
+      return { record, created: true };
+    } catch (error) {
+      // A concurrent retry claimed the key first
+      if (error.code === 'P2002') {
+        return { record: await prisma.idempotencyKey.findUnique({ where }), created: false };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Store the response of the request holding a key, to be replayed for retries
+   */
+  static async saveResponse(id, status, body) {
+    await prisma.idempotencyKey.update({
+      where: { id },
+      // Stored as it was serialized for the client (dates as strings)
+      data: { response_status: status, response_body: JSON.parse(JSON.stringify(body)) }
+    });
+  }
+
+  /**
+   * Release a key whose request failed, so a retry runs the request again
+   */
+  static async releaseKey(id) {
+    await prisma.idempotencyKey.deleteMany({ where: { id } });
+  }
+
+  /**
+   * Delete keys past their TTL
+   * Run periodically by the scheduler
+   */
+  static async purgeExpiredKeys() {
+    const { count } = await prisma.idempotencyKey.deleteMany({
+      where: { expires_at: { lt: new Date() } }
+    });
+
+    return { processed: count };
+  }
+}
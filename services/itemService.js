@@ -1,53 +1,343 @@
 // services/itemService.js
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient, Prisma } from '@prisma/client';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { TradeStateMachine } from './tradeStateMachine.js';
+import { OPEN_LOAN_STATUSES, calculateBoundingBox, escapeHtml } from '../utils/helpers.js';
+import { BADGE_THRESHOLDS } from '../utils/badgeSystem.js';
+import { cursorWhere, cursorOrderBy, toCursorPage } from '../utils/pagination.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const prisma = new PrismaClient();
 
+// Marketplace sort orders (conditions are declared best first)
+const ITEM_SORT_ORDERS = {
+  newest: [{ posted_at: 'desc' }],
+  oldest: [{ posted_at: 'asc' }],
+  title: [{ title: 'asc' }],
+  condition: [{ condition: 'asc' }, { posted_at: 'desc' }],
+  most_requested: [{ trade_requests_for: { _count: 'desc' } }, { posted_at: 'desc' }]
+};
+
+// Sorts that follow posted_at + id, so their pages also get a cursor
+const CURSOR_SORT_DIRECTIONS = { newest: 'desc', oldest: 'asc' };
+
+// Include for an item as listed in the marketplace
+const marketplaceItemInclude = {
+  user: {
+    select: { 
+      id: true, 
+      name: true, 
+      image: true, 
+      badge: true, 
+      latitude: true,
+      longitude: true 
+    }
+  },
+  images: true,
+  _count: {
+    select: { trade_requests_for: { where: { status: 'PENDING' } } }
+  }
+};
+
+// Most matches considered for one search, best ranked first
+const MAX_SEARCH_MATCHES = 1000;
+
+// pg_trgm word similarity a misspelled search needs to match a title or description
+const FUZZY_MATCH_THRESHOLD = 0.3;
+
+// Private-use characters ts_headline wraps matched words in; removed from the item text first,
+// they become <mark> tags only once the snippet is HTML-escaped
+const HIGHLIGHT_START = '\uE000';
+const HIGHLIGHT_STOP = '\uE001';
+
+// ts_headline options: the whole title, short excerpts of the description
+const TITLE_HEADLINE_OPTIONS = `HighlightAll=true, StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}`;
+const DESCRIPTION_HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxWords=30, MinWords=10, MaxFragments=2`;
+
+/**
+ * Rank the items passing filterSql (see buildItemFilterSql) against a keyword search with
+ * Postgres full-text search (search_vector, see prisma/sql/item_full_text_search.sql).
+ * When nothing matches, falls back to trigram similarity on title and description so
+ * misspelled searches still find items. Filtering happens before MAX_SEARCH_MATCHES applies.
+ * Returns the matches best first as { id, rank } and whether the fallback was used.
+ */
+async function findSearchMatches(search, filterSql) {
+  const matches = await prisma.$queryRaw`
+    SELECT i.id, ts_rank_cd(i.search_vector, query) AS rank
+    FROM items i
+    JOIN "user" u ON u.id = i.user_id,
+    websearch_to_tsquery('english', ${search}) AS query
+    WHERE ${filterSql} AND i.search_vector @@ query
+    ORDER BY rank DESC, i.id DESC
+    LIMIT ${MAX_SEARCH_MATCHES}`;
+
+  if (matches.length > 0) {
+    return { matches, fuzzy: false };
+  }
+
+  // <% uses the trigram indexes; its threshold is set for this transaction only
+  const [, fuzzyMatches] = await prisma.$transaction([
+    prisma.$queryRaw`SELECT set_config('pg_trgm.word_similarity_threshold', ${String(FUZZY_MATCH_THRESHOLD)}, true)`,
+    prisma.$queryRaw`
+      SELECT i.id, GREATEST(word_similarity(${search}, i.title), word_similarity(${search}, i.description)) AS rank
+      FROM items i
+      JOIN "user" u ON u.id = i.user_id
+      WHERE ${filterSql} AND (${search} <% i.title OR ${search} <% i.description)
+      ORDER BY rank DESC, i.id DESC
+      LIMIT ${MAX_SEARCH_MATCHES}`
+  ]);
+
+  return { matches: fuzzyMatches, fuzzy: true };
+}
+
+// Escape a ts_headline snippet for HTML; only the highlight markers become tags
+function toHighlightHtml(snippet) {
+  return escapeHtml(snippet)
+    .replaceAll(HIGHLIGHT_START, '<mark>')
+    .replaceAll(HIGHLIGHT_STOP, '</mark>');
+}
+
+/**
+ * Add search_rank and highlighted title/description snippets (<mark>) to a page of search results
+ * Snippets are HTML-escaped item text with <mark> as the only tags.
+ * Fallback (misspelled) matches get plain snippets, as no search word matched exactly.
+ */
+async function addSearchHighlights(items, search, { matches, fuzzy }) {
+  if (items.length === 0) {
+    return items;
+  }
+
+  const highlightMarkers = HIGHLIGHT_START + HIGHLIGHT_STOP;
+  const highlights = await prisma.$queryRaw`
+    SELECT id,
+      ts_headline('english', translate(title, ${highlightMarkers}, ''), query, ${TITLE_HEADLINE_OPTIONS}) AS title,
+      ts_headline('english', translate(description, ${highlightMarkers}, ''), query, ${DESCRIPTION_HEADLINE_OPTIONS}) AS description
+    FROM items, websearch_to_tsquery('english', ${search}) AS query
+    WHERE id IN (${Prisma.join(items.map(item => item.id))})`;
+
+  const ranks = new Map(matches.map(match => [match.id, match.rank]));
+  const highlightsById = new Map(highlights.map(({ id, title, description }) => [
+    id,
+    { title: toHighlightHtml(title), description: toHighlightHtml(description) }
+  ]));
+
+  return items.map(item => ({
+    ...item,
+    search_rank: ranks.get(item.id),
+    search_fuzzy: fuzzy,
+    highlights: highlightsById.get(item.id)
+  }));
+}
+
+/**
+ * Build the marketplace filter: available items, never the requesting user's own
+ * A keyword search is resolved with findSearchMatches first and filters on the matching ids.
+ */
+function buildItemFilters(userId, { category, condition, listing_type, owner_badge, posted_since, exclude_user }, searchMatches = null) {
+  const excludedUserIds = [userId, exclude_user].filter(Boolean);
+  const filters = [{ status: 'AVAILABLE' }];
+
+  if (excludedUserIds.length > 0) {
+    filters.push({ user_id: { notIn: excludedUserIds } });
+  }
+
+  if (searchMatches) {
+    filters.push({ id: { in: searchMatches.matches.map(match => match.id) } });
+  }
+
+  if (category) {
+    filters.push({ category: { equals: category, mode: 'insensitive' } });
+  }
+
+  if (condition) {
+    filters.push({ condition });
+  }
+
+  if (listing_type) {
+    filters.push({ listing_type });
+  }
+
+  // Owners with at least this badge
+  if (owner_badge) {
+    const badges = Object.keys(BADGE_THRESHOLDS);
+    filters.push({ user: { badge: { in: badges.slice(badges.indexOf(owner_badge)) } } });
+  }
+
+  if (posted_since) {
+    filters.push({ posted_at: { gte: posted_since } });
+  }
+
+  return { AND: filters };
+}
+
+/**
+ * The marketplace filter of buildItemFilters as an SQL condition on items i joined with their
+ * owner u, for queries that order and page in the database
+ */
+function buildItemFilterSql(userId, { category, condition, listing_type, owner_badge, posted_since, exclude_user }) {
+  const excludedUserIds = [userId, exclude_user].filter(Boolean);
+  const conditions = [Prisma.sql`i.status = 'AVAILABLE'`];
+
+  if (excludedUserIds.length > 0) {
+    conditions.push(Prisma.sql`i.user_id NOT IN (${Prisma.join(excludedUserIds)})`);
+  }
+
+  if (category) {
+    conditions.push(Prisma.sql`lower(i.category) = lower(${category})`);
+  }
+
+  if (condition) {
+    conditions.push(Prisma.sql`i.condition::text = ${condition}`);
+  }
+
+  if (listing_type) {
+    conditions.push(Prisma.sql`i.listing_type::text = ${listing_type}`);
+  }
+
+  // Owners with at least this badge
+  if (owner_badge) {
+    const badges = Object.keys(BADGE_THRESHOLDS);
+    conditions.push(Prisma.sql`u.badge::text IN (${Prisma.join(badges.slice(badges.indexOf(owner_badge)))})`);
+  }
+
+  if (posted_since) {
+    conditions.push(Prisma.sql`i.posted_at >= ${posted_since}`);
+  }
+
+  return Prisma.join(conditions, ' AND ');
+}
+
 export class ItemService {
   
   /**
-   * Get all items filtered by availability status and excluding requesting user's items
+   * Search the marketplace: available items of other users, filtered, sorted and paginated
+   * Keyword searches are ordered by relevance unless another sort is asked for, and each result
+   * gets its search_rank and highlights.
+   * newest/oldest pages can be followed with a decoded cursor instead of a page number.
+   * Returns the page of items, the total number of matches and, for newest/oldest, the next page's cursor
    */
-  static async getAllItems(userId = null) {
-    const whereCondition = {
-      status: 'AVAILABLE'
-    };
+  static async getAllItems(userId = null, query = {}) {
+    const { search, cursor, page = 1, limit = 20 } = query;
+    const sort = query.sort || (search ? 'relevance' : 'newest');
+    const searchMatches = search ? await findSearchMatches(search, buildItemFilterSql(userId, query)) : null;
+    const where = buildItemFilters(userId, query, searchMatches);
+
+    if (sort === 'relevance') {
+      // The matches are already filtered and in rank order
+      const rankedIds = searchMatches.matches.map(match => match.id);
+      const pageIds = rankedIds.slice((page - 1) * limit, page * limit);
+
+      const pageItems = await prisma.item.findMany({
+        where: { id: { in: pageIds } },
+        include: marketplaceItemInclude
+      });
+      pageItems.sort((a, b) => pageIds.indexOf(a.id) - pageIds.indexOf(b.id));
 
-    // Exclude the requesting user's own items if userId is provided
-    if (userId) {
-      whereCondition.user_id = {
-        not: userId
+      return {
+        items: await addSearchHighlights(pageItems, search, searchMatches),
+        total: rankedIds.length
       };
     }
 
-    const items = await prisma.item.findMany({
-      where: whereCondition,
-      include: {
-        user: {
-          select: { 
-            id: true, 
-            name: true, 
-            image: true, 
-            badge: true, 
-            latitude: true,
-            longitude: true 
-          }
-        },
-        images: true,
-        _count: {
-          select: { trade_requests_for: { where: { status: 'PENDING' } } }
-        }
-      },
-      orderBy: { posted_at: 'desc' }
+    const direction = CURSOR_SORT_DIRECTIONS[sort];
+
+    const [records, total] = await Promise.all([
+      prisma.item.findMany({
+        where: cursor ? { AND: [where, cursorWhere('posted_at', cursor, direction)] } : where,
+        include: marketplaceItemInclude,
+        // id keeps the order stable between pages
+        orderBy: direction ? cursorOrderBy('posted_at', direction) : [...ITEM_SORT_ORDERS[sort], { id: 'desc' }],
+        skip: cursor ? 0 : (page - 1) * limit,
+        // One extra item tells whether there is a next cursor
+        take: direction ? limit + 1 : limit
+      }),
+      prisma.item.count({ where })
+    ]);
+
+    const { data: items, nextCursor } = direction
+      ? toCursorPage(records, 'posted_at', limit)
+      : { data: records, nextCursor: undefined };
+
+    return {
+      items: searchMatches ? await addSearchHighlights(items, search, searchMatches) : items,
+      total,
+      nextCursor
+    };
+  }
+
+  /**
+   * Find marketplace items within radiusKm of a location, nearest first
+   * Distances, ordering and paging are done in the database, for the items inside the radius'
+   * bounding box only (indexed on latitude, longitude); the corners of the box are dropped.
+   * Items without coordinates are never returned. Each item gets its distance_km.
+   */
+  static async getNearbyItems(userId = null, query = {}) {
+    const { lat, lng, radiusKm = 10, search, page = 1, limit = 20 } = query;
+    const { minLatitude, maxLatitude, longitudeRanges } = calculateBoundingBox(lat, lng, radiusKm);
+
+    const conditions = [
+      buildItemFilterSql(userId, query),
+      Prisma.sql`i.latitude BETWEEN ${minLatitude} AND ${maxLatitude}`,
+      Prisma.sql`(${Prisma.join(
+        longitudeRanges.map(([min, max]) => Prisma.sql`i.longitude BETWEEN ${min} AND ${max}`),
+        ' OR '
+      )})`
+    ];
+
+    // Search matches are ranked among the items in the bounding box only
+    const searchMatches = search ? await findSearchMatches(search, Prisma.join(conditions, ' AND ')) : null;
+
+    if (searchMatches && searchMatches.matches.length === 0) {
+      return { items: [], total: 0 };
+    }
+
+    if (searchMatches) {
+      conditions.push(Prisma.sql`i.id IN (${Prisma.join(searchMatches.matches.map(match => match.id))})`);
+    }
+
+    // Haversine distance in km, as calculateDistance
+    const nearby = Prisma.sql`
+      SELECT id, posted_at, distance_km
+      FROM (
+        SELECT i.id, i.posted_at,
+          6371 * 2 * asin(least(1, sqrt(
+            power(sin(radians(i.latitude - ${lat}) / 2), 2) +
+            cos(radians(${lat})) * cos(radians(i.latitude)) * power(sin(radians(i.longitude - ${lng}) / 2), 2)
+          ))) AS distance_km
+        FROM items i
+        JOIN "user" u ON u.id = i.user_id
+        WHERE ${Prisma.join(conditions, ' AND ')}
+      ) AS box
+      WHERE distance_km <= ${radiusKm}`;
+
+    const [pageMatches, [{ total }]] = await Promise.all([
+      prisma.$queryRaw`
+        ${nearby}
+        ORDER BY distance_km, posted_at DESC, id DESC
+        LIMIT ${limit} OFFSET ${(page - 1) * limit}`,
+      prisma.$queryRaw`SELECT COUNT(*)::int AS total FROM (${nearby}) AS nearby`
+    ]);
+
+    const pageIds = pageMatches.map(match => match.id);
+    const distances = new Map(pageMatches.map(match => [match.id, match.distance_km]));
+
+    const pageItems = await prisma.item.findMany({
+      where: { id: { in: pageIds } },
+      include: marketplaceItemInclude
     });
 
-    return items;
+    const items = pageItems
+      .sort((a, b) => pageIds.indexOf(a.id) - pageIds.indexOf(b.id))
+      .map(item => ({ ...item, distance_km: Math.round(distances.get(item.id) * 10) / 10 }));
+
+    return {
+      items: searchMatches ? await addSearchHighlights(items, search, searchMatches) : items,
+      total
+    };
   }
 
   /**
@@ -97,7 +387,7 @@ export class ItemService {
    * Create a new item
    */
   static async createItem(itemData, userId, files) {
-    const { title, description, category, condition, phone_number, whatsapp_number, latitude, longitude } = itemData;
+    const { title, description, category, condition, listing_type, phone_number, whatsapp_number, latitude, longitude } = itemData;
     console.log(itemData)
 
     // Create item
@@ -108,6 +398,7 @@ export class ItemService {
         description: description.trim(),
         category: category.trim(),
         condition: condition,
+        listing_type: listing_type || 'SWAP',
         phone_number: phone_number.trim(),
         whatsapp_number: whatsapp_number?.trim() || null,
         status: 'AVAILABLE',
@@ -165,12 +456,17 @@ export class ItemService {
       throw new Error('Item not found or access denied');
     }
 
+    if (updateData.listing_type && updateData.listing_type !== existingItem.listing_type) {
+      await ItemService.assertCanChangeListingType(existingItem);
+    }
+
     // Update item details
     const filteredUpdateData = {};
     if (updateData.title) filteredUpdateData.title = updateData.title.trim();
     if (updateData.description) filteredUpdateData.description = updateData.description.trim();
     if (updateData.category) filteredUpdateData.category = updateData.category.trim();
     if (updateData.condition) filteredUpdateData.condition = updateData.condition;
+    if (updateData.listing_type) filteredUpdateData.listing_type = updateData.listing_type;
     if (updateData.phone_number) filteredUpdateData.phone_number = updateData.phone_number.trim();
     if (updateData.whatsapp_number !== undefined) {
       filteredUpdateData.whatsapp_number = updateData.whatsapp_number?.trim() || null;
@@ -255,7 +551,10 @@ export class ItemService {
       where: { id: itemId, user_id: userId },
       include: { 
         images: true,
-        trade_requests_for: { where: { status: 'PENDING' } }
+        trade_requests_for: { where: { status: 'PENDING' } },
+        trade_request_items: { where: { trade_request: { status: 'PENDING' } } },
+        trade_cycle_legs: { where: { cycle: { status: { in: ['PROPOSED', 'ACCEPTED'] } } } },
+        loans: { where: { status: { in: OPEN_LOAN_STATUSES } } }
       }
     });
 
@@ -263,7 +562,13 @@ export class ItemService {
       throw new Error('Item not found or access denied');
     }
 
-    if (item.trade_requests_for.length > 0) {
+    if (item.loans.length > 0) {
+      throw new Error('Cannot delete item with open loans');
+    }
+
+    // Open trade cycles count as pending requests
+    if (item.trade_requests_for.length > 0 || item.trade_request_items.length > 0 ||
+        item.trade_cycle_legs.length > 0) {
       throw new Error('Cannot delete item with pending trade requests');
     }
 
@@ -296,16 +601,85 @@ export class ItemService {
       throw new Error('Item not found or access denied');
     }
 
-    const updatedItem = await prisma.item.update({
-      where: { id: itemId },
-      data: { status },
-      include: {
-        images: true,
-        _count: { select: { trade_requests_for: true } }
+    // Owners can only list or delist items; reserved, swapped and lent items are managed by trades and loans
+    if (item.status === 'RESERVED' || item.status === 'SWAPPED' || item.status === 'LENT') {
+      throw new Error(`Item cannot move from ${item.status} to ${status}`);
+    }
+
+    if (status === 'REMOVED') {
+      const bookedLoans = await prisma.loan.count({
+        where: { item_id: itemId, status: { in: ['APPROVED', 'ACTIVE', 'OVERDUE'] } }
+      });
+
+      if (bookedLoans > 0) {
+        throw new Error('Cannot remove item with approved loans, cancel them first');
       }
-    });
+    }
+
+    const include = {
+      images: true,
+      _count: { select: { trade_requests_for: true } }
+    };
+
+    if (item.status === status) {
+      return prisma.item.findUnique({ where: { id: itemId }, include });
+    }
+
+    // Applies only while the item keeps the status checked above, and lands on the item's timeline
+    return prisma.$transaction(tx =>
+      TradeStateMachine.transition(tx, 'ITEM', itemId, item.status, status, {
+        include,
+        actorId: userId,
+        reason: status === 'REMOVED' ? 'Delisted by the owner' : 'Listed by the owner'
+      })
+    );
+  }
+
+  /**
+   * Throw if an item cannot switch between swapping, lending and giving away
+   * The item must not be in a pending trade request or trade, have open loans or waiting claims.
+   */
+  static async assertCanChangeListingType(item) {
+    if (item.status === 'RESERVED' || item.status === 'SWAPPED') {
+      throw new Error('Cannot change the listing type while the item is part of a trade');
+    }
 
-    return updatedItem;
+    if (item.listing_type === 'SWAP') {
+      const pendingRequests = await prisma.tradeRequest.count({
+        where: {
+          status: 'PENDING',
+          OR: [
+            { requested_item_id: item.id },
+            { offered_item_id: item.id },
+            { items: { some: { item_id: item.id } } }
+          ]
+        }
+      });
+
+      if (pendingRequests > 0) {
+        throw new Error('Cannot change the listing type while the item has pending trade requests');
+      }
+    }
+
+    if (item.listing_type === 'LEND') {
+      const openLoans = await prisma.loan.count({
+        where: { item_id: item.id, status: { in: OPEN_LOAN_STATUSES } }
+      });
+
+      if (openLoans > 0) {
+        throw new Error('Cannot change the listing type while the item has open loans');
+      }
+    }
+
+    if (item.listing_type === 'GIVEAWAY') {
+      const waitingClaims = await prisma.giveawayClaim.count({
+        where: { item_id: item.id, status: 'WAITING' }
+      });
+
+      if (waitingClaims > 0) {
+        throw new Error('Cannot change the listing type while the item has waiting claims');
+      }
+    }
   }
 
   /**
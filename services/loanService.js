@@ -0,0 +1,411 @@
+// services/loanService.js
+import { PrismaClient } from '@prisma/client';
+import { RealtimeService } from './realtimeService.js';
+import { TradeStateMachine } from './tradeStateMachine.js';
+import { runSerializable } from '../utils/transactions.js';
+
+const prisma = new PrismaClient();
+
+// Loans that hold the item for their period
+const BOOKED_STATUSES = ['APPROVED', 'ACTIVE', 'OVERDUE'];
+
+const COMPETING_LOAN_REASON = 'Another loan was approved for this period';
+
+// Include for a loan as shown to lender and borrower
+const loanInclude = {
+  item: { include: { images: true } },
+  lender: { select: { id: true, name: true, image: true } },
+  borrower: { select: { id: true, name: true, image: true } }
+};
+
+// Loans whose period overlaps [startsAt, endsAt]
+const overlapping = (startsAt, endsAt) => ({
+  starts_at: { lt: endsAt },
+  ends_at: { gt: startsAt }
+});
+
+async function findLoan(loanId) {
+  const loan = await prisma.loan.findUnique({
+    where: { id: loanId },
+    include: { item: { select: { id: true, title: true, status: true } } }
+  });
+
+  if (!loan) {
+    throw new Error('Loan not found');
+  }
+
+  return loan;
+}
+
+async function findLenderLoan(loanId, userId) {
+  const loan = await findLoan(loanId);
+
+  if (loan.lender_id !== userId) {
+    throw new Error('You can only manage loans of your own items');
+  }
+
+  return loan;
+}
+
+function getLoanWithDetails(tx, loanId) {
+  return tx.loan.findUnique({
+    where: { id: loanId },
+    include: loanInclude
+  });
+}
+
+export class LoanService {
+
+  /**
+   * Ask to borrow a LEND item for a period
+   */
+  static async requestLoan(borrowerId, { item_id, starts_at, ends_at, message }) {
+    const item = await prisma.item.findUnique({
+      where: { id: item_id },
+      select: { id: true, user_id: true, title: true, status: true, listing_type: true }
+    });
+
+    if (!item) {
+      throw new Error('Item not found');
+    }
+
+    if (item.listing_type !== 'LEND') {
+      throw new Error(`Item "${item.title}" is not listed for lending and cannot be borrowed`);
+    }
+
+    if (item.user_id === borrowerId) {
+      throw new Error('You cannot borrow your own item');
+    }
+
+    // Lent items can be booked for a later period
+    if (item.status !== 'AVAILABLE' && item.status !== 'LENT') {
+      throw new Error(`Item "${item.title}" is not available`);
+    }
+
+    const startsAt = new Date(starts_at);
+    const endsAt = new Date(ends_at);
+
+    const [bookedLoan, ownOpenLoan] = await Promise.all([
+      prisma.loan.findFirst({
+        where: { item_id, status: { in: BOOKED_STATUSES }, ...overlapping(startsAt, endsAt) }
+      }),
+      prisma.loan.findFirst({
+        where: { item_id, borrower_id: borrowerId, status: 'REQUESTED', ...overlapping(startsAt, endsAt) }
+      })
+    ]);
+
+    if (bookedLoan) {
+      throw new Error(`Item "${item.title}" is not available for the requested period`);
+    }
+
+    if (ownOpenLoan) {
+      throw new Error('You already have a pending loan request for this period');
+    }
+
+    const loan = await prisma.$transaction(async (tx) => {
+      const createdLoan = await tx.loan.create({
+        data: {
+          item_id,
+          lender_id: item.user_id,
+          borrower_id: borrowerId,
+          starts_at: startsAt,
+          ends_at: endsAt,
+          message: message || null
+        },
+        include: loanInclude
+      });
+
+      await TradeStateMachine.recordCreated(tx, 'LOAN', createdLoan.id, 'REQUESTED', {
+        actorId: borrowerId
+      });
+
+      return createdLoan;
+    });
+
+    RealtimeService.publish([item.user_id], 'loan.requested', loan);
+
+    return loan;
+  }
+
+  /**
+   * Approve a loan request (lender only)
+   * Other pending requests for an overlapping period are rejected.
+   */
+  static async approveLoan(loanId, userId) {
+    const loan = await findLenderLoan(loanId, userId);
+    TradeStateMachine.assertTransition('LOAN', loan.status, 'APPROVED');
+
+    const eventContext = { actorId: userId };
+
+    // Serializable so two overlapping approvals cannot both go through
+    const result = await runSerializable(prisma, async (tx) => {
+      const bookedLoan = await tx.loan.findFirst({
+        where: {
+          item_id: loan.item_id,
+          id: { not: loanId },
+          status: { in: BOOKED_STATUSES },
+          ...overlapping(loan.starts_at, loan.ends_at)
+        }
+      });
+
+      if (bookedLoan) {
+        throw new Error(`Item "${loan.item.title}" is not available for the requested period`);
+      }
+
+      await TradeStateMachine.transition(tx, 'LOAN', loanId, 'REQUESTED', 'APPROVED', {
+        ...eventContext,
+        data: { approved_at: new Date() }
+      });
+
+      const competingLoans = await tx.loan.findMany({
+        where: {
+          item_id: loan.item_id,
+          id: { not: loanId },
+          status: 'REQUESTED',
+          ...overlapping(loan.starts_at, loan.ends_at)
+        },
+        select: { id: true, borrower_id: true }
+      });
+
+      await TradeStateMachine.transitionMany(tx, 'LOAN', competingLoans.map(l => l.id), 'REQUESTED', 'REJECTED', {
+        ...eventContext,
+        data: { closed_reason: COMPETING_LOAN_REASON },
+        reason: COMPETING_LOAN_REASON
+      });
+
+      return { loan: await getLoanWithDetails(tx, loanId), competingLoans };
+    });
+
+    RealtimeService.publish([loan.borrower_id], 'loan.approved', result.loan);
+    for (const competingLoan of result.competingLoans) {
+      RealtimeService.publish([competingLoan.borrower_id], 'loan.rejected', {
+        loanId: competingLoan.id,
+        reason: COMPETING_LOAN_REASON
+      });
+    }
+
+    return result.loan;
+  }
+
+  /**
+   * Reject a loan request (lender only)
+   */
+  static async rejectLoan(loanId, userId) {
+    const loan = await findLenderLoan(loanId, userId);
+
+    const rejectedLoan = await prisma.$transaction(tx =>
+      TradeStateMachine.transition(tx, 'LOAN', loanId, loan.status, 'REJECTED', {
+        actorId: userId,
+        include: loanInclude
+      })
+    );
+
+    RealtimeService.publish([loan.borrower_id], 'loan.rejected', rejectedLoan);
+
+    return rejectedLoan;
+  }
+
+  /**
+   * Cancel a loan before the item is handed over (lender or borrower)
+   */
+  static async cancelLoan(loanId, userId) {
+    const loan = await findLoan(loanId);
+
+    if (loan.lender_id !== userId && loan.borrower_id !== userId) {
+      throw new Error('You can only cancel loans you are part of');
+    }
+
+    const cancelledLoan = await prisma.$transaction(tx =>
+      TradeStateMachine.transition(tx, 'LOAN', loanId, loan.status, 'CANCELLED', {
+        actorId: userId,
+        data: { closed_reason: 'Cancelled by a participant' },
+        include: loanInclude
+      })
+    );
+
+    const otherPartyId = loan.lender_id === userId ? loan.borrower_id : loan.lender_id;
+    RealtimeService.publish([otherPartyId], 'loan.cancelled', { ...cancelledLoan, cancelled_by: userId });
+
+    return cancelledLoan;
+  }
+
+  /**
+   * Record that the lender handed the item over; the item becomes LENT
+   */
+  static async handOverLoan(loanId, userId) {
+    const loan = await findLenderLoan(loanId, userId);
+    TradeStateMachine.assertTransition('LOAN', loan.status, 'ACTIVE');
+
+    if (loan.item.status !== 'AVAILABLE') {
+      throw new Error(`Item "${loan.item.title}" is not available for handover until it is back`);
+    }
+
+    const eventContext = { actorId: userId, loanId };
+
+    const activeLoan = await runSerializable(prisma, async (tx) => {
+      await TradeStateMachine.transition(tx, 'LOAN', loanId, 'APPROVED', 'ACTIVE', {
+        ...eventContext,
+        data: { lent_at: new Date() }
+      });
+
+      await TradeStateMachine.transition(tx, 'ITEM', loan.item_id, 'AVAILABLE', 'LENT', eventContext);
+
+      return getLoanWithDetails(tx, loanId);
+    });
+
+    RealtimeService.publish([loan.borrower_id], 'loan.handed_over', activeLoan);
+
+    return activeLoan;
+  }
+
+  /**
+   * Confirm the item came back (lender only); the item is available again
+   */
+  static async confirmReturn(loanId, userId) {
+    const loan = await findLenderLoan(loanId, userId);
+    TradeStateMachine.assertTransition('LOAN', loan.status, 'RETURNED');
+
+    const eventContext = { actorId: userId, loanId };
+
+    const returnedLoan = await runSerializable(prisma, async (tx) => {
+      await TradeStateMachine.transition(tx, 'LOAN', loanId, loan.status, 'RETURNED', {
+        ...eventContext,
+        data: { returned_at: new Date() }
+      });
+
+      await TradeStateMachine.transition(tx, 'ITEM', loan.item_id, 'LENT', 'AVAILABLE', eventContext);
+
+      return getLoanWithDetails(tx, loanId);
+    });
+
+    RealtimeService.publish([loan.borrower_id], 'loan.returned', returnedLoan);
+
+    return returnedLoan;
+  }
+
+  /**
+   * Get a user's loans as lender, borrower or both
+   */
+  static async getUserLoans(userId, { role = 'all', status } = {}) {
+    const participantFilter = {
+      lender: { lender_id: userId },
+      borrower: { borrower_id: userId },
+      all: { OR: [{ lender_id: userId }, { borrower_id: userId }] }
+    }[role];
+
+    const loans = await prisma.loan.findMany({
+      where: {
+        ...participantFilter,
+        ...(status ? { status } : {})
+      },
+      include: loanInclude,
+      orderBy: { starts_at: 'desc' }
+    });
+
+    return loans;
+  }
+
+  /**
+   * Get a loan with its status timeline (lender or borrower)
+   */
+  static async getLoan(loanId, userId) {
+    const loan = await prisma.loan.findUnique({
+      where: { id: loanId },
+      include: {
+        ...loanInclude,
+        events: {
+          include: { actor: { select: { id: true, name: true, image: true } } },
+          orderBy: { created_at: 'asc' }
+        }
+      }
+    });
+
+    if (!loan) {
+      throw new Error('Loan not found');
+    }
+
+    if (loan.lender_id !== userId && loan.borrower_id !== userId) {
+      throw new Error('You can only view loans you are part of');
+    }
+
+    return loan;
+  }
+
+  /**
+   * Expire loan requests never approved and approved loans never handed over before the period ended
+   * Run periodically by the scheduler
+   */
+  static async expireStaleLoans() {
+    const staleLoans = await prisma.loan.findMany({
+      where: {
+        status: { in: ['REQUESTED', 'APPROVED'] },
+        ends_at: { lt: new Date() }
+      },
+      select: { id: true, status: true, lender_id: true, borrower_id: true }
+    });
+
+    let processed = 0;
+
+    // Each loan on its own: one changed since the lookup is skipped, the rest still expire
+    for (const loan of staleLoans) {
+      const reason = loan.status === 'REQUESTED'
+        ? 'Not approved before the loan period ended'
+        : 'Not handed over before the loan period ended';
+
+      try {
+        await prisma.$transaction(tx =>
+          TradeStateMachine.transition(tx, 'LOAN', loan.id, loan.status, 'EXPIRED', {
+            data: { closed_reason: reason },
+            reason
+          })
+        );
+      } catch (error) {
+        console.error('Could not expire stale loan:', loan.id, error.message);
+        continue;
+      }
+
+      RealtimeService.publish([loan.lender_id, loan.borrower_id], 'loan.expired', { loanId: loan.id, reason });
+      processed++;
+    }
+
+    return { processed };
+  }
+
+  /**
+   * Mark active loans past their end date as overdue and notify both parties
+   * Run periodically by the scheduler
+   */
+  static async markOverdueLoans() {
+    const overdueLoans = await prisma.loan.findMany({
+      where: {
+        status: 'ACTIVE',
+        ends_at: { lt: new Date() }
+      },
+      select: { id: true, lender_id: true, borrower_id: true, ends_at: true }
+    });
+
+    let processed = 0;
+
+    // Each loan on its own: one returned since the lookup is skipped, the rest are still marked
+    for (const loan of overdueLoans) {
+      try {
+        await prisma.$transaction(tx =>
+          TradeStateMachine.transition(tx, 'LOAN', loan.id, 'ACTIVE', 'OVERDUE', {
+            reason: 'Not returned by the end of the loan period'
+          })
+        );
+      } catch (error) {
+        console.error('Could not mark loan overdue:', loan.id, error.message);
+        continue;
+      }
+
+      RealtimeService.publish([loan.lender_id, loan.borrower_id], 'loan.overdue', {
+        loanId: loan.id,
+        ends_at: loan.ends_at
+      });
+      processed++;
+    }
+
+    return { processed };
+  }
+}
@@ -0,0 +1,182 @@
+// services/matchScoreService.js
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Only recent history says how owners trade today
+const HISTORY_DAYS = 365;
+// Category statistics are recomputed at most this often
+const STATS_TTL_MS = 10 * 60 * 1000;
+
+const CONDITION_VALUES = { NEW: 4, GOOD: 3, FAIR: 2, POOR: 1 };
+
+let statsCache = null;
+
+// Owners give the requested category and get the offered one
+const pairKey = (requestedCategory, offeredCategory) => `${requestedCategory}|${offeredCategory}`;
+
+function getPairStats(stats, key) {
+  if (!stats.has(key)) {
+    stats.set(key, { accepted: 0, rejected: 0, swaps: 0 });
+  }
+  return stats.get(key);
+}
+
+// Items on both sides of a loaded trade request; requests created before bundles have no item rows
+function getRequestItems(request) {
+  if (!request.items || request.items.length === 0) {
+    return { requestedItems: [request.requested_item], offeredItems: [request.offered_item] };
+  }
+
+  return {
+    requestedItems: request.items.filter(i => i.side === 'REQUESTED').map(i => i.item),
+    offeredItems: request.items.filter(i => i.side === 'OFFERED').map(i => i.item)
+  };
+}
+
+const sideValue = (items) => items.reduce((sum, item) => sum + (CONDITION_VALUES[item.condition] || 0), 0);
+
+/**
+ * Score an offer from 0 to 100
+ * - 50%: how often owners accepted offers of these categories (Laplace smoothed, 0.5 without history)
+ * - 30%: value of the offered side against the requested side (condition and number of items)
+ * - 20%: how many completed swaps exchanged these categories
+ */
+function computeMatch(stats, requestedItems, offeredItems) {
+  const totals = { accepted: 0, rejected: 0, swaps: 0 };
+
+  for (const requested of requestedItems) {
+    for (const offered of offeredItems) {
+      const pair = stats.get(pairKey(requested.category, offered.category));
+      if (!pair) continue;
+      totals.accepted += pair.accepted;
+      totals.rejected += pair.rejected;
+      totals.swaps += pair.swaps;
+    }
+  }
+
+  const decided = totals.accepted + totals.rejected;
+  const acceptanceRate = (totals.accepted + 1) / (decided + 2);
+  const valueRatio = sideValue(offeredItems) / Math.max(sideValue(requestedItems), 1);
+  const balance = Math.min(valueRatio, 1.5) / 1.5;
+  const popularity = totals.swaps / (totals.swaps + 5);
+
+  const score = Math.round(100 * (0.5 * acceptanceRate + 0.3 * balance + 0.2 * popularity));
+
+  const hints = [];
+  if (valueRatio < 1) {
+    hints.push('The offered items are worth less than the requested ones (condition and number of items)');
+  }
+  if (decided >= 5 && acceptanceRate < 0.3) {
+    hints.push(`Owners accepted only ${Math.round(100 * totals.accepted / decided)}% of similar offers`);
+  }
+  if (decided === 0 && totals.swaps === 0) {
+    hints.push('No history yet for swaps between these categories');
+  }
+
+  return {
+    score,
+    level: score >= 70 ? 'HIGH' : score >= 40 ? 'MEDIUM' : 'LOW',
+    factors: {
+      acceptance_rate: decided > 0 ? Math.round(100 * totals.accepted / decided) / 100 : null,
+      decided_requests: decided,
+      completed_swaps: totals.swaps,
+      value_ratio: Math.round(valueRatio * 100) / 100
+    },
+    hints
+  };
+}
+
+export class MatchScoreService {
+
+  /**
+   * Accepted/rejected requests and completed swaps per (requested category, offered category) pair
+   * Cached for STATS_TTL_MS
+   */
+  static async getCategoryStats() {
+    if (statsCache && statsCache.loadedAt > Date.now() - STATS_TTL_MS) {
+      return statsCache.stats;
+    }
+
+    const since = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+    const [decidedRequests, swappedItems] = await Promise.all([
+      prisma.tradeRequest.findMany({
+        where: {
+          status: { in: ['ACCEPTED', 'REJECTED'] },
+          // Giveaways have nothing offered
+          offered_item_id: { not: null },
+          requested_at: { gte: since }
+        },
+        select: {
+          status: true,
+          requested_item: { select: { category: true } },
+          offered_item: { select: { category: true } }
+        }
+      }),
+      prisma.swappedItem.findMany({
+        where: { swapped_at: { gte: since } },
+        select: {
+          trade_id: true,
+          user_id: true,
+          item: { select: { category: true } },
+          trade: { select: { owner_id: true } }
+        }
+      })
+    ]);
+
+    const stats = new Map();
+
+    for (const request of decidedRequests) {
+      const pair = getPairStats(stats, pairKey(request.requested_item.category, request.offered_item.category));
+      if (request.status === 'ACCEPTED') {
+        pair.accepted++;
+      } else {
+        pair.rejected++;
+      }
+    }
+
+    // The owner receives the offered items, the requester the requested ones
+    const trades = new Map();
+    for (const swapped of swappedItems) {
+      if (!trades.has(swapped.trade_id)) {
+        trades.set(swapped.trade_id, { requested: new Set(), offered: new Set() });
+      }
+      const side = swapped.user_id === swapped.trade.owner_id ? 'offered' : 'requested';
+      trades.get(swapped.trade_id)[side].add(swapped.item.category);
+    }
+
+    for (const { requested, offered } of trades.values()) {
+      for (const requestedCategory of requested) {
+        for (const offeredCategory of offered) {
+          getPairStats(stats, pairKey(requestedCategory, offeredCategory)).swaps++;
+        }
+      }
+    }
+
+    statsCache = { stats, loadedAt: Date.now() };
+    return stats;
+  }
+
+  /**
+   * Match likelihood of an offer
+   * Items need category and condition
+   */
+  static async scoreOffer(requestedItems, offeredItems) {
+    const stats = await MatchScoreService.getCategoryStats();
+    return computeMatch(stats, requestedItems, offeredItems);
+  }
+
+  /**
+   * Add match_likelihood to loaded trade requests
+   * Expects items (with item) or requested_item/offered_item to be loaded
+   */
+  static async scoreRequests(requests) {
+    const stats = await MatchScoreService.getCategoryStats();
+
+    return requests.map(request => {
+      const { requestedItems, offeredItems } = getRequestItems(request);
+      return { ...request, match_likelihood: computeMatch(stats, requestedItems, offeredItems) };
+    });
+  }
+}
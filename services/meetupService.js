@@ -0,0 +1,279 @@
+// services/meetupService.js
+import { PrismaClient } from '@prisma/client';
+import { RealtimeService } from './realtimeService.js';
+import { calculateDistance, calculateMidpoint } from '../utils/helpers.js';
+
+const prisma = new PrismaClient();
+
+const meetupInclude = {
+  slots: { orderBy: { starts_at: 'asc' } },
+  proposed_by: { select: { id: true, name: true, image: true } }
+};
+
+/**
+ * Load a trade and check the user takes part in it
+ */
+async function getTradeForParticipant(tradeId, userId) {
+  const trade = await prisma.trade.findUnique({
+    where: { id: tradeId },
+    select: { id: true, status: true, owner_id: true, requester_id: true, location: true }
+  });
+
+  if (!trade) {
+    throw new Error('Trade not found');
+  }
+
+  if (trade.owner_id !== userId && trade.requester_id !== userId) {
+    throw new Error('Access denied: you are not part of this trade');
+  }
+
+  return trade;
+}
+
+// Meetups only change while the trade is still pending (409 otherwise)
+function assertTradePending(trade) {
+  if (trade.status !== 'PENDING') {
+    throw new Error(`Trade is no longer pending (${trade.status.toLowerCase()}), its meetups cannot change`);
+  }
+}
+
+function getOtherPartyId(trade, userId) {
+  return trade.owner_id === userId ? trade.requester_id : trade.owner_id;
+}
+
+/**
+ * Load a meetup of a trade, optionally requiring one of the given statuses
+ */
+async function getMeetup(trade, meetupId, allowedStatuses) {
+  const meetup = await prisma.tradeMeetup.findFirst({
+    where: { id: meetupId, trade_id: trade.id },
+    include: { slots: true }
+  });
+
+  if (!meetup) {
+    throw new Error('Meetup not found');
+  }
+
+  if (allowedStatuses && !allowedStatuses.includes(meetup.status)) {
+    throw new Error(`Meetup is no longer ${allowedStatuses.join(' or ').toLowerCase()}`);
+  }
+
+  return meetup;
+}
+
+export class MeetupService {
+
+  /**
+   * Get the meetup history of a trade, newest first, with the agreed meetup if any
+   */
+  static async getTradeMeetups(tradeId, userId) {
+    await getTradeForParticipant(tradeId, userId);
+
+    const meetups = await prisma.tradeMeetup.findMany({
+      where: { trade_id: tradeId },
+      include: meetupInclude,
+      orderBy: { created_at: 'desc' }
+    });
+
+    return {
+      agreed: meetups.find(m => m.status === 'ACCEPTED') || null,
+      pending: meetups.find(m => m.status === 'PROPOSED') || null,
+      history: meetups
+    };
+  }
+
+  /**
+   * Propose a meeting place with one or more time slots
+   * Any open proposal or agreed meetup is marked as rescheduled
+   */
+  static async proposeMeetup(tradeId, meetupData, userId) {
+    const trade = await getTradeForParticipant(tradeId, userId);
+    assertTradePending(trade);
+
+    const { location_label, latitude, longitude, note, slots } = meetupData;
+
+    const meetup = await prisma.$transaction(async (tx) => {
+      await tx.tradeMeetup.updateMany({
+        where: { trade_id: tradeId, status: { in: ['PROPOSED', 'ACCEPTED'] } },
+        data: { status: 'RESCHEDULED', responded_at: new Date() }
+      });
+
+      // The trade has no agreed place until the new proposal is accepted
+      await tx.trade.update({
+        where: { id: tradeId },
+        data: { location: null }
+      });
+
+      return tx.tradeMeetup.create({
+        data: {
+          trade_id: tradeId,
+          proposed_by_id: userId,
+          location_label,
+          latitude,
+          longitude,
+          note: note || null,
+          slots: {
+            create: slots.map(slot => ({
+              starts_at: slot.starts_at,
+              ends_at: slot.ends_at || null
+            }))
+          }
+        },
+        include: meetupInclude
+      });
+    });
+
+    RealtimeService.publish([getOtherPartyId(trade, userId)], 'meetup.proposed', meetup);
+
+    return meetup;
+  }
+
+  /**
+   * Accept one slot of a meetup proposed by the other party
+   */
+  static async acceptMeetup(tradeId, meetupId, slotId, userId) {
+    const trade = await getTradeForParticipant(tradeId, userId);
+    assertTradePending(trade);
+    const meetup = await getMeetup(trade, meetupId, ['PROPOSED']);
+
+    if (meetup.proposed_by_id === userId) {
+      throw new Error('You can only accept meetups proposed by the other party');
+    }
+
+    const slot = meetup.slots.find(s => s.id === slotId);
+    if (!slot) {
+      throw new Error('Meetup slot not found');
+    }
+
+    const acceptedMeetup = await prisma.$transaction(async (tx) => {
+      await tx.meetupSlot.update({
+        where: { id: slotId },
+        data: { is_accepted: true }
+      });
+
+      // The trade may have been closed since it was loaded
+      const { count } = await tx.trade.updateMany({
+        where: { id: tradeId, status: 'PENDING' },
+        data: { location: meetup.location_label }
+      });
+
+      if (count === 0) {
+        throw new Error('Trade was changed by another action, please try again');
+      }
+
+      return tx.tradeMeetup.update({
+        where: { id: meetupId },
+        data: {
+          status: 'ACCEPTED',
+          scheduled_at: slot.starts_at,
+          responded_at: new Date()
+        },
+        include: meetupInclude
+      });
+    });
+
+    RealtimeService.publish([meetup.proposed_by_id], 'meetup.accepted', acceptedMeetup);
+
+    return acceptedMeetup;
+  }
+
+  /**
+   * Decline a meetup proposed by the other party
+   */
+  static async declineMeetup(tradeId, meetupId, userId) {
+    const trade = await getTradeForParticipant(tradeId, userId);
+    assertTradePending(trade);
+    const meetup = await getMeetup(trade, meetupId, ['PROPOSED']);
+
+    if (meetup.proposed_by_id === userId) {
+      throw new Error('You can only decline meetups proposed by the other party');
+    }
+
+    const declinedMeetup = await prisma.tradeMeetup.update({
+      where: { id: meetupId },
+      data: { status: 'DECLINED', responded_at: new Date() },
+      include: meetupInclude
+    });
+
+    RealtimeService.publish([meetup.proposed_by_id], 'meetup.declined', declinedMeetup);
+
+    return declinedMeetup;
+  }
+
+  /**
+   * Cancel an open proposal or an agreed meetup (either party)
+   */
+  static async cancelMeetup(tradeId, meetupId, userId) {
+    const trade = await getTradeForParticipant(tradeId, userId);
+    const meetup = await getMeetup(trade, meetupId, ['PROPOSED', 'ACCEPTED']);
+
+    const cancelledMeetup = await prisma.$transaction(async (tx) => {
+      if (meetup.status === 'ACCEPTED') {
+        await tx.trade.update({
+          where: { id: tradeId },
+          data: { location: null }
+        });
+      }
+
+      return tx.tradeMeetup.update({
+        where: { id: meetupId },
+        data: { status: 'CANCELLED', responded_at: new Date() },
+        include: meetupInclude
+      });
+    });
+
+    RealtimeService.publish([getOtherPartyId(trade, userId)], 'meetup.cancelled', cancelledMeetup);
+
+    return cancelledMeetup;
+  }
+
+  /**
+   * Suggest a fair meeting point halfway between both participants
+   * Falls back to the location of each side's item when a user has no coordinates
+   * (giveaways have no offered item)
+   */
+  static async suggestMeetingPoint(tradeId, userId) {
+    await getTradeForParticipant(tradeId, userId);
+
+    const trade = await prisma.trade.findUnique({
+      where: { id: tradeId },
+      include: {
+        owner: { select: { id: true, latitude: true, longitude: true } },
+        requester: { select: { id: true, latitude: true, longitude: true } },
+        requested_item: { select: { latitude: true, longitude: true } },
+        offered_item: { select: { latitude: true, longitude: true } }
+      }
+    });
+
+    const pickLocation = (user, item) => {
+      if (user.latitude != null && user.longitude != null) return user;
+      if (item?.latitude != null && item?.longitude != null) return item;
+      return null;
+    };
+
+    const ownerLocation = pickLocation(trade.owner, trade.requested_item);
+    const requesterLocation = pickLocation(trade.requester, trade.offered_item);
+
+    if (!ownerLocation || !requesterLocation) {
+      throw new Error('Both participants must be located to suggest a meeting point');
+    }
+
+    const midpoint = calculateMidpoint(
+      ownerLocation.latitude, ownerLocation.longitude,
+      requesterLocation.latitude, requesterLocation.longitude
+    );
+
+    const distanceFrom = (location) => Math.round(calculateDistance(
+      location.latitude, location.longitude, midpoint.latitude, midpoint.longitude
+    ) * 10) / 10;
+
+    return {
+      latitude: midpoint.latitude,
+      longitude: midpoint.longitude,
+      distance_km: {
+        owner: distanceFrom(ownerLocation),
+        requester: distanceFrom(requesterLocation)
+      }
+    };
+  }
+}
@@ -0,0 +1,136 @@
+// services/messageService.js
+import { PrismaClient } from '@prisma/client';
+import { RealtimeService } from './realtimeService.js';
+
+const prisma = new PrismaClient();
+
+export class MessageService {
+
+  /**
+   * Resolve the conversation of a trade request or a trade
+   * Messages are shared across every revision of a negotiation
+   */
+  static async getThread({ requestId, tradeId }, userId) {
+    if (tradeId) {
+      const trade = await prisma.trade.findUnique({
+        where: { id: tradeId },
+        select: { trade_request_id: true }
+      });
+
+      if (!trade) {
+        throw new Error('Trade not found');
+      }
+
+      requestId = trade.trade_request_id;
+    }
+
+    const tradeRequest = await prisma.tradeRequest.findUnique({
+      where: { id: requestId },
+      select: {
+        id: true,
+        status: true,
+        requester_id: true,
+        negotiation_id: true,
+        requested_item: { select: { user_id: true } }
+      }
+    });
+
+    if (!tradeRequest) {
+      throw new Error('Trade request not found');
+    }
+
+    const participantIds = [tradeRequest.requester_id, tradeRequest.requested_item.user_id];
+
+    if (!participantIds.includes(userId)) {
+      throw new Error('Access denied: you are not part of this trade');
+    }
+
+    const revisions = tradeRequest.negotiation_id
+      ? await prisma.tradeRequest.findMany({
+          where: { negotiation_id: tradeRequest.negotiation_id },
+          select: { id: true, status: true },
+          orderBy: { revision: 'asc' }
+        })
+      : [{ id: tradeRequest.id, status: tradeRequest.status }];
+
+    return {
+      tradeRequestId: tradeRequest.id,
+      requestIds: revisions.map(r => r.id),
+      currentStatus: revisions[revisions.length - 1].status,
+      participantIds
+    };
+  }
+
+  /**
+   * Get all messages of a conversation, oldest first
+   */
+  static async getMessages(target, userId) {
+    const thread = await MessageService.getThread(target, userId);
+
+    const [messages, unreadCount] = await Promise.all([
+      prisma.tradeMessage.findMany({
+        where: { trade_request_id: { in: thread.requestIds } },
+        include: {
+          sender: { select: { id: true, name: true, image: true } }
+        },
+        orderBy: { created_at: 'asc' }
+      }),
+      prisma.tradeMessage.count({
+        where: {
+          trade_request_id: { in: thread.requestIds },
+          sender_id: { not: userId },
+          read_at: null
+        }
+      })
+    ]);
+
+    return {
+      messages,
+      unread_count: unreadCount
+    };
+  }
+
+  /**
+   * Post a message to a conversation
+   */
+  static async sendMessage(target, body, userId) {
+    const thread = await MessageService.getThread(target, userId);
+
+    if (['REJECTED', 'CANCELLED', 'EXPIRED'].includes(thread.currentStatus)) {
+      throw new Error('Messages cannot be sent on a closed trade request');
+    }
+
+    const message = await prisma.tradeMessage.create({
+      data: {
+        trade_request_id: thread.tradeRequestId,
+        sender_id: userId,
+        body
+      },
+      include: {
+        sender: { select: { id: true, name: true, image: true } }
+      }
+    });
+
+    RealtimeService.publish(thread.participantIds.filter(id => id !== userId), 'message.created', message);
+
+    return message;
+  }
+
+  /**
+   * Mark every message from the other party as read
+   */
+  static async markAsRead(target, userId) {
+    const thread = await MessageService.getThread(target, userId);
+
+    const result = await prisma.tradeMessage.updateMany({
+      where: {
+        trade_request_id: { in: thread.requestIds },
+        sender_id: { not: userId },
+        read_at: null
+      },
+      data: { read_at: new Date() }
+    });
+
+    return { updated: result.count };
+  }
+}
@@ -1,62 +1,92 @@
 // services/ratingService.js
 import { PrismaClient } from '@prisma/client';
+import { RealtimeService } from './realtimeService.js';
+import { cursorWhere, cursorOrderBy, toCursorPage, DEFAULT_PAGE_SIZE } from '../utils/pagination.js';
 
 const prisma = new PrismaClient();
 
+// Loyalty points a rating gives its reviewee for each star
+export const LOYALTY_POINTS_PER_STAR = 5;
+
+/**
+ * Load the completed trade or returned loan a rating is given for
+ * Returns a label for error messages and the IDs of both participants
+ */
+async function findRatedExchange(tradeId, loanId) {
+  if (loanId) {
+    const loan = await prisma.loan.findUnique({
+      where: { id: loanId },
+      select: { lender_id: true, borrower_id: true, status: true }
+    });
+
+    if (!loan) {
+      throw new Error('Loan not found');
+    }
+
+    if (loan.status !== 'RETURNED') {
+      throw new Error('You can only rate users from returned loans');
+    }
+
+    return { label: 'loan', participantIds: [loan.lender_id, loan.borrower_id] };
+  }
+
+  const trade = await prisma.trade.findUnique({
+    where: { id: tradeId },
+    select: { 
+      owner_id: true, 
+      requester_id: true, 
+      status: true
+    }
+  });
+
+  if (!trade) {
+    throw new Error('Trade not found');
+  }
+
+  if (trade.status !== 'COMPLETED') {
+    throw new Error('You can only rate users from completed trades');
+  }
+
+  return { label: 'trade', participantIds: [trade.owner_id, trade.requester_id] };
+}
+
 export class RatingService {
 
   /**
    * Create a new rating
    */
   static async createRating(ratingData, raterId) {
-    const { reviewee_id, trade_id, rating, comment } = ratingData;
+    const { reviewee_id, trade_id, loan_id, rating, comment } = ratingData;
 
     // Validate user is not rating themselves
     if (raterId === reviewee_id) {
       throw new Error('You cannot rate yourself');
     }
 
-    // Validate the trade and user's involvement
-    const trade = await prisma.trade.findUnique({
-      where: { id: trade_id },
-      select: { 
-        owner_id: true, 
-        requester_id: true, 
-        status: true
-      }
-    });
-
-    if (!trade) {
-      throw new Error('Trade not found');
-    }
-
-    if (trade.status !== 'COMPLETED') {
-      throw new Error('You can only rate users from completed trades');
-    }
+    // Validate the trade or loan and user's involvement
+    const { label, participantIds } = await findRatedExchange(trade_id, loan_id);
 
-    // Validate the rater was part of the trade
-    const isUserInTrade = trade.owner_id === raterId || trade.requester_id === raterId;
-    if (!isUserInTrade) {
-      throw new Error('You can only rate users from trades you participated in');
+    // Validate the rater was part of the trade or loan
+    if (!participantIds.includes(raterId)) {
+      throw new Error(`You can only rate users from ${label}s you participated in`);
     }
 
-    // Validate the rated user was part of the trade and is the other party
-    const isRatedUserInTrade = trade.owner_id === reviewee_id || trade.requester_id === reviewee_id;
-    if (!isRatedUserInTrade) {
-      throw new Error('You can only rate the other party in the trade');
+    // Validate the rated user was part of the trade or loan and is the other party
+    if (!participantIds.includes(reviewee_id)) {
+      throw new Error(`You can only rate the other party in the ${label}`);
     }
 
-    // Check if rating already exists for this trade
+    // Check if rating already exists for this trade or loan
     const existingRating = await prisma.rating.findFirst({
       where: {
         reviewer_id: raterId,
         reviewee_id: reviewee_id,
-        trade_id: trade_id
+        ...(loan_id ? { loan_id } : { trade_id })
       }
     });
 
     if (existingRating) {
-      throw new Error('You have already rated this user for this trade');
+      throw new Error(`You have already rated this user for this ${label}`);
     }
 
     // Create the rating and update loyalty points in a transaction
@@ -66,7 +96,8 @@ export class RatingService {
         data: {
           reviewer_id: raterId,
           reviewee_id,
-          trade_id,
+          trade_id: trade_id || null,
+          loan_id: loan_id || null,
           rating,
           comment: comment || null
         },
@@ -83,12 +114,18 @@ export class RatingService {
               requested_item: { select: { title: true } },
               offered_item: { select: { title: true } }
             }
+          },
+          loan: {
+            select: {
+              id: true,
+              item: { select: { title: true } }
+            }
           }
         }
       });
 
-      // Calculate loyalty points (5 points per star)
-      const loyaltyPoints = rating * 5;
+      // Calculate loyalty points
+      const loyaltyPoints = rating * LOYALTY_POINTS_PER_STAR;
 
       // Add loyalty points to the reviewee
       await tx.user.update({
@@ -103,6 +140,8 @@ export class RatingService {
       return newRating;
     });
 
+    RealtimeService.publish([reviewee_id], 'rating.created', result);
+
     return result;
   }
 
@@ -131,8 +170,8 @@ export class RatingService {
     // If rating value is being updated, calculate loyalty point difference
     let loyaltyPointsDiff = 0;
     if (updateData.rating && updateData.rating !== existingRating.rating) {
-      const oldPoints = existingRating.rating * 5;
-      const newPoints = updateData.rating * 5;
+      const oldPoints = existingRating.rating * LOYALTY_POINTS_PER_STAR;
+      const newPoints = updateData.rating * LOYALTY_POINTS_PER_STAR;
       loyaltyPointsDiff = newPoints - oldPoints;
     }
 
@@ -154,6 +193,12 @@ export class RatingService {
               requested_item: { select: { title: true } },
               offered_item: { select: { title: true } }
             }
+          },
+          loan: {
+            select: {
+              id: true,
+              item: { select: { title: true } }
+            }
           }
         }
       });
@@ -201,7 +246,7 @@ export class RatingService {
       });
 
       // Subtract loyalty points that were given for this rating
-      const pointsToSubtract = existingRating.rating * 5;
+      const pointsToSubtract = existingRating.rating * LOYALTY_POINTS_PER_STAR;
       await tx.user.update({
         where: { id: existingRating.reviewee_id },
         data: {
@@ -216,18 +261,19 @@ export class RatingService {
   }
 
   /**
-   * Get ratings for a user (ratings they received)
+   * Get ratings for a user (ratings they received), newest first
+   * Paged by limit with a decoded cursor; returns the next page's cursor.
    */
-  static async getUserRatings(userId, type = 'received') {
+  static async getUserRatings(userId, type = 'received', { cursor, limit = DEFAULT_PAGE_SIZE } = {}) {
     
 
     const whereClause = type === 'given' 
       ? { reviewer_id: userId }
       : { reviewee_id: userId };
 
-    const [ratings, total, averageRating] = await Promise.all([
+    const [records, total, averageRating] = await Promise.all([
       prisma.rating.findMany({
-        where: whereClause,
+        where: cursor ? { AND: [whereClause, cursorWhere('created_at', cursor)] } : whereClause,
         include: {
           reviewer: {
             select: { id: true, name: true, image: true }
@@ -241,9 +287,16 @@ export class RatingService {
               requested_item: { select: { title: true } },
               offered_item: { select: { title: true } }
             }
+          },
+          loan: {
+            select: {
+              id: true,
+              item: { select: { title: true } }
+            }
           }
         },
-        orderBy: { created_at: 'desc' }
+        orderBy: cursorOrderBy('created_at'),
+        take: limit + 1
       }),
       prisma.rating.count({ where: whereClause }),
       prisma.rating.aggregate({
@@ -252,6 +305,7 @@ export class RatingService {
         _count: { rating: true }
       })
     ]);
+    const { data: ratings, nextCursor } = toCursorPage(records, 'created_at', limit);
 
     return {
       ratings,
@@ -259,7 +313,8 @@ export class RatingService {
         averageRating: averageRating._avg.rating ? 
           Math.round(averageRating._avg.rating * 10) / 10 : 0,
         totalRatings: averageRating._count.rating
-      }
+      },
+      nextCursor
     };
   }
 
@@ -318,41 +373,33 @@ export class RatingService {
   }
 
   /**
-   * Get pending ratings (trades that can be rated)
+   * Get pending ratings: completed trades and returned loans where the user
+   * hasn't rated the other party yet, most recently finished first
    */
   static async getPendingRatings(userId, pagination) {
     const { page, limit } = pagination;
     const skip = (page - 1) * limit;
 
-    // Find completed trades where user hasn't rated the other party yet
-    const [pendingRatings, total] = await Promise.all([
+    const userSelect = { select: { id: true, name: true, image: true } };
+    const tradeWhere = {
+      status: 'COMPLETED',
+      OR: [{ owner_id: userId }, { requester_id: userId }],
+      // No existing rating from this user for this trade
+      ratings: { none: { reviewer_id: userId } }
+    };
+    const loanWhere = {
+      status: 'RETURNED',
+      OR: [{ lender_id: userId }, { borrower_id: userId }],
+      ratings: { none: { reviewer_id: userId } }
+    };
+
+    // Both lists are merged by date, so each is read up to the end of the requested page
+    const [trades, tradeTotal, loans, loanTotal] = await Promise.all([
       prisma.trade.findMany({
-        where: {
-          AND: [
-            { status: 'COMPLETED' },
-            {
-              OR: [
-                { user1_id: userId },
-                { user2_id: userId }
-              ]
-            },
-            // No existing rating from this user for this trade
-            {
-              ratings: {
-                none: {
-                  rater_id: userId
-                }
-              }
-            }
-          ]
-        },
+        where: tradeWhere,
         include: {
-          user1: {
-            select: { id: true, name: true, image: true }
-          },
-          user2: {
-            select: { id: true, name: true, image: true }
-          },
+          owner: userSelect,
+          requester: userSelect,
           requested_item: {
             select: { title: true, images: true }
           },
@@ -361,47 +408,52 @@ export class RatingService {
           }
         },
         orderBy: { completed_at: 'desc' },
-        skip,
-        take: limit
+        take: skip + limit
       }),
-      prisma.trade.count({
-        where: {
-          AND: [
-            { status: 'COMPLETED' },
-            {
-              OR: [
-                { user1_id: userId },
-                { user2_id: userId }
-              ]
-            },
-            {
-              ratings: {
-                none: {
-                  rater_id: userId
-                }
-              }
-            }
-          ]
-        }
-      })
+      prisma.trade.count({ where: tradeWhere }),
+      prisma.loan.findMany({
+        where: loanWhere,
+        include: {
+          lender: userSelect,
+          borrower: userSelect,
+          item: {
+            select: { title: true, images: true }
+          }
+        },
+        orderBy: { returned_at: 'desc' },
+        take: skip + limit
+      }),
+      prisma.loan.count({ where: loanWhere })
     ]);
 
     // Format the response to include the user to be rated
-    const formattedPendingRatings = pendingRatings.map(trade => {
-      const otherUser = trade.user1_id === userId ? trade.user2 : trade.user1;
-      return {
+    const pendingRatings = [
+      ...trades.map(trade => ({
         trade: {
           id: trade.id,
           completed_at: trade.completed_at,
           requested_item: trade.requested_item,
           offered_item: trade.offered_item
         },
-        userToRate: otherUser
-      };
-    });
+        userToRate: trade.owner_id === userId ? trade.requester : trade.owner
+      })),
+      ...loans.map(loan => ({
+        loan: {
+          id: loan.id,
+          returned_at: loan.returned_at,
+          item: loan.item
+        },
+        userToRate: loan.lender_id === userId ? loan.borrower : loan.lender
+      }))
+    ];
+
+    const finishedAt = pending => pending.trade ? pending.trade.completed_at : pending.loan.returned_at;
+    pendingRatings.sort((a, b) => (finishedAt(b) || 0) - (finishedAt(a) || 0));
+
+    const total = tradeTotal + loanTotal;
 
     return {
-      pendingRatings: formattedPendingRatings,
+      pendingRatings: pendingRatings.slice(skip, skip + limit),
       pagination: {
         page,
         limit,
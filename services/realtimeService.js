@@ -0,0 +1,73 @@
+// services/realtimeService.js
+
+// Comment lines keep idle connections open through proxies
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// userId → Set of open Server-Sent Events responses (one per tab/device)
+const clients = new Map();
+let nextEventId = 1;
+
+/**
+ * In-process hub pushing events to connected users over Server-Sent Events.
+ * Connections live in this server process only.
+ */
+export class RealtimeService {
+
+  /**
+   * Register an open event stream for a user
+   * @returns {Function} Cleanup function to call when the connection closes
+   */
+  static subscribe(userId, res) {
+    if (!clients.has(userId)) {
+      clients.set(userId, new Set());
+    }
+    clients.get(userId).add(res);
+
+    const heartbeat = setInterval(() => {
+      res.write(': ping\n\n');
+    }, HEARTBEAT_INTERVAL_MS);
+
+    res.write(`event: connected\ndata: ${JSON.stringify({ userId })}\n\n`);
+
+    return () => {
+      clearInterval(heartbeat);
+      const connections = clients.get(userId);
+      if (connections) {
+        connections.delete(res);
+        if (connections.size === 0) {
+          clients.delete(userId);
+        }
+      }
+    };
+  }
+
+  /**
+   * Push an event to every open connection of the given users
+   * @param {Array<string>} userIds - Recipients (duplicates are ignored)
+   * @param {string} event - Event name, e.g. 'trade_request.created'
+   * @param {Object} data - JSON-serialisable payload
+   */
+  static publish(userIds, event, data) {
+    const payload = `id: ${nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+    for (const userId of new Set(userIds)) {
+      const connections = clients.get(userId);
+      if (!connections) continue;
+
+      for (const res of connections) {
+        try {
+          res.write(payload);
+        } catch (error) {
+          console.warn('Could not push event to user:', userId, error.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * Check whether a user currently has an open event stream
+   */
+  static isConnected(userId) {
+    return clients.has(userId);
+  }
+}
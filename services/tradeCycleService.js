@@ -0,0 +1,498 @@
+// services/tradeCycleService.js
+import { PrismaClient } from '@prisma/client';
+import { RealtimeService } from './realtimeService.js';
+import { TradeService } from './tradeService.js';
+import { TradeStateMachine } from './tradeStateMachine.js';
+import { HandoverService } from './handoverService.js';
+import { getExpirySettings } from '../utils/tradeSettings.js';
+
+const prisma = new PrismaClient();
+
+// Two-way matches are ordinary trade requests; longer cycles are too hard to coordinate
+const MIN_CYCLE_LENGTH = 3;
+const MAX_CYCLE_LENGTH = 4;
+
+// Only open requests of the last days show interest in the requested items
+const INTEREST_WINDOW_DAYS = 30;
+
+// Bounds on one matching run, so a large backlog of requests cannot stall the scheduler
+const MAX_INTEREST_REQUESTS = 5000;
+const MAX_CYCLE_CANDIDATES = 500;
+const MAX_SEARCH_STEPS = 100000;
+
+// Include for the legs of a cycle, in the order the items are handed on
+const cycleLegsInclude = {
+  include: {
+    giver: { select: { id: true, name: true, image: true } },
+    receiver: { select: { id: true, name: true, image: true } },
+    item: { include: { images: true } },
+    // Hand-off of the leg, completed like any trade with handover codes
+    trade: { select: { id: true, status: true, completed_at: true } }
+  },
+  orderBy: { position: 'asc' }
+};
+
+/**
+ * Build the interest graph from recent PENDING trade requests.
+ * Maps each requester to the AVAILABLE items they asked for and the owners of those items.
+ * Items already in an open cycle are left out.
+ */
+async function buildInterestGraph() {
+  const since = new Date(Date.now() - INTEREST_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const [requests, openLegs] = await Promise.all([
+    prisma.tradeRequest.findMany({
+      where: {
+        status: 'PENDING',
+        requested_at: { gte: since },
+        requested_item: { status: 'AVAILABLE' }
+      },
+      orderBy: { requested_at: 'desc' },
+      take: MAX_INTEREST_REQUESTS,
+      select: {
+        requester_id: true,
+        requested_item: { select: { id: true, user_id: true, status: true } },
+        items: {
+          where: { side: 'REQUESTED' },
+          select: { item: { select: { id: true, user_id: true, status: true } } }
+        }
+      }
+    }),
+    prisma.tradeCycleLeg.findMany({
+      where: { cycle: { status: { in: ['PROPOSED', 'ACCEPTED'] } } },
+      select: { item_id: true }
+    })
+  ]);
+
+  const busyItemIds = new Set(openLegs.map(leg => leg.item_id));
+  const graph = new Map();
+
+  for (const request of requests) {
+    const wantedItems = request.items.length > 0
+      ? request.items.map(i => i.item)
+      : [request.requested_item];
+
+    for (const item of wantedItems) {
+      if (item.status !== 'AVAILABLE' || busyItemIds.has(item.id) || item.user_id === request.requester_id) {
+        continue;
+      }
+
+      if (!graph.has(request.requester_id)) {
+        graph.set(request.requester_id, new Map());
+      }
+      graph.get(request.requester_id).set(item.id, item.user_id);
+    }
+  }
+
+  return graph;
+}
+
+/**
+ * Find the cycles of MIN_CYCLE_LENGTH to MAX_CYCLE_LENGTH users in the interest graph.
+ * A cycle is a list of legs { receiverId, itemId, giverId } where the receiver wants the
+ * giver's item and each giver is the next leg's receiver. Walks only start from the
+ * smallest user ID of a cycle, so every cycle is found once per item combination.
+ * The search stops after MAX_CYCLE_CANDIDATES cycles or MAX_SEARCH_STEPS legs walked;
+ * their items drop out of the graph once proposed, so a later run finds the rest.
+ */
+function findCycles(graph) {
+  const cycles = [];
+  let steps = 0;
+
+  const isExhausted = () => cycles.length >= MAX_CYCLE_CANDIDATES || steps >= MAX_SEARCH_STEPS;
+
+  const walk = (startId, receiverId, legs, visited) => {
+    for (const [itemId, giverId] of graph.get(receiverId) || []) {
+      if (isExhausted()) {
+        return;
+      }
+
+      steps++;
+      const leg = { receiverId, itemId, giverId };
+
+      if (giverId === startId) {
+        if (legs.length + 1 >= MIN_CYCLE_LENGTH) {
+          cycles.push([...legs, leg]);
+        }
+        continue;
+      }
+
+      if (giverId < startId || visited.has(giverId) || legs.length + 1 >= MAX_CYCLE_LENGTH) {
+        continue;
+      }
+
+      visited.add(giverId);
+      walk(startId, giverId, [...legs, leg], visited);
+      visited.delete(giverId);
+    }
+  };
+
+  for (const userId of graph.keys()) {
+    if (isExhausted()) {
+      break;
+    }
+    walk(userId, userId, [], new Set([userId]));
+  }
+
+  return cycles;
+}
+
+function getCycleSignature(legs) {
+  return legs.map(leg => leg.itemId).sort().join(':');
+}
+
+/**
+ * Load a cycle and check the user takes part in it
+ */
+async function findParticipantCycle(cycleId, userId) {
+  const cycle = await prisma.tradeCycle.findUnique({
+    where: { id: cycleId },
+    include: {
+      legs: {
+        include: { item: { select: { id: true, title: true, status: true } } },
+        orderBy: { position: 'asc' }
+      }
+    }
+  });
+
+  if (!cycle) {
+    throw new Error('Trade cycle not found');
+  }
+
+  if (!cycle.legs.some(leg => leg.giver_id === userId)) {
+    throw new Error('You can only manage trade cycles you are part of');
+  }
+
+  return cycle;
+}
+
+function getParticipantIds(cycle) {
+  return cycle.legs.map(leg => leg.giver_id);
+}
+
+/**
+ * Create the trade a cycle leg is handed over with, like a giveaway hand-off: an accepted
+ * trade request and trade with only the giver's item, so the leg gets handover codes,
+ * a receipt, ratings and disputes. Must run inside a transaction.
+ */
+async function createLegTrade(tx, cycleId, leg, actorId) {
+  const tradeRequest = await tx.tradeRequest.create({
+    data: {
+      requested_item_id: leg.item_id,
+      requester_id: leg.receiver_id,
+      status: 'ACCEPTED',
+      items: { create: [{ item_id: leg.item_id, side: 'REQUESTED' }] }
+    }
+  });
+
+  const trade = await tx.trade.create({
+    data: {
+      trade_request_id: tradeRequest.id,
+      owner_id: leg.giver_id,
+      requester_id: leg.receiver_id,
+      requested_item_id: leg.item_id,
+      status: 'PENDING'
+    }
+  });
+
+  await tx.tradeCycleLeg.update({
+    where: { id: leg.id },
+    data: { trade_request_id: tradeRequest.id, trade_id: trade.id }
+  });
+
+  const eventContext = {
+    actorId,
+    reason: 'Trade cycle accepted by every participant',
+    tradeRequestId: tradeRequest.id,
+    tradeId: trade.id,
+    cycleId
+  };
+  await TradeStateMachine.recordCreated(tx, 'TRADE_REQUEST', tradeRequest.id, 'ACCEPTED', eventContext);
+  await TradeStateMachine.recordCreated(tx, 'TRADE', trade.id, 'PENDING', eventContext);
+
+  await HandoverService.createCodes(tx, trade);
+}
+
+function getCycleWithLegs(tx, cycleId) {
+  return tx.tradeCycle.findUnique({
+    where: { id: cycleId },
+    include: { legs: cycleLegsInclude }
+  });
+}
+
+export class TradeCycleService {
+
+  /**
+   * Discover new swap cycles and propose them to their participants
+   * Shorter cycles are preferred and an item is only ever in one open cycle.
+   * Run periodically by the scheduler
+   */
+  static async matchCycles() {
+    const graph = await buildInterestGraph();
+    const candidates = findCycles(graph).sort((a, b) => a.length - b.length);
+
+    if (candidates.length === 0) {
+      return { processed: 0 };
+    }
+
+    // Cycles proposed before (even declined ones) are never proposed again
+    const knownCycles = await prisma.tradeCycle.findMany({
+      where: { signature: { in: candidates.map(getCycleSignature) } },
+      select: { signature: true }
+    });
+    const knownSignatures = new Set(knownCycles.map(c => c.signature));
+    const usedItemIds = new Set();
+    let processed = 0;
+
+    for (const legs of candidates) {
+      const signature = getCycleSignature(legs);
+
+      if (knownSignatures.has(signature) || legs.some(leg => usedItemIds.has(leg.itemId))) {
+        continue;
+      }
+
+      const cycle = await prisma.$transaction(async (tx) => {
+        const createdCycle = await tx.tradeCycle.create({
+          data: {
+            signature,
+            status: 'PROPOSED',
+            legs: {
+              create: legs.map((leg, position) => ({
+                position,
+                giver_id: leg.giverId,
+                receiver_id: leg.receiverId,
+                item_id: leg.itemId
+              }))
+            }
+          }
+        });
+
+        await TradeStateMachine.recordCreated(tx, 'TRADE_CYCLE', createdCycle.id, 'PROPOSED', {
+          reason: `Found a ${legs.length}-way swap`
+        });
+
+        return getCycleWithLegs(tx, createdCycle.id);
+      });
+
+      legs.forEach(leg => usedItemIds.add(leg.itemId));
+      knownSignatures.add(signature);
+      processed++;
+
+      RealtimeService.publish(getParticipantIds(cycle), 'trade_cycle.proposed', cycle);
+    }
+
+    return { processed };
+  }
+
+  /**
+   * Get the trade cycles a user takes part in
+   */
+  static async getUserCycles(userId) {
+    const cycles = await prisma.tradeCycle.findMany({
+      where: {
+        legs: { some: { giver_id: userId } }
+      },
+      include: { legs: cycleLegsInclude },
+      orderBy: { created_at: 'desc' }
+    });
+
+    return cycles;
+  }
+
+  /**
+   * Get a trade cycle with its legs and status timeline
+   */
+  static async getCycle(cycleId, userId) {
+    await findParticipantCycle(cycleId, userId);
+
+    const cycle = await prisma.tradeCycle.findUnique({
+      where: { id: cycleId },
+      include: {
+        legs: cycleLegsInclude,
+        events: {
+          include: { actor: { select: { id: true, name: true, image: true } } },
+          orderBy: { created_at: 'asc' }
+        }
+      }
+    });
+
+    return cycle;
+  }
+
+  /**
+   * Accept a proposed trade cycle
+   * Once every participant has accepted, all items are reserved and each leg becomes a trade
+   * of its own; the cycle completes when all of those trades have
+   */
+  static async acceptCycle(cycleId, userId) {
+    const cycle = await findParticipantCycle(cycleId, userId);
+    TradeStateMachine.assertTransition('TRADE_CYCLE', cycle.status, 'ACCEPTED');
+
+    const leg = cycle.legs.find(l => l.giver_id === userId);
+    if (leg.accepted_at) {
+      throw new Error('You have already accepted this trade cycle');
+    }
+
+    // A cycle with an item that was traded or removed in the meantime can never go through
+    const unavailableLeg = cycle.legs.find(l => l.item.status !== 'AVAILABLE');
+    if (unavailableLeg) {
+      const reason = `Item "${unavailableLeg.item.title}" is no longer available`;
+      await prisma.$transaction(tx =>
+        TradeStateMachine.transition(tx, 'TRADE_CYCLE', cycleId, 'PROPOSED', 'CANCELLED', {
+          data: { closed_reason: reason },
+          reason
+        })
+      );
+      RealtimeService.publish(getParticipantIds(cycle), 'trade_cycle.cancelled', { cycleId, reason });
+      throw new Error(reason);
+    }
+
+    const itemIds = cycle.legs.map(l => l.item_id);
+
+    const result = await prisma.$transaction(async (tx) => {
+      // Lock the cycle row so concurrent acceptances are serialised
+      await tx.tradeCycle.update({
+        where: { id: cycleId },
+        data: { updated_at: new Date() }
+      });
+
+      await tx.tradeCycleLeg.update({
+        where: { id: leg.id },
+        data: { accepted_at: new Date() }
+      });
+
+      const pendingLegs = await tx.tradeCycleLeg.count({
+        where: { cycle_id: cycleId, accepted_at: null }
+      });
+
+      if (pendingLegs > 0) {
+        return { cycle: await getCycleWithLegs(tx, cycleId) };
+      }
+
+      const eventContext = { actorId: userId, cycleId };
+
+      await TradeStateMachine.transition(tx, 'TRADE_CYCLE', cycleId, 'PROPOSED', 'ACCEPTED', {
+        ...eventContext,
+        data: { accepted_at: new Date() },
+        reason: 'Accepted by every participant'
+      });
+
+      await TradeStateMachine.transitionMany(tx, 'ITEM', itemIds, 'AVAILABLE', 'RESERVED', eventContext);
+
+      const closedOffers = await TradeService.closeCompetingOffers(tx, itemIds, { excludeCycleId: cycleId });
+
+      for (const cycleLeg of cycle.legs) {
+        await createLegTrade(tx, cycleId, cycleLeg, userId);
+      }
+
+      return { cycle: await getCycleWithLegs(tx, cycleId), closedOffers };
+    });
+
+    if (result.closedOffers) {
+      RealtimeService.publish(getParticipantIds(cycle), 'trade_cycle.accepted', result.cycle);
+      TradeService.notifyClosedOffers(result.closedOffers);
+    } else {
+      RealtimeService.publish(
+        getParticipantIds(cycle).filter(id => id !== userId),
+        'trade_cycle.participant_accepted',
+        { cycleId, userId }
+      );
+    }
+
+    return result.cycle;
+  }
+
+  /**
+   * Decline a proposed trade cycle; one decline ends it for everyone
+   */
+  static async declineCycle(cycleId, userId) {
+    const cycle = await findParticipantCycle(cycleId, userId);
+
+    const declinedCycle = await prisma.$transaction(tx =>
+      TradeStateMachine.transition(tx, 'TRADE_CYCLE', cycleId, cycle.status, 'DECLINED', {
+        data: { closed_reason: 'Declined by a participant' },
+        actorId: userId,
+        include: { legs: cycleLegsInclude }
+      })
+    );
+
+    RealtimeService.publish(
+      getParticipantIds(cycle).filter(id => id !== userId),
+      'trade_cycle.declined',
+      { cycleId, userId }
+    );
+
+    return declinedCycle;
+  }
+
+  /**
+   * Cancel a trade cycle; the trades of its legs not completed yet are cancelled too
+   * and their items become available again
+   */
+  static async cancelCycle(cycleId, userId) {
+    const cycle = await findParticipantCycle(cycleId, userId);
+    TradeStateMachine.assertTransition('TRADE_CYCLE', cycle.status, 'CANCELLED');
+
+    const reason = 'Cancelled by a participant';
+
+    const cancelledCycle = await prisma.$transaction(async (tx) => {
+      await TradeStateMachine.transition(tx, 'TRADE_CYCLE', cycleId, cycle.status, 'CANCELLED', {
+        actorId: userId,
+        data: { closed_reason: reason }
+      });
+
+      if (cycle.status === 'ACCEPTED') {
+        await TradeService.cancelCycleTrades(tx, cycleId, { actorId: userId, reason });
+      }
+
+      return getCycleWithLegs(tx, cycleId);
+    });
+
+    RealtimeService.publish(getParticipantIds(cycle), 'trade_cycle.cancelled', {
+      cycleId,
+      cancelled_by: userId
+    });
+
+    return cancelledCycle;
+  }
+
+  /**
+   * Expire cycle proposals not accepted within the request expiry window
+   * Accepted cycles end with the trades of their legs, which expire like any trade.
+   * Run periodically by the scheduler
+   */
+  static async expireStaleCycles() {
+    const { requestDays } = getExpirySettings();
+    const cutoff = new Date(Date.now() - requestDays * 24 * 60 * 60 * 1000);
+
+    const staleCycles = await prisma.tradeCycle.findMany({
+      where: { status: 'PROPOSED', created_at: { lt: cutoff } },
+      include: { legs: { select: { giver_id: true } } }
+    });
+
+    const closedReason = `Not accepted by every participant within ${requestDays} days`;
+    let processed = 0;
+
+    for (const cycle of staleCycles) {
+      try {
+        await prisma.$transaction(tx =>
+          TradeStateMachine.transition(tx, 'TRADE_CYCLE', cycle.id, 'PROPOSED', 'EXPIRED', {
+            data: { closed_reason: closedReason },
+            reason: closedReason
+          })
+        );
+      } catch (error) {
+        console.error('Could not expire stale trade cycle:', cycle.id, error.message);
+        continue;
+      }
+
+      RealtimeService.publish(getParticipantIds(cycle), 'trade_cycle.expired', {
+        cycleId: cycle.id,
+        reason: closedReason
+      });
+      processed++;
+    }
+
+    return { processed };
+  }
+}
@@ -0,0 +1,114 @@
+// services/tradeQuotaService.js
+import { PrismaClient } from '@prisma/client';
+import { TRADE_REQUEST_QUOTAS } from '../utils/badgeSystem.js';
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Quota errors carry an error code and the quota that was hit for the response
+function quotaExceededError(message, errorCode, quota) {
+  const error = new Error(message);
+  error.errorCode = errorCode;
+  error.details = quota;
+  return error;
+}
+
+/**
+ * Current usage of a user's trade request quotas
+ * Open requests: pending revisions the user proposed; counter-offers the owner proposed to the
+ * user are waiting on the user, not on the owner, so they do not count.
+ * Daily requests: requests the user started in the last 24 hours; counter-offers, giveaways the
+ * user was picked for and the requests behind trade cycle legs do not count.
+ */
+async function loadQuota(db, userId) {
+  const user = await db.user.findUnique({
+    where: { id: userId },
+    select: { badge: true }
+  });
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const since = new Date(Date.now() - DAY_MS);
+  const limits = TRADE_REQUEST_QUOTAS[user.badge];
+
+  const [pendingCount, dailyRequests] = await Promise.all([
+    db.tradeRequest.count({
+      where: {
+        status: 'PENDING',
+        OR: [
+          { proposed_by_id: null, requester_id: userId },
+          { proposed_by_id: userId }
+        ]
+      }
+    }),
+    db.tradeRequest.findMany({
+      where: {
+        requester_id: userId,
+        revision: 1,
+        requested_at: { gte: since },
+        giveaway_claim: { is: null },
+        cycle_leg: { is: null }
+      },
+      select: { requested_at: true },
+      orderBy: { requested_at: 'asc' }
+    })
+  ]);
+
+  return {
+    badge: user.badge,
+    pending_requests: {
+      limit: limits.pendingRequests,
+      used: pendingCount,
+      remaining: Math.max(limits.pendingRequests - pendingCount, 0)
+    },
+    daily_requests: {
+      limit: limits.requestsPerDay,
+      used: dailyRequests.length,
+      remaining: Math.max(limits.requestsPerDay - dailyRequests.length, 0),
+      // The oldest request in the window frees up a slot 24 hours after it was sent
+      next_slot_at: dailyRequests.length > 0
+        ? new Date(dailyRequests[0].requested_at.getTime() + DAY_MS)
+        : null
+    }
+  };
+}
+
+export class TradeQuotaService {
+
+  /**
+   * Get a user's trade request quotas (limits scale with their badge)
+   */
+  static async getQuota(userId) {
+    return loadQuota(prisma, userId);
+  }
+
+  /**
+   * Throw if the user cannot start another trade request
+   * Run inside the (serializable) transaction creating the request so concurrent requests
+   * cannot both take the last slot.
+   */
+  static async assertCanCreateRequest(tx, userId) {
+    const quota = await loadQuota(tx, userId);
+
+    if (quota.pending_requests.remaining === 0) {
+      throw quotaExceededError(
+        `Pending trade request limit reached (${quota.pending_requests.limit} for ${quota.badge} badge), wait for answers or withdraw a request`,
+        'PENDING_REQUEST_QUOTA_EXCEEDED',
+        quota
+      );
+    }
+
+    if (quota.daily_requests.remaining === 0) {
+      throw quotaExceededError(
+        `Daily trade request limit reached (${quota.daily_requests.limit} for ${quota.badge} badge), try again later`,
+        'DAILY_REQUEST_QUOTA_EXCEEDED',
+        quota
+      );
+    }
+
+    return quota;
+  }
+}
@@ -1,94 +1,326 @@
 // services/tradeService.js
 import { PrismaClient } from '@prisma/client';
+import { RealtimeService } from './realtimeService.js';
+import { TradeStateMachine } from './tradeStateMachine.js';
+import { HandoverService } from './handoverService.js';
+import { MatchScoreService } from './matchScoreService.js';
+import { TradeQuotaService } from './tradeQuotaService.js';
+import { getConfirmationSettings, getExpirySettings } from '../utils/tradeSettings.js';
+import { runSerializable } from '../utils/transactions.js';
+import { buildReceipt } from '../utils/tradeReceipt.js';
+import { cursorWhere, cursorOrderBy, toCursorPage, DEFAULT_PAGE_SIZE } from '../utils/pagination.js';
 
 const prisma = new PrismaClient();
 
-export class TradeService {
-
-  /**
-   * Create a new trade request
-   */
-  static async createTradeRequest(requestData, requesterId) {
-    const { requested_item_id, offered_item_id } = requestData;
+// Most recent pending received requests ranked by sort=match_likelihood
+const MAX_SCORED_REQUESTS = 100;
 
-    // Validate items exist and are available
-    const [requestedItem, offeredItem] = await Promise.all([
-      prisma.item.findUnique({
-        where: { id: requested_item_id },
-        select: { id: true, user_id: true, status: true, title: true }
-      }),
-      prisma.item.findUnique({
-        where: { id: offered_item_id },
-        select: { id: true, user_id: true, status: true, title: true }
-      })
-    ]);
+// Include for every item on both sides of a (bundle) trade request
+const bundleItemsInclude = {
+  include: {
+    item: { include: { images: true } }
+  }
+};
 
-    // Validation checks
-    if (!requestedItem) {
-      throw new Error('Requested item not found');
+// Everything shown about a completed trade, in the history and on its receipt
+const completedTradeInclude = {
+  requested_item: {
+    include: { 
+      images: true,
+      user: { select: { id: true, name: true, image: true } }
+    }
+  },
+  offered_item: {
+    include: { 
+      images: true,
+      user: { select: { id: true, name: true, image: true } }
     }
+  },
+  trade_request: {
+    select: { items: bundleItemsInclude }
+  },
+  // Handover record: who entered whose code and when (codes themselves stay private)
+  handover_codes: {
+    select: { user_id: true, used_at: true, used_by_id: true }
+  },
+  // Where and when the participants met
+  meetups: {
+    where: { status: 'ACCEPTED' },
+    select: { location_label: true, latitude: true, longitude: true, scheduled_at: true },
+    take: 1
+  },
+  owner: { select: { id: true, name: true, image: true } },
+  requester: { select: { id: true, name: true, image: true } },
+  ratings: {
+    include: {
+      reviewer: { select: { id: true, name: true, image: true } },
+      reviewee: { select: { id: true, name: true, image: true } }
+    }
+  }
+};
+
+/**
+ * Split a trade request's items into requested and offered item IDs.
+ * Requests created before bundles existed have no item rows, so fall back to the primary items.
+ */
+function getBundleItemIds(tradeRequest) {
+  if (!tradeRequest.items || tradeRequest.items.length === 0) {
+    return {
+      requestedItemIds: [tradeRequest.requested_item_id],
+      offeredItemIds: [tradeRequest.offered_item_id]
+    };
+  }
+
+  return {
+    requestedItemIds: tradeRequest.items.filter(i => i.side === 'REQUESTED').map(i => i.item_id),
+    offeredItemIds: tradeRequest.items.filter(i => i.side === 'OFFERED').map(i => i.item_id)
+  };
+}
+
+/**
+ * Load and validate the items on both sides of a trade request or counter-offer.
+ * Every item must be available, offered items must belong to the requester and
+ * requested items must all belong to one other user.
+ */
+async function findBundleItems(requestedItemIds, offeredItemIds, requesterId) {
+  const [requestedItems, offeredItems] = await Promise.all([
+    prisma.item.findMany({
+      where: { id: { in: requestedItemIds } },
+      select: { id: true, user_id: true, status: true, title: true, category: true, condition: true, listing_type: true }
+    }),
+    prisma.item.findMany({
+      where: { id: { in: offeredItemIds } },
+      select: { id: true, user_id: true, status: true, title: true, category: true, condition: true, listing_type: true }
+    })
+  ]);
 
-    if (!offeredItem) {
-      throw new Error('Offered item not found');
+  if (requestedItems.length !== requestedItemIds.length) {
+    throw new Error('Requested item not found');
+  }
+
+  if (offeredItems.length !== offeredItemIds.length) {
+    throw new Error('Offered item not found');
+  }
+
+  // Items listed for lending are borrowed through loans and giveaways go through claim queues
+  const unswappableItem = [...requestedItems, ...offeredItems].find(item => item.listing_type !== 'SWAP');
+  if (unswappableItem) {
+    const listing = unswappableItem.listing_type === 'LEND' ? 'for lending' : 'as a giveaway';
+    throw new Error(`Item "${unswappableItem.title}" is listed ${listing} and cannot be swapped`);
+  }
+
+  for (const item of requestedItems) {
+    if (item.status !== 'AVAILABLE') {
+      throw new Error(`Requested item "${item.title}" is not available`);
     }
 
-    if (requestedItem.status !== 'AVAILABLE') {
-      throw new Error('Requested item is not available');
+    if (item.user_id === requesterId) {
+      throw new Error('Cannot request your own item');
     }
+  }
 
-    if (offeredItem.status !== 'AVAILABLE') {
-      throw new Error('Offered item is not available');
+  for (const item of offeredItems) {
+    if (item.status !== 'AVAILABLE') {
+      throw new Error(`Offered item "${item.title}" is not available`);
     }
 
-    if (offeredItem.user_id !== requesterId) {
+    if (item.user_id !== requesterId) {
       throw new Error('You can only offer your own items');
     }
+  }
 
-    if (requestedItem.user_id === requesterId) {
-      throw new Error('Cannot request your own item');
+  // A bundle is always exchanged with a single owner
+  const ownerIds = new Set(requestedItems.map(item => item.user_id));
+  if (ownerIds.size > 1) {
+    throw new Error('All requested items must be owned by the same user');
+  }
+
+  return { requestedItems, offeredItems, ownerId: requestedItems[0].user_id };
+}
+
+/**
+ * The user who proposed a request revision.
+ * Requests created before counter-offers existed were always proposed by the requester.
+ */
+function getProposerId(tradeRequest) {
+  return tradeRequest.proposed_by_id || tradeRequest.requester_id;
+}
+
+/**
+ * The user who has to answer a request revision: the owner answers the requester's
+ * offers and the requester answers the owner's counter-offers.
+ * Expects requested_item.user_id to be loaded.
+ */
+function getResponderId(tradeRequest) {
+  const ownerId = tradeRequest.requested_item.user_id;
+  return getProposerId(tradeRequest) === ownerId ? tradeRequest.requester_id : ownerId;
+}
+
+/**
+ * Mark a trade as completed and hand every item over to the other party.
+ * Must run inside a transaction; expects trade.trade_request.items to be loaded.
+ * actorId is null when the scheduler completes the trade.
+ */
+async function finalizeTrade(tx, trade, { data = {}, actorId = null, reason } = {}) {
+  const { requestedItemIds, offeredItemIds } = getBundleItemIds(trade.trade_request);
+  const eventContext = { actorId, reason, tradeRequestId: trade.trade_request_id, tradeId: trade.id };
+
+  // Update trade status
+  const completedTrade = await TradeStateMachine.transition(tx, 'TRADE', trade.id, 'PENDING', 'COMPLETED', {
+    ...eventContext,
+    data: { 
+      ...data,
+      completed_at: new Date()
     }
+  });
 
-    // Check for existing pending request
-    const existingRequest = await prisma.tradeRequest.findFirst({
+  // Update item statuses to SWAPPED
+  await TradeStateMachine.transitionMany(
+    tx, 'ITEM', [...requestedItemIds, ...offeredItemIds], 'RESERVED', 'SWAPPED', eventContext
+  );
+
+  // Create swapped items records
+  await tx.swappedItem.createMany({
+    data: [
+      // Requester gets the requested items
+      ...requestedItemIds.map(item_id => ({
+        trade_id: trade.id,
+        item_id,
+        user_id: trade.requester_id
+      })),
+      // Owner gets the offered items
+      ...offeredItemIds.map(item_id => ({
+        trade_id: trade.id,
+        item_id,
+        user_id: trade.owner_id
+      }))
+    ]
+  });
+
+  // A completed giveaway closes its claim queue
+  await tx.giveawayClaim.updateMany({
+    where: { item_id: { in: requestedItemIds }, status: 'WAITING' },
+    data: { status: 'NOT_SELECTED' }
+  });
+
+  return completedTrade;
+}
+
+function isSameItemSet(a, b) {
+  return a.length === b.length && a.every(id => b.includes(id));
+}
+
+export class TradeService {
+
+  /**
+   * Create a new trade request
+   * Either side can be a single item or a bundle of items
+   */
+  static async createTradeRequest(requestData, requesterId) {
+    const { requested_item_id, requested_item_ids, offered_item_id, offered_item_ids, message } = requestData;
+    const requestedItemIds = requested_item_ids || [requested_item_id];
+    const offeredItemIds = offered_item_ids || [offered_item_id];
+
+    // Validate items exist and are available
+    const { requestedItems, offeredItems, ownerId } = await findBundleItems(requestedItemIds, offeredItemIds, requesterId);
+
+    // Check for existing pending request with the same items on both sides
+    const pendingRequests = await prisma.tradeRequest.findMany({
       where: {
         requester_id: requesterId,
-        requested_item_id,
-        offered_item_id,
-        status: 'PENDING'
-      }
+        status: 'PENDING',
+        OR: [
+          { requested_item_id: { in: requestedItemIds } },
+          { items: { some: { item_id: { in: requestedItemIds } } } }
+        ]
+      },
+      include: { items: true }
+    });
+
+    const existingRequest = pendingRequests.find(request => {
+      const existing = getBundleItemIds(request);
+      return isSameItemSet(existing.requestedItemIds, requestedItemIds) &&
+        isSameItemSet(existing.offeredItemIds, offeredItemIds);
     });
 
     if (existingRequest) {
       throw new Error('You already have a pending request for this trade');
     }
 
-    // Create trade request
-    const tradeRequest = await prisma.tradeRequest.create({
-      data: {
-        requester_id: requesterId,
-        requested_item_id,
-        offered_item_id,
-        status: 'PENDING'
-      },
-      include: {
-        requester: {
-          select: { id: true, name: true, image: true }
-        },
-        requested_item: {
-          include: { 
-            images: true,
-            user: { select: { id: true, name: true, image: true } }
-          }
+    const tradeRequest = await runSerializable(prisma, async (tx) => {
+      // Per-user quotas scale with the badge
+      await TradeQuotaService.assertCanCreateRequest(tx, requesterId);
+
+      // Create trade request; the first item of each side is kept as the primary item
+      const createdRequest = await tx.tradeRequest.create({
+        data: {
+          requester_id: requesterId,
+          requested_item_id: requestedItemIds[0],
+          offered_item_id: offeredItemIds[0],
+          proposed_by_id: requesterId,
+          status: 'PENDING',
+          items: {
+            create: [
+              ...requestedItemIds.map(item_id => ({ item_id, side: 'REQUESTED' })),
+              ...offeredItemIds.map(item_id => ({ item_id, side: 'OFFERED' }))
+            ]
+          },
+          // The optional request message opens the conversation
+          messages: message
+            ? { create: { sender_id: requesterId, body: message } }
+            : undefined
         },
-        offered_item: {
-          include: { 
-            images: true
-          }
+        include: {
+          requester: {
+            select: { id: true, name: true, image: true }
+          },
+          requested_item: {
+            include: { 
+              images: true,
+              user: { select: { id: true, name: true, image: true } }
+            }
+          },
+          offered_item: {
+            include: { 
+              images: true
+            }
+          },
+          items: bundleItemsInclude
         }
-      }
+      });
+
+      await TradeStateMachine.recordCreated(tx, 'TRADE_REQUEST', createdRequest.id, 'PENDING', {
+        actorId: requesterId
+      });
+
+      return createdRequest;
     });
 
-    return tradeRequest;
+    const match_likelihood = await MatchScoreService.scoreOffer(requestedItems, offeredItems);
+    const createdRequest = { ...tradeRequest, match_likelihood };
+
+    RealtimeService.publish([ownerId], 'trade_request.created', createdRequest);
+
+    return createdRequest;
+  }
+
+  /**
+   * Preview a trade request before sending it
+   * Validates the items like createTradeRequest and returns the offer's match likelihood
+   */
+  static async previewTradeRequest(requestData, requesterId) {
+    const { requested_item_id, requested_item_ids, offered_item_id, offered_item_ids } = requestData;
+    const requestedItemIds = requested_item_ids || [requested_item_id];
+    const offeredItemIds = offered_item_ids || [offered_item_id];
+
+    const { requestedItems, offeredItems } = await findBundleItems(requestedItemIds, offeredItemIds, requesterId);
+    const toPreviewItem = ({ id, title, category, condition }) => ({ id, title, category, condition });
+
+    return {
+      requested_items: requestedItems.map(toPreviewItem),
+      offered_items: offeredItems.map(toPreviewItem),
+      match_likelihood: await MatchScoreService.scoreOffer(requestedItems, offeredItems)
+    };
   }
 
   /**
@@ -107,6 +339,11 @@ export class TradeService {
         },
         requester: {
           select: { id: true, name: true, image: true }
+        },
+        items: {
+          include: {
+            item: { select: { id: true, user_id: true, status: true, title: true } }
+          }
         }
       }
     });
@@ -115,89 +352,466 @@ export class TradeService {
       throw new Error('Trade request not found');
     }
 
-    // Validate user can accept (owns the requested item)
-    if (tradeRequest.requested_item.user_id !== userId) {
-      throw new Error('You can only accept requests for your own items');
-    }
+    // Validate user can accept (the offer was made to them)
+    if (getResponderId(tradeRequest) !== userId) {
+      throw new Error('You can only accept offers made to you');
+    }
+
+    TradeStateMachine.assertTransition('TRADE_REQUEST', tradeRequest.status, 'ACCEPTED');
+
+    // Verify every item on both sides is still available
+    // (reserving them below re-checks this, so a concurrent acceptance still loses)
+    const bundleItems = tradeRequest.items.length > 0
+      ? tradeRequest.items
+      : [
+          { side: 'REQUESTED', item: tradeRequest.requested_item },
+          { side: 'OFFERED', item: tradeRequest.offered_item }
+        ];
+
+    for (const { side, item } of bundleItems) {
+      if (item.status !== 'AVAILABLE') {
+        throw new Error(side === 'REQUESTED'
+          ? `Requested item "${item.title}" is no longer available`
+          : `Offered item "${item.title}" is no longer available`);
+      }
+    }
+
+    const { requestedItemIds, offeredItemIds } = getBundleItemIds(tradeRequest);
+    const allItemIds = [...requestedItemIds, ...offeredItemIds];
+
+    // Create a transaction to handle the acceptance, retried if a concurrent one conflicts
+    const result = await runSerializable(prisma, async (tx) => {
+      // Update trade request status
+      const updatedRequest = await TradeStateMachine.transition(
+        tx, 'TRADE_REQUEST', requestId, 'PENDING', 'ACCEPTED', { actorId: userId }
+      );
+
+      // Create trade record
+      const trade = await tx.trade.create({
+        data: {
+          trade_request_id: requestId,
+          owner_id: tradeRequest.requested_item.user_id, // Item owner
+          requester_id: tradeRequest.requester_id, // Item requester  
+          requested_item_id: tradeRequest.requested_item_id,
+          offered_item_id: tradeRequest.offered_item_id,
+          status: 'PENDING'
+        }
+      });
+
+      const eventContext = { actorId: userId, tradeRequestId: requestId, tradeId: trade.id };
+      await TradeStateMachine.recordCreated(tx, 'TRADE', trade.id, 'PENDING', eventContext);
+
+      // Each participant gets a code to show the other one at the handover
+      await HandoverService.createCodes(tx, trade);
+
+      // Update item statuses to RESERVED
+      await TradeStateMachine.transitionMany(tx, 'ITEM', allItemIds, 'AVAILABLE', 'RESERVED', eventContext);
+
+      // Close all other pending requests and proposed cycles involving these items
+      const closedOffers = await TradeService.closeCompetingOffers(tx, allItemIds, {
+        actorId: userId,
+        excludeRequestId: requestId
+      });
+
+      return { trade, tradeRequest: updatedRequest, closedOffers };
+    });
+
+    const { closedOffers, ...acceptance } = result;
+
+    RealtimeService.publish([getProposerId(tradeRequest)], 'trade_request.accepted', acceptance);
+    TradeService.notifyClosedOffers(closedOffers);
+
+    return acceptance;
+  }
+
+  /**
+   * Close pending requests and proposed trade cycles involving items that were just reserved
+   * Requests offering one of the items are cancelled on the requester's behalf, requests asking
+   * for one of them are rejected by the owner. Must run inside a transaction.
+   */
+  static async closeCompetingOffers(tx, itemIds, { actorId = null, excludeRequestId, excludeCycleId } = {}) {
+    const competingRequests = await tx.tradeRequest.findMany({
+      where: {
+        AND: [
+          excludeRequestId ? { id: { not: excludeRequestId } } : {},
+          { status: 'PENDING' },
+          {
+            OR: [
+              { requested_item_id: { in: itemIds } },
+              { offered_item_id: { in: itemIds } },
+              { items: { some: { item_id: { in: itemIds } } } }
+            ]
+          }
+        ]
+      },
+      include: {
+        items: { select: { item_id: true, side: true } },
+        requested_item: { select: { user_id: true } }
+      }
+    });
+
+    const offersReservedItem = (request) =>
+      itemIds.includes(request.offered_item_id) ||
+      request.items.some(i => i.side === 'OFFERED' && itemIds.includes(i.item_id));
+
+    const cancelledRequests = competingRequests.filter(offersReservedItem);
+    const rejectedRequests = competingRequests.filter(r => !offersReservedItem(r));
+
+    await TradeStateMachine.transitionMany(
+      tx, 'TRADE_REQUEST', cancelledRequests.map(r => r.id), 'PENDING', 'CANCELLED', {
+        data: { closed_reason: 'Offered item was reserved in another trade' },
+        reason: 'Offered item was reserved in another trade'
+      }
+    );
+
+    await TradeStateMachine.transitionMany(
+      tx, 'TRADE_REQUEST', rejectedRequests.map(r => r.id), 'PENDING', 'REJECTED', {
+        actorId,
+        reason: 'Requested item was reserved in another trade'
+      }
+    );
+
+    const cancelledCycles = await tx.tradeCycle.findMany({
+      where: {
+        status: 'PROPOSED',
+        id: excludeCycleId ? { not: excludeCycleId } : undefined,
+        legs: { some: { item_id: { in: itemIds } } }
+      },
+      include: { legs: { select: { giver_id: true } } }
+    });
+
+    await TradeStateMachine.transitionMany(
+      tx, 'TRADE_CYCLE', cancelledCycles.map(c => c.id), 'PROPOSED', 'CANCELLED', {
+        data: { closed_reason: 'An item was reserved in another trade' },
+        reason: 'An item was reserved in another trade'
+      }
+    );
+
+    return { cancelledRequests, rejectedRequests, cancelledCycles };
+  }
+
+  /**
+   * Tell the affected users about offers closed by closeCompetingOffers
+   */
+  static notifyClosedOffers({ cancelledRequests, rejectedRequests, cancelledCycles }) {
+    for (const request of rejectedRequests) {
+      RealtimeService.publish([getProposerId(request)], 'trade_request.rejected', {
+        tradeRequestId: request.id
+      });
+    }
+    for (const request of cancelledRequests) {
+      RealtimeService.publish([request.requester_id, request.requested_item.user_id], 'trade_request.cancelled', {
+        tradeRequestId: request.id,
+        reason: 'Offered item was reserved in another trade'
+      });
+    }
+    for (const cycle of cancelledCycles) {
+      RealtimeService.publish(cycle.legs.map(leg => leg.giver_id), 'trade_cycle.cancelled', {
+        cycleId: cycle.id,
+        reason: 'An item was reserved in another trade'
+      });
+    }
+  }
+
+  /**
+   * Cancel the PENDING trades of a trade cycle's legs and release their items
+   * Must run inside a transaction. Returns the number of cancelled trades.
+   */
+  static async cancelCycleTrades(tx, cycleId, { actorId = null, reason } = {}) {
+    const pendingLegs = await tx.tradeCycleLeg.findMany({
+      where: { cycle_id: cycleId, trade: { status: 'PENDING' } },
+      select: { item_id: true, trade: { select: { id: true, trade_request_id: true } } }
+    });
+
+    for (const { trade } of pendingLegs) {
+      await TradeStateMachine.transition(tx, 'TRADE', trade.id, 'PENDING', 'CANCELLED', {
+        data: { closed_reason: reason },
+        actorId,
+        reason,
+        tradeRequestId: trade.trade_request_id,
+        tradeId: trade.id,
+        cycleId
+      });
+    }
+
+    await TradeStateMachine.transitionMany(
+      tx, 'ITEM', pendingLegs.map(leg => leg.item_id), 'RESERVED', 'AVAILABLE', { actorId, reason, cycleId }
+    );
+
+    return pendingLegs.length;
+  }
+
+  /**
+   * Keep a trade cycle in step with the trade of one of its legs, after that trade changed status
+   * The cycle completes once the trades of all its legs have. A leg trade that was cancelled or
+   * failed means the cycle cannot go through, so the other pending leg trades are cancelled too.
+   * Must run inside a transaction. Returns the cycle when its status changed, null otherwise.
+   */
+  static async settleCycle(tx, tradeId, { actorId = null } = {}) {
+    const trade = await tx.trade.findUnique({
+      where: { id: tradeId },
+      select: {
+        status: true,
+        cycle_leg: { select: { cycle_id: true, cycle: { select: { status: true } } } }
+      }
+    });
+
+    if (!trade.cycle_leg || trade.cycle_leg.cycle.status !== 'ACCEPTED') {
+      return null;
+    }
+
+    const cycleId = trade.cycle_leg.cycle_id;
+    const include = { legs: { select: { giver_id: true } } };
+
+    if (trade.status === 'COMPLETED') {
+      const unfinishedTrades = await tx.trade.count({
+        where: { cycle_leg: { cycle_id: cycleId }, status: { not: 'COMPLETED' } }
+      });
+
+      if (unfinishedTrades > 0) {
+        return null;
+      }
+
+      return TradeStateMachine.transition(tx, 'TRADE_CYCLE', cycleId, 'ACCEPTED', 'COMPLETED', {
+        data: { completed_at: new Date() },
+        actorId,
+        reason: 'Every trade of the cycle completed',
+        include
+      });
+    }
+
+    if (trade.status !== 'CANCELLED' && trade.status !== 'FAILED') {
+      return null;
+    }
+
+    const reason = 'Another trade of the cycle did not go through';
+    await TradeService.cancelCycleTrades(tx, cycleId, { actorId, reason });
+
+    return TradeStateMachine.transition(tx, 'TRADE_CYCLE', cycleId, 'ACCEPTED', 'CANCELLED', {
+      data: { closed_reason: reason },
+      actorId,
+      reason,
+      include
+    });
+  }
+
+  /**
+   * Tell the participants of a cycle settled by settleCycle about its new status
+   */
+  static notifySettledCycle(cycle) {
+    if (!cycle) {
+      return;
+    }
+
+    RealtimeService.publish(cycle.legs.map(leg => leg.giver_id), `trade_cycle.${cycle.status.toLowerCase()}`, {
+      cycleId: cycle.id,
+      reason: cycle.closed_reason
+    });
+  }
+
+  /**
+   * Reject a trade request
+   */
+  static async rejectTradeRequest(requestId, userId) {
+    const tradeRequest = await prisma.tradeRequest.findUnique({
+      where: { id: requestId },
+      include: {
+        requested_item: { 
+          select: { user_id: true }
+        }
+      }
+    });
+
+    if (!tradeRequest) {
+      throw new Error('Trade request not found');
+    }
+
+    // Validate user can reject (the offer was made to them)
+    if (getResponderId(tradeRequest) !== userId) {
+      throw new Error('You can only reject offers made to you');
+    }
+
+    const updatedRequest = await prisma.$transaction(tx =>
+      TradeStateMachine.transition(tx, 'TRADE_REQUEST', requestId, tradeRequest.status, 'REJECTED', {
+        actorId: userId,
+        include: {
+          requester: {
+            select: { id: true, name: true, image: true }
+          },
+          requested_item: {
+            include: { images: true }
+          },
+          offered_item: {
+            include: { images: true }
+          },
+          items: bundleItemsInclude
+        }
+      })
+    );
+
+    RealtimeService.publish([getProposerId(tradeRequest)], 'trade_request.rejected', updatedRequest);
+
+    return updatedRequest;
+  }
+
+  /**
+   * Withdraw a pending trade request (or counter-offer) the user proposed
+   */
+  static async withdrawTradeRequest(requestId, userId) {
+    const tradeRequest = await prisma.tradeRequest.findUnique({
+      where: { id: requestId },
+      include: {
+        requested_item: { 
+          select: { user_id: true }
+        }
+      }
+    });
+
+    if (!tradeRequest) {
+      throw new Error('Trade request not found');
+    }
+
+    // Validate user can withdraw (they made the offer)
+    if (getProposerId(tradeRequest) !== userId) {
+      throw new Error('You can only withdraw offers you made');
+    }
+
+    const withdrawnRequest = await prisma.$transaction(tx =>
+      TradeStateMachine.transition(tx, 'TRADE_REQUEST', requestId, tradeRequest.status, 'CANCELLED', {
+        actorId: userId,
+        reason: 'Withdrawn by the proposer',
+        include: {
+          requested_item: {
+            include: { images: true }
+          },
+          offered_item: {
+            include: { images: true }
+          },
+          items: bundleItemsInclude
+        }
+      })
+    );
+
+    RealtimeService.publish([getResponderId(tradeRequest)], 'trade_request.withdrawn', withdrawnRequest);
+
+    return withdrawnRequest;
+  }
+
+  /**
+   * Counter a trade request with a new offer revision
+   * The owner and requester take turns; a side left out keeps the current items
+   */
+  static async counterTradeRequest(requestId, counterData, userId) {
+    const tradeRequest = await prisma.tradeRequest.findUnique({
+      where: { id: requestId },
+      include: {
+        requested_item: { 
+          select: { user_id: true }
+        },
+        items: true
+      }
+    });
+
+    if (!tradeRequest) {
+      throw new Error('Trade request not found');
+    }
+
+    // Validate user can counter (the offer was made to them)
+    if (getResponderId(tradeRequest) !== userId) {
+      throw new Error('You can only counter offers made to you');
+    }
+
+    TradeStateMachine.assertTransition('TRADE_REQUEST', tradeRequest.status, 'COUNTERED');
+
+    const current = getBundleItemIds(tradeRequest);
+    const requestedItemIds = counterData.requested_item_ids ||
+      (counterData.requested_item_id ? [counterData.requested_item_id] : current.requestedItemIds);
+    const offeredItemIds = counterData.offered_item_ids ||
+      (counterData.offered_item_id ? [counterData.offered_item_id] : current.offeredItemIds);
 
-    if (tradeRequest.status !== 'PENDING') {
-      throw new Error('Trade request is no longer pending');
+    if (isSameItemSet(requestedItemIds, current.requestedItemIds) &&
+        isSameItemSet(offeredItemIds, current.offeredItemIds)) {
+      throw new Error('Counter-offer must be different from the current offer');
     }
 
-    // Verify items are still available
-    if (tradeRequest.requested_item.status !== 'AVAILABLE') {
-      throw new Error('Your item is no longer available');
-    }
+    // Items are always validated from the requester's side of the trade
+    const { ownerId } = await findBundleItems(requestedItemIds, offeredItemIds, tradeRequest.requester_id);
 
-    if (tradeRequest.offered_item.status !== 'AVAILABLE') {
-      throw new Error('Offered item is no longer available');
+    if (ownerId !== tradeRequest.requested_item.user_id) {
+      throw new Error('Requested items must be owned by the same user as the original request');
     }
 
-    // Create a transaction to handle the acceptance
-    const result = await prisma.$transaction(async (tx) => {
-      // Update trade request status
-      const updatedRequest = await tx.tradeRequest.update({
-        where: { id: requestId },
-        data: { 
-          status: 'ACCEPTED'
-        }
+    const counterOffer = await prisma.$transaction(async (tx) => {
+      // Start a negotiation thread on the first counter-offer
+      const negotiationId = tradeRequest.negotiation_id ||
+        (await tx.tradeNegotiation.create({ data: {} })).id;
+
+      await TradeStateMachine.transition(tx, 'TRADE_REQUEST', requestId, 'PENDING', 'COUNTERED', {
+        data: { negotiation_id: negotiationId },
+        actorId: userId
       });
 
-      // Create trade record
-      const trade = await tx.trade.create({
+      const createdRevision = await tx.tradeRequest.create({
         data: {
-          trade_request_id: requestId,
-          owner_id: userId, // Item owner
-          requester_id: tradeRequest.requester_id, // Item requester  
-          requested_item_id: tradeRequest.requested_item_id,
-          offered_item_id: tradeRequest.offered_item_id,
-          status: 'PENDING'
+          requester_id: tradeRequest.requester_id,
+          requested_item_id: requestedItemIds[0],
+          offered_item_id: offeredItemIds[0],
+          proposed_by_id: userId,
+          negotiation_id: negotiationId,
+          previous_request_id: requestId,
+          revision: tradeRequest.revision + 1,
+          status: 'PENDING',
+          items: {
+            create: [
+              ...requestedItemIds.map(item_id => ({ item_id, side: 'REQUESTED' })),
+              ...offeredItemIds.map(item_id => ({ item_id, side: 'OFFERED' }))
+            ]
+          },
+          messages: counterData.message
+            ? { create: { sender_id: userId, body: counterData.message } }
+            : undefined
+        },
+        include: {
+          requester: {
+            select: { id: true, name: true, image: true }
+          },
+          proposed_by: {
+            select: { id: true, name: true, image: true }
+          },
+          requested_item: {
+            include: { 
+              images: true,
+              user: { select: { id: true, name: true, image: true } }
+            }
+          },
+          offered_item: {
+            include: { 
+              images: true
+            }
+          },
+          items: bundleItemsInclude
         }
       });
 
-      // Update item statuses to RESERVED
-      await Promise.all([
-        tx.item.update({
-          where: { id: tradeRequest.requested_item_id },
-          data: { status: 'RESERVED' }
-        }),
-        tx.item.update({
-          where: { id: tradeRequest.offered_item_id },
-          data: { status: 'RESERVED' }
-        })
-      ]);
-
-      // Reject all other pending requests for these items
-      await tx.tradeRequest.updateMany({
-        where: {
-          AND: [
-            { id: { not: requestId } },
-            { status: 'PENDING' },
-            {
-              OR: [
-                { requested_item_id: tradeRequest.requested_item_id },
-                { requested_item_id: tradeRequest.offered_item_id },
-                { offered_item_id: tradeRequest.requested_item_id },
-                { offered_item_id: tradeRequest.offered_item_id }
-              ]
-            }
-          ]
-        },
-        data: { 
-          status: 'REJECTED'
-        }
+      await TradeStateMachine.recordCreated(tx, 'TRADE_REQUEST', createdRevision.id, 'PENDING', {
+        actorId: userId,
+        reason: `Counter-offer to revision ${tradeRequest.revision}`
       });
 
-      return { trade, tradeRequest: updatedRequest };
+      return createdRevision;
     });
 
-    return result;
+    // The counter-offer goes back to whoever proposed the countered revision
+    RealtimeService.publish([getProposerId(tradeRequest)], 'trade_request.countered', counterOffer);
+
+    return counterOffer;
   }
 
   /**
-   * Reject a trade request
+   * Get the negotiation thread a trade request belongs to
+   * Revisions are ordered oldest first; the last one is the current offer
    */
-  static async rejectTradeRequest(requestId, userId) {
+  static async getNegotiation(requestId, userId) {
     const tradeRequest = await prisma.tradeRequest.findUnique({
       where: { id: requestId },
       include: {
@@ -211,49 +825,48 @@ export class TradeService {
       throw new Error('Trade request not found');
     }
 
-    // Validate user can reject (owns the requested item)
-    if (tradeRequest.requested_item.user_id !== userId) {
-      throw new Error('You can only reject requests for your own items');
+    if (tradeRequest.requester_id !== userId && tradeRequest.requested_item.user_id !== userId) {
+      throw new Error('You can only view negotiations you are part of');
     }
 
-    if (tradeRequest.status !== 'PENDING') {
-      throw new Error('Trade request is no longer pending');
-    }
-
-    const updatedRequest = await prisma.tradeRequest.update({
-      where: { id: requestId },
-      data: { 
-        status: 'REJECTED'
-      },
+    const revisions = await prisma.tradeRequest.findMany({
+      where: tradeRequest.negotiation_id
+        ? { negotiation_id: tradeRequest.negotiation_id }
+        : { id: requestId },
       include: {
         requester: {
           select: { id: true, name: true, image: true }
         },
-        requested_item: {
-          include: { images: true }
+        proposed_by: {
+          select: { id: true, name: true, image: true }
         },
-        offered_item: {
-          include: { images: true }
-        }
-      }
+        items: bundleItemsInclude,
+        trade: { select: { id: true, status: true } }
+      },
+      orderBy: { revision: 'asc' }
     });
 
-    return updatedRequest;
+    return {
+      negotiation_id: tradeRequest.negotiation_id,
+      current: revisions[revisions.length - 1],
+      revisions
+    };
   }
 
   /**
-   * Complete a trade
+   * Confirm completion of a trade with the handover code the other participant shows
+   * Both participants must confirm; items are only swapped once the second confirmation arrives
    */
-  static async completeTrade(tradeId, userId) {
+  static async completeTrade(tradeId, userId, handoverCode) {
     const trade = await prisma.trade.findUnique({
-      where: { trade_request_id: tradeId },
+      where: { id: tradeId },
       include: {
         requested_item: { select: { id: true, user_id: true, title: true } },
-        offered_item: { select: { id: true, user_id: true, title: true } }
+        offered_item: { select: { id: true, user_id: true, title: true } },
+        trade_request: { include: { items: true } }
       }
     });
 
-
     if (!trade) {
       throw new Error('Trade not found');
     }
@@ -263,55 +876,230 @@ export class TradeService {
       throw new Error('You are not authorized to complete this trade');
     }
 
-    if (trade.status !== 'PENDING') {
-      throw new Error('Trade is not in pending status');
+    TradeStateMachine.assertTransition('TRADE', trade.status, 'COMPLETED');
+
+    const isOwner = trade.owner_id === userId;
+    const confirmationField = isOwner ? 'owner_confirmed_at' : 'requester_confirmed_at';
+
+    if (trade[confirmationField]) {
+      throw new Error('You have already confirmed this trade');
     }
 
-    // Complete the trade
-    const result = await prisma.$transaction(async (tx) => {
-      // Update trade status
-      const completedTrade = await tx.trade.update({
-        where: { trade_request_id: tradeId },
-        data: { 
-          status: 'COMPLETED',
-          completed_at: new Date()
-        }
+    // Proof that the participants met: the other party's code is only shown on their device
+    const otherPartyId = isOwner ? trade.requester_id : trade.owner_id;
+    const verifiedCode = await HandoverService.verifyCode(trade.id, otherPartyId, handoverCode);
+
+    const result = await runSerializable(prisma, async (tx) => {
+      // Record this participant's confirmation, only while the trade is still pending and unconfirmed
+      // by them, so a concurrent cancellation or duplicate confirmation is reported instead of overwritten
+      const { count } = await tx.trade.updateMany({
+        where: { id: trade.id, status: 'PENDING', [confirmationField]: null },
+        data: { [confirmationField]: new Date() }
       });
 
-      // Update item statuses to SWAPPED
-      await Promise.all([
-        tx.item.update({
-          where: { id: trade.requested_item_id },
-          data: { status: 'SWAPPED' }
-        }),
-        tx.item.update({
-          where: { id: trade.offered_item_id },
-          data: { status: 'SWAPPED' }
-        })
-      ]);
-
-      // Create swapped items records
-      await Promise.all([
-        tx.swappedItem.create({
-          data: {
-            trade_id: trade.id,
-            item_id: trade.requested_item_id,
-            user_id: trade.requester_id // Requester gets the requested item
-          }
-        }),
-        tx.swappedItem.create({
-          data: {
-            trade_id: trade.id,
-            item_id: trade.offered_item_id,
-            user_id: trade.owner_id // Owner gets the offered item
+      if (count === 0) {
+        throw new Error('Trade was changed by another action, please try again');
+      }
+
+      const confirmedTrade = await tx.trade.findUnique({ where: { id: trade.id } });
+
+      await HandoverService.markUsed(tx, verifiedCode, userId);
+
+      if (!confirmedTrade.owner_confirmed_at || !confirmedTrade.requester_confirmed_at) {
+        return { trade: confirmedTrade };
+      }
+
+      const completedTrade = await finalizeTrade(tx, trade, {
+        actorId: userId,
+        reason: 'Handover confirmed by both participants'
+      });
+      const settledCycle = await TradeService.settleCycle(tx, trade.id, { actorId: userId });
+
+      return { trade: completedTrade, settledCycle };
+    });
+
+    if (result.trade.status === 'COMPLETED') {
+      RealtimeService.publish([trade.owner_id, trade.requester_id], 'trade.completed', result.trade);
+      TradeService.notifySettledCycle(result.settledCycle);
+    } else {
+      RealtimeService.publish([otherPartyId], 'trade.confirmation_requested', result.trade);
+    }
+
+    return result.trade;
+  }
+
+  /**
+   * Apply the confirmation window policy to trades only one participant has confirmed
+   * Run periodically by the scheduler
+   */
+  static async resolveStaleConfirmations() {
+    const { windowHours, expiryPolicy } = getConfirmationSettings();
+    const cutoff = new Date(Date.now() - windowHours * 60 * 60 * 1000);
+
+    const staleTrades = await prisma.trade.findMany({
+      where: {
+        status: 'PENDING',
+        OR: [
+          { owner_confirmed_at: { lt: cutoff }, requester_confirmed_at: null },
+          { requester_confirmed_at: { lt: cutoff }, owner_confirmed_at: null }
+        ]
+      },
+      include: {
+        trade_request: { include: { items: true } }
+      }
+    });
+
+    let processed = 0;
+
+    // Each trade on its own, so one that fails (e.g. cancelled meanwhile) does not stop the others
+    for (const trade of staleTrades) {
+      try {
+        if (expiryPolicy === 'complete') {
+          const { completedTrade, settledCycle } = await prisma.$transaction(async (tx) => ({
+            completedTrade: await finalizeTrade(tx, trade, {
+              data: { auto_completed: true },
+              reason: `Auto-completed after the ${windowHours} hour confirmation window`
+            }),
+            settledCycle: await TradeService.settleCycle(tx, trade.id)
+          }));
+          RealtimeService.publish([trade.owner_id, trade.requester_id], 'trade.completed', completedTrade);
+          TradeService.notifySettledCycle(settledCycle);
+        } else {
+          // Only reset the confirmation that was found stale; skip trades confirmed or closed since
+          const { count } = await prisma.trade.updateMany({
+            where: {
+              id: trade.id,
+              status: 'PENDING',
+              owner_confirmed_at: trade.owner_confirmed_at,
+              requester_confirmed_at: trade.requester_confirmed_at
+            },
+            data: { owner_confirmed_at: null, requester_confirmed_at: null }
+          });
+
+          if (count === 0) {
+            continue;
           }
-        })
-      ]);
 
-      return completedTrade;
+          const expiredTrade = await prisma.trade.findUnique({ where: { id: trade.id } });
+          RealtimeService.publish([trade.owner_id, trade.requester_id], 'trade.confirmation_expired', expiredTrade);
+        }
+
+        processed++;
+      } catch (error) {
+        console.error('Could not resolve stale confirmation of trade:', trade.id, error.message);
+      }
+    }
+
+    return { processed };
+  }
+
+  /**
+   * Expire PENDING trade requests older than the request expiry window
+   * Items of pending requests are never reserved, so only the requests change
+   */
+  static async expireStaleRequests() {
+    const { requestDays } = getExpirySettings();
+    const cutoff = new Date(Date.now() - requestDays * 24 * 60 * 60 * 1000);
+
+    const staleRequests = await prisma.tradeRequest.findMany({
+      where: {
+        status: 'PENDING',
+        requested_at: { lt: cutoff }
+      },
+      select: {
+        id: true,
+        requester_id: true,
+        requested_item: { select: { user_id: true } }
+      }
+    });
+
+    const closedReason = `No response within ${requestDays} days`;
+    let processed = 0;
+
+    // Each request on its own: one answered since the lookup is skipped, the rest still expire
+    for (const request of staleRequests) {
+      try {
+        await prisma.$transaction(tx =>
+          TradeStateMachine.transition(tx, 'TRADE_REQUEST', request.id, 'PENDING', 'EXPIRED', {
+            data: { closed_reason: closedReason },
+            reason: closedReason
+          })
+        );
+      } catch (error) {
+        console.error('Could not expire stale trade request:', request.id, error.message);
+        continue;
+      }
+
+      RealtimeService.publish(
+        [request.requester_id, request.requested_item.user_id],
+        'trade_request.expired',
+        { tradeRequestId: request.id }
+      );
+      processed++;
+    }
+
+    return { processed };
+  }
+
+  /**
+   * Cancel PENDING trades never completed within the trade expiry window
+   * Reserved items go back to AVAILABLE. Trades with an upcoming agreed meetup are kept.
+   */
+  static async expireStaleTrades() {
+    const { tradeDays } = getExpirySettings();
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - tradeDays * 24 * 60 * 60 * 1000);
+
+    const staleTrades = await prisma.trade.findMany({
+      where: {
+        status: 'PENDING',
+        created_at: { lt: cutoff },
+        meetups: {
+          none: { status: 'ACCEPTED', scheduled_at: { gte: now } }
+        }
+      },
+      include: {
+        trade_request: { include: { items: true } }
+      }
     });
 
-    return result;
+    const closedReason = `Not completed within ${tradeDays} days`;
+
+    let processed = 0;
+
+    // Each trade on its own, so one that fails (e.g. completed meanwhile) does not stop the others
+    for (const trade of staleTrades) {
+      const { requestedItemIds, offeredItemIds } = getBundleItemIds(trade.trade_request);
+      const eventContext = { reason: closedReason, tradeRequestId: trade.trade_request_id, tradeId: trade.id };
+
+      let settledCycle;
+
+      try {
+        settledCycle = await prisma.$transaction(async (tx) => {
+          await TradeStateMachine.transition(tx, 'TRADE', trade.id, 'PENDING', 'CANCELLED', {
+            ...eventContext,
+            data: { closed_reason: closedReason }
+          });
+
+          await TradeStateMachine.transitionMany(
+            tx, 'ITEM', [...requestedItemIds, ...offeredItemIds], 'RESERVED', 'AVAILABLE', eventContext
+          );
+
+          return TradeService.settleCycle(tx, trade.id);
+        });
+      } catch (error) {
+        console.error('Could not expire stale trade:', trade.id, error.message);
+        continue;
+      }
+
+      RealtimeService.publish([trade.owner_id, trade.requester_id], 'trade.expired', {
+        tradeId: trade.id
+      });
+      TradeService.notifySettledCycle(settledCycle);
+      processed++;
+    }
+
+    return { processed };
   }
 
   /**
@@ -322,7 +1110,8 @@ export class TradeService {
       where: { id: tradeId },
       include: {
         requested_item: { select: { id: true } },
-        offered_item: { select: { id: true } }
+        offered_item: { select: { id: true } },
+        trade_request: { include: { items: true } }
       }
     });
 
@@ -335,56 +1124,91 @@ export class TradeService {
       throw new Error('You are not authorized to cancel this trade');
     }
 
-    if (trade.status === 'COMPLETED') {
-      throw new Error('Cannot cancel a completed trade');
-    }
+    TradeStateMachine.assertTransition('TRADE', trade.status, 'CANCELLED');
 
-    if (trade.status === 'CANCELLED') {
-      throw new Error('Trade is already cancelled');
-    }
+    const { requestedItemIds, offeredItemIds } = getBundleItemIds(trade.trade_request);
+    const eventContext = { actorId: userId, tradeRequestId: trade.trade_request_id, tradeId };
 
-    // Cancel the trade
-    const result = await prisma.$transaction(async (tx) => {
+    // Cancel the trade, retried if a concurrent completion or cancellation conflicts
+    const result = await runSerializable(prisma, async (tx) => {
       // Update trade status
-      const cancelledTrade = await tx.trade.update({
-        where: { id: tradeId },
-        data: { 
-          status: 'CANCELLED'
-        }
-      });
+      const cancelledTrade = await TradeStateMachine.transition(
+        tx, 'TRADE', tradeId, trade.status, 'CANCELLED', eventContext
+      );
 
       // Revert item statuses to AVAILABLE
-      await Promise.all([
-        tx.item.update({
-          where: { id: trade.requested_item_id },
-          data: { status: 'AVAILABLE' }
-        }),
-        tx.item.update({
-          where: { id: trade.offered_item_id },
-          data: { status: 'AVAILABLE' }
-        })
-      ]);
+      await TradeStateMachine.transitionMany(
+        tx, 'ITEM', [...requestedItemIds, ...offeredItemIds], 'RESERVED', 'AVAILABLE', eventContext
+      );
 
-      return cancelledTrade;
+      const settledCycle = await TradeService.settleCycle(tx, tradeId, { actorId: userId });
+
+      return { cancelledTrade, settledCycle };
+    });
+
+    RealtimeService.publish([trade.owner_id, trade.requester_id], 'trade.cancelled', {
+      ...result.cancelledTrade,
+      cancelled_by: userId
     });
+    TradeService.notifySettledCycle(result.settledCycle);
 
-    return result;
+    return result.cancelledTrade;
   }
 
   /**
-   * Get user's trades
+   * Get the status timeline of a trade
+   * Covers every revision of the negotiation that led to the trade, the trade itself and its items
    */
-  static async getUserTrades(userId) {
-    const trades = await prisma.trade.findMany({
-      where: {
-        OR: [
-          { owner_id: userId },
-          { requester_id: userId }
-        ]
+  static async getTradeTimeline(tradeId, userId) {
+    const trade = await prisma.trade.findUnique({
+      where: { id: tradeId },
+      include: {
+        trade_request: { select: { id: true, negotiation_id: true } }
+      }
+    });
+
+    if (!trade) {
+      throw new Error('Trade not found');
+    }
+
+    if (trade.owner_id !== userId && trade.requester_id !== userId) {
+      throw new Error('You can only view trades you are part of');
+    }
+
+    const { negotiation_id } = trade.trade_request;
+
+    const events = await prisma.tradeEvent.findMany({
+      where: negotiation_id
+        ? { trade_request: { negotiation_id } }
+        : { trade_request_id: trade.trade_request_id },
+      include: {
+        actor: {
+          select: { id: true, name: true, image: true }
+        }
       },
+      orderBy: { created_at: 'asc' }
+    });
+
+    return events;
+  }
+
+  /**
+   * Get user's trades, newest first
+   * Paged by limit with a decoded cursor; returns the next page's cursor.
+   */
+  static async getUserTrades(userId, { cursor, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const userWhere = {
+      OR: [
+        { owner_id: userId },
+        { requester_id: userId }
+      ]
+    };
+
+    const records = await prisma.trade.findMany({
+      where: cursor ? { AND: [userWhere, cursorWhere('created_at', cursor)] } : userWhere,
       include: {
         trade_request: {
-          select: { requested_at: true }
+          select: { requested_at: true, items: bundleItemsInclude }
         },
         requested_item: {
           include: { 
@@ -403,24 +1227,74 @@ export class TradeService {
         },
         requester: {
           select: { id: true, name: true, image: true }
+        },
+        meetups: {
+          where: { status: 'ACCEPTED' },
+          include: { slots: { where: { is_accepted: true } } },
+          take: 1
         }
       },
-      orderBy: { created_at: 'desc' }
+      orderBy: cursorOrderBy('created_at'),
+      take: limit + 1
     });
-    console.log(trades);
-    return trades;
+    const { data: trades, nextCursor } = toCursorPage(records, 'created_at', limit);
+
+    // Expose the agreed meetup (if any) instead of the filtered list
+    return {
+      trades: trades.map(({ meetups, ...trade }) => ({
+        ...trade,
+        meetup: meetups[0] || null
+      })),
+      nextCursor
+    };
   }
 
   /**
-   * Get received trade requests
+   * Get received trade requests, each with its match likelihood
+   * sort: 'newest' (default) or 'match_likelihood' (best match first)
+   * Newest requests are paged by limit with a decoded cursor; returns the next page's cursor.
+   * match_likelihood ranks the MAX_SCORED_REQUESTS most recent pending ones in one go.
    */
-  static async getReceivedRequests(userId) {
-    const requests = await prisma.tradeRequest.findMany({
-      where: {
-        requested_item: {
-          user_id: userId
+  static async getReceivedRequests(userId, { sort = 'newest', cursor, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const paged = sort !== 'match_likelihood';
+
+    // Offers waiting on this user: requests for their items and counter-offers made to them
+    // (trade cycle legs are agreed on the cycle, not offered)
+    const receivedWhere = {
+      cycle_leg: { is: null },
+      OR: [
+        {
+          proposed_by_id: null,
+          requested_item: { user_id: userId }
+        },
+        {
+          AND: [
+            { proposed_by_id: { not: null } },
+            { proposed_by_id: { not: userId } },
+            {
+              OR: [
+                { requester_id: userId },
+                { requested_item: { user_id: userId } }
+              ]
+            }
+          ]
         }
-      },
+      ]
+    };
+
+    const filters = [receivedWhere];
+
+    if (cursor) {
+      filters.push(cursorWhere('requested_at', cursor));
+    }
+
+    // Only offers still open to an answer are worth ranking
+    if (!paged) {
+      filters.push({ status: 'PENDING' });
+    }
+
+    const records = await prisma.tradeRequest.findMany({
+      where: { AND: filters },
       include: {
         requester: {
           select: { id: true, name: true, image: true }
@@ -433,48 +1307,65 @@ export class TradeService {
             images: true,
             user: { select: { id: true, name: true, image: true } }
           }
-        }
+        },
+        items: bundleItemsInclude
       },
-      orderBy: { requested_at: 'desc' }
+      orderBy: cursorOrderBy('requested_at'),
+      take: paged ? limit + 1 : MAX_SCORED_REQUESTS
     });
+    const { data: requests, nextCursor } = paged
+      ? toCursorPage(records, 'requested_at', limit)
+      : { data: records, nextCursor: null };
+
+    const scoredRequests = await MatchScoreService.scoreRequests(requests);
 
-    return requests;
+    if (sort === 'match_likelihood') {
+      scoredRequests.sort((a, b) => b.match_likelihood.score - a.match_likelihood.score);
+    }
+
+    return { requests: scoredRequests, nextCursor };
   }
 
   /**
-   * Get sent trade requests
+   * Get sent trade requests, newest first
+   * Paged by limit with a decoded cursor; returns the next page's cursor.
    */
-  static async getSentRequests(userId, pagination = { page: 1, limit: 50 }) {
+  static async getSentRequests(userId, { cursor, limit = DEFAULT_PAGE_SIZE } = {}) {
 
-    const [requests, total] = await Promise.all([
-      prisma.tradeRequest.findMany({
-        where: {
-          requester_id: userId
-        },
-        include: {
-          requested_item: {
-            include: { 
-              images: true,
-              user: { select: { id: true, name: true, image: true } }
-            }
-          },
-          offered_item: {
-            include: { images: true }
-          },
-          trade: { select: { id: true, status: true }
+    // Offers this user proposed: their own requests and counter-offers they made
+    // (trade cycle legs are agreed on the cycle, not offered)
+    const sentWhere = {
+      cycle_leg: { is: null },
+      OR: [
+        { proposed_by_id: null, requester_id: userId },
+        { proposed_by_id: userId }
+      ]
+    };
+
+    const records = await prisma.tradeRequest.findMany({
+      where: cursor ? { AND: [sentWhere, cursorWhere('requested_at', cursor)] } : sentWhere,
+      include: {
+        requested_item: {
+          include: { 
+            images: true,
+            user: { select: { id: true, name: true, image: true } }
           }
         },
-        orderBy: { requested_at: 'desc' }
-      }),
-      prisma.tradeRequest.count({
-        where: {
-          requester_id: userId
+        offered_item: {
+          include: { images: true }
+        },
+        items: bundleItemsInclude,
+        trade: { select: { id: true, status: true }
         }
-      })
-    ]);
+      },
+      orderBy: cursorOrderBy('requested_at'),
+      take: limit + 1
+    });
+    const { data: requests, nextCursor } = toCursorPage(records, 'requested_at', limit);
 
     return {
-      requests
+      requests,
+      nextCursor
     };
   }
 
@@ -494,31 +1385,43 @@ export class TradeService {
           }
         ]
       },
-      include: {
-        requested_item: {
-          include: { 
-            images: true,
-            user: { select: { id: true, name: true, image: true } }
-          }
-        },
-        offered_item: {
-          include: { 
-            images: true,
-            user: { select: { id: true, name: true, image: true } }
-          }
-        },
-        owner: { select: { id: true, name: true, image: true } },
-        requester: { select: { id: true, name: true, image: true } },
-        ratings: {
-          include: {
-            reviewer: { select: { id: true, name: true, image: true } },
-            reviewee: { select: { id: true, name: true, image: true } }
-          }
-        }
-      },
+      include: completedTradeInclude,
       orderBy: { completed_at: 'desc' }
     });
 
     return completedTrades;
   }
+
+  /**
+   * Get one completed trade with the same details as getCompletedTrades (participants only)
+   */
+  static async getCompletedTrade(tradeId, userId) {
+    const trade = await prisma.trade.findUnique({
+      where: { id: tradeId },
+      include: completedTradeInclude
+    });
+
+    if (!trade) {
+      throw new Error('Trade not found');
+    }
+
+    if (trade.owner_id !== userId && trade.requester_id !== userId) {
+      throw new Error('You can only view trades you are part of');
+    }
+
+    if (trade.status !== 'COMPLETED') {
+      throw new Error('Trade must be completed first');
+    }
+
+    return trade;
+  }
+
+  /**
+   * Receipt of a completed trade: participants, items, meetup and handover confirmation
+   * Rendered as HTML or PDF by the route
+   */
+  static async getTradeReceipt(tradeId, userId) {
+    const trade = await TradeService.getCompletedTrade(tradeId, userId);
+    return buildReceipt(trade);
+  }
 }
@@ -0,0 +1,155 @@
+// services/tradeStateMachine.js
+
+// Allowed status transitions; statuses without an entry are final
+const MACHINES = {
+  TRADE_REQUEST: {
+    label: 'Trade request',
+    model: 'tradeRequest',
+    transitions: {
+      PENDING: ['ACCEPTED', 'REJECTED', 'CANCELLED', 'COUNTERED', 'EXPIRED']
+    }
+  },
+  TRADE: {
+    label: 'Trade',
+    model: 'trade',
+    transitions: {
+      PENDING: ['COMPLETED', 'CANCELLED', 'FAILED', 'DISPUTED'],
+      COMPLETED: ['DISPUTED'],
+      // Upheld disputes fail the trade, dismissed ones restore the previous status
+      DISPUTED: ['FAILED', 'PENDING', 'COMPLETED']
+    }
+  },
+  TRADE_CYCLE: {
+    label: 'Trade cycle',
+    model: 'tradeCycle',
+    transitions: {
+      PROPOSED: ['ACCEPTED', 'DECLINED', 'EXPIRED', 'CANCELLED'],
+      ACCEPTED: ['COMPLETED', 'CANCELLED']
+    }
+  },
+  LOAN: {
+    label: 'Loan',
+    model: 'loan',
+    transitions: {
+      REQUESTED: ['APPROVED', 'REJECTED', 'CANCELLED', 'EXPIRED'],
+      APPROVED: ['ACTIVE', 'CANCELLED', 'EXPIRED'],
+      ACTIVE: ['RETURNED', 'OVERDUE'],
+      OVERDUE: ['RETURNED']
+    }
+  },
+  ITEM: {
+    label: 'Item',
+    model: 'item',
+    transitions: {
+      AVAILABLE: ['RESERVED', 'REMOVED', 'LENT'],
+      RESERVED: ['AVAILABLE', 'SWAPPED'],
+      SWAPPED: ['AVAILABLE'], // trade failed after an upheld dispute
+      REMOVED: ['AVAILABLE'],
+      LENT: ['AVAILABLE'] // loan returned
+    }
+  }
+};
+
+/**
+ * Build the TradeEvent rows for a status change.
+ * Events of a trade and its items are anchored to the accepted trade request,
+ * events of a trade cycle or loan and their items to the cycle or loan.
+ */
+function buildEvents(entityType, ids, from, to, context) {
+  return ids.map(id => ({
+    trade_request_id: entityType === 'TRADE_REQUEST' ? id : context.tradeRequestId || null,
+    trade_id: entityType === 'TRADE' ? id : context.tradeId || null,
+    cycle_id: entityType === 'TRADE_CYCLE' ? id : context.cycleId || null,
+    loan_id: entityType === 'LOAN' ? id : context.loanId || null,
+    entity_type: entityType,
+    entity_id: id,
+    from_status: from,
+    to_status: to,
+    actor_id: context.actorId || null,
+    reason: context.reason || null
+  }));
+}
+
+export class TradeStateMachine {
+
+  /**
+   * Check whether a status transition is allowed
+   */
+  static canTransition(entityType, from, to) {
+    const allowed = MACHINES[entityType].transitions[from] || [];
+    return allowed.includes(to);
+  }
+
+  /**
+   * Throw if a status transition is not allowed
+   */
+  static assertTransition(entityType, from, to) {
+    if (!TradeStateMachine.canTransition(entityType, from, to)) {
+      throw new Error(`${MACHINES[entityType].label} cannot move from ${from} to ${to}`);
+    }
+  }
+
+  /**
+   * Move one record to a new status and record the change on the timeline.
+   * Must run inside a transaction. The update only applies while the record still
+   * has the expected status, so a concurrent change is reported instead of overwritten.
+   *
+   * context: { actorId, reason, tradeRequestId, tradeId, cycleId, loanId } - actorId is null for system changes
+   */
+  static async transition(tx, entityType, id, from, to, { data = {}, include, ...context } = {}) {
+    const { model, label } = MACHINES[entityType];
+    TradeStateMachine.assertTransition(entityType, from, to);
+
+    const { count } = await tx[model].updateMany({
+      where: { id, status: from },
+      data: { ...data, status: to }
+    });
+
+    if (count === 0) {
+      throw new Error(`${label} was changed by another action, please try again`);
+    }
+
+    await tx.tradeEvent.createMany({
+      data: buildEvents(entityType, [id], from, to, context)
+    });
+
+    return tx[model].findUnique({ where: { id }, include });
+  }
+
+  /**
+   * Move several records sharing the same status to a new status.
+   * Must run inside a transaction; fails if any record has changed status in the meantime.
+   */
+  static async transitionMany(tx, entityType, ids, from, to, { data = {}, ...context } = {}) {
+    const { model, label } = MACHINES[entityType];
+    TradeStateMachine.assertTransition(entityType, from, to);
+
+    if (ids.length === 0) {
+      return 0;
+    }
+
+    const { count } = await tx[model].updateMany({
+      where: { id: { in: ids }, status: from },
+      data: { ...data, status: to }
+    });
+
+    if (count !== ids.length) {
+      throw new Error(`${label} was changed by another action, please try again`);
+    }
+
+    await tx.tradeEvent.createMany({
+      data: buildEvents(entityType, ids, from, to, context)
+    });
+
+    return count;
+  }
+
+  /**
+   * Record the creation of a record (no previous status) on the timeline
+   */
+  static async recordCreated(tx, entityType, id, status, context = {}) {
+    await tx.tradeEvent.createMany({
+      data: buildEvents(entityType, [id], null, status, context)
+    });
+  }
+}
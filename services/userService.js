@@ -1,5 +1,6 @@
 // services/userService.js
 import { PrismaClient } from '@prisma/client';
+import { TradeQuotaService } from './tradeQuotaService.js';
 
 const prisma = new PrismaClient();
 
@@ -58,6 +59,16 @@ export class UserService {
     };
   }
 
+  /**
+   * Get the authenticated user's own profile, including their remaining trade request quota
+   */
+  static async getCurrentUser(userId) {
+    const user = await UserService.getUserProfile(userId);
+    const trade_request_quota = await TradeQuotaService.getQuota(userId);
+
+    return { ...user, trade_request_quota };
+  }
+
   /**
    * Update user profile
    */
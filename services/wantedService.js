@@ -0,0 +1,241 @@
+// services/wantedService.js
+import { PrismaClient } from '@prisma/client';
+import { RealtimeService } from './realtimeService.js';
+import { ITEM_CONDITIONS, calculateDistance } from '../utils/helpers.js';
+import { cursorWhere, cursorOrderBy, toCursorPage } from '../utils/pagination.js';
+
+const prisma = new PrismaClient();
+
+// Include for a wanted item as shown to other users
+const wantedInclude = {
+  user: { select: { id: true, name: true, image: true, badge: true } }
+};
+
+async function findOwnWanted(wantedId, userId) {
+  const wanted = await prisma.wantedItem.findUnique({ where: { id: wantedId } });
+
+  if (!wanted) {
+    throw new Error('Wanted item not found');
+  }
+
+  if (wanted.user_id !== userId) {
+    throw new Error('You can only manage your own wanted items');
+  }
+
+  return wanted;
+}
+
+// Where an item is: its own coordinates, else its owner's
+function itemLocation(item) {
+  if (item.latitude != null && item.longitude != null) return item;
+  if (item.user.latitude != null && item.user.longitude != null) return item.user;
+  return null;
+}
+
+/**
+ * Find the wanted items of other users that an item satisfies
+ * - keywords: any of them matches the item's full-text search_vector (English stemming)
+ * - category: same category, case-insensitive
+ * - min_condition: the item is in that condition or better
+ * - max_distance_km: the item is within reach of the user's location (only checked when both
+ *   locations are known)
+ * Each match gets its distance_km (null when a location is unknown), nearest first.
+ */
+async function findMatchingWanted(item, { includePrivate = false } = {}) {
+  const keywordMatches = await prisma.$queryRaw`
+    SELECT w.id
+    FROM wanted_items w, items i
+    WHERE i.id = ${item.id}
+      AND w.user_id <> i.user_id
+      AND i.search_vector @@ to_tsquery('english', array_to_string(w.keywords, ' | '))`;
+
+  if (keywordMatches.length === 0) {
+    return [];
+  }
+
+  // Conditions are declared best first
+  const satisfiedFloors = ITEM_CONDITIONS.slice(ITEM_CONDITIONS.indexOf(item.condition));
+
+  const candidates = await prisma.wantedItem.findMany({
+    where: {
+      id: { in: keywordMatches.map(match => match.id) },
+      ...(includePrivate ? {} : { is_public: true }),
+      AND: [
+        { OR: [{ category: null }, { category: { equals: item.category, mode: 'insensitive' } }] },
+        { OR: [{ min_condition: null }, { min_condition: { in: satisfiedFloors } }] }
+      ]
+    },
+    include: {
+      user: { select: { id: true, name: true, image: true, badge: true, latitude: true, longitude: true } }
+    }
+  });
+
+  const location = itemLocation(item);
+
+  return candidates
+    .map(({ user: { latitude, longitude, ...user }, ...wanted }) => {
+      const known = location && latitude != null && longitude != null;
+      const distance = known
+        ? calculateDistance(latitude, longitude, location.latitude, location.longitude)
+        : null;
+
+      return { ...wanted, user, distance_km: distance === null ? null : Math.round(distance * 10) / 10 };
+    })
+    .filter(wanted => wanted.max_distance_km == null || wanted.distance_km == null ||
+      wanted.distance_km <= wanted.max_distance_km)
+    .sort((a, b) => (a.distance_km ?? Infinity) - (b.distance_km ?? Infinity) || b.created_at - a.created_at);
+}
+
+async function findItemForMatching(itemId) {
+  return prisma.item.findUnique({
+    where: { id: itemId },
+    select: {
+      id: true,
+      user_id: true,
+      title: true,
+      category: true,
+      condition: true,
+      status: true,
+      latitude: true,
+      longitude: true,
+      user: { select: { latitude: true, longitude: true } }
+    }
+  });
+}
+
+export class WantedService {
+
+  /**
+   * Add an item to the user's wanted list
+   */
+  static async createWanted(userId, data) {
+    return prisma.wantedItem.create({
+      data: { ...data, user_id: userId },
+      include: wantedInclude
+    });
+  }
+
+  /**
+   * Update one of the user's wanted items
+   */
+  static async updateWanted(wantedId, userId, data) {
+    await findOwnWanted(wantedId, userId);
+
+    return prisma.wantedItem.update({
+      where: { id: wantedId },
+      data,
+      include: wantedInclude
+    });
+  }
+
+  /**
+   * Remove one of the user's wanted items
+   */
+  static async deleteWanted(wantedId, userId) {
+    await findOwnWanted(wantedId, userId);
+
+    await prisma.wantedItem.delete({ where: { id: wantedId } });
+
+    return { message: 'Wanted item deleted successfully' };
+  }
+
+  /**
+   * Get a wanted item: any public one, or one of the user's own
+   */
+  static async getWanted(wantedId, userId = null) {
+    const wanted = await prisma.wantedItem.findUnique({
+      where: { id: wantedId },
+      include: wantedInclude
+    });
+
+    if (!wanted || (!wanted.is_public && wanted.user_id !== userId)) {
+      throw new Error('Wanted item not found');
+    }
+
+    return wanted;
+  }
+
+  /**
+   * Get the user's own wanted list, public and private entries
+   */
+  static async getUserWanted(userId) {
+    return prisma.wantedItem.findMany({
+      where: { user_id: userId },
+      orderBy: { created_at: 'desc' }
+    });
+  }
+
+  /**
+   * Browse public wanted posts, newest first, by page of limit with a decoded cursor
+   */
+  static async browseWanted({ category, keyword, cursor, limit = 20 } = {}) {
+    const filters = [{ is_public: true }];
+
+    if (category) {
+      filters.push({ category: { equals: category, mode: 'insensitive' } });
+    }
+
+    if (keyword) {
+      filters.push({ keywords: { has: keyword } });
+    }
+
+    if (cursor) {
+      filters.push(cursorWhere('created_at', cursor));
+    }
+
+    const records = await prisma.wantedItem.findMany({
+      where: { AND: filters },
+      include: wantedInclude,
+      orderBy: cursorOrderBy('created_at'),
+      take: limit + 1
+    });
+
+    const { data: wanted, nextCursor } = toCursorPage(records, 'created_at', limit);
+
+    return { wanted, nextCursor };
+  }
+
+  /**
+   * Public wanted posts of other users that an item satisfies (owner only)
+   * Lets owners offer their item to the people looking for it.
+   */
+  static async getItemMatches(itemId, userId) {
+    const item = await findItemForMatching(itemId);
+
+    if (!item) {
+      throw new Error('Item not found');
+    }
+
+    if (item.user_id !== userId) {
+      throw new Error('You can only see wanted matches for your own items');
+    }
+
+    const matches = await findMatchingWanted(item);
+
+    return {
+      item: { id: item.id, title: item.title, status: item.status },
+      matches
+    };
+  }
+
+  /**
+   * Tell users, public and private wanted lists alike, that a newly posted item matches their wanted items
+   */
+  static async notifyMatches(itemId) {
+    const item = await findItemForMatching(itemId);
+
+    if (!item) {
+      return;
+    }
+
+    const matches = await findMatchingWanted(item, { includePrivate: true });
+
+    for (const wanted of matches) {
+      RealtimeService.publish([wanted.user_id], 'wanted.matched', {
+        wantedId: wanted.id,
+        item: { id: item.id, title: item.title },
+        distance_km: wanted.distance_km
+      });
+    }
+  }
+}
@@ -0,0 +1,170 @@
+// test/disputeService.test.js
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { prismaMock, resetPrismaMock } from './support/fakePrismaClient.js';
+import { statusTable } from './support/statusTable.js';
+import { DisputeService } from '../services/disputeService.js';
+import { LOYALTY_POINTS_PER_STAR } from '../services/ratingService.js';
+
+// Apply Prisma's increment/decrement number updates
+function applyUpdate(row, data) {
+  for (const [field, value] of Object.entries(data)) {
+    if (value?.increment !== undefined) row[field] += value.increment;
+    else if (value?.decrement !== undefined) row[field] -= value.decrement;
+    else row[field] = value;
+  }
+  return row;
+}
+
+describe('DisputeService.resolveDispute', () => {
+  let users;
+  let trade;
+  let items;
+  let ratings;
+  let dispute;
+
+  // A dispute on a trade that was COMPLETED (items SWAPPED) or PENDING (items RESERVED)
+  function useDispute(previousStatus) {
+    items = [
+      { id: 'i1', status: previousStatus === 'COMPLETED' ? 'SWAPPED' : 'RESERVED' },
+      { id: 'i2', status: previousStatus === 'COMPLETED' ? 'SWAPPED' : 'RESERVED' }
+    ];
+    trade = {
+      id: 't1',
+      trade_request_id: 'r1',
+      owner_id: 'owner',
+      requester_id: 'requester',
+      status: 'DISPUTED',
+      trade_request: { items: items.map(item => ({ item_id: item.id })) }
+    };
+    dispute = { id: 'd1', status: 'OPEN', previous_trade_status: previousStatus, trade };
+
+    prismaMock.tradeDispute = {
+      findUnique: async () => dispute,
+      update: async ({ data }) => Object.assign(dispute, data)
+    };
+    prismaMock.trade = {
+      ...statusTable([trade]),
+      findUnique: async () => ({ ...trade, cycle_leg: null })
+    };
+    prismaMock.item = statusTable(items);
+  }
+
+  beforeEach(() => {
+    resetPrismaMock();
+    users = {
+      owner: { id: 'owner', loyalty_points: 120, badge: 'BRONZE' },
+      requester: { id: 'requester', loyalty_points: 40, badge: 'BRONZE' }
+    };
+    ratings = [
+      { id: 'rt1', rating: 4, reviewee_id: 'owner' },
+      { id: 'rt2', rating: 5, reviewee_id: 'requester' }
+    ];
+
+    prismaMock.user = {
+      findUnique: async ({ where }) => users[where.id],
+      update: async ({ where, data }) => applyUpdate(users[where.id], data)
+    };
+    prismaMock.rating = {
+      findMany: async () => ratings,
+      deleteMany: mock.fn(async () => ({ count: ratings.length }))
+    };
+    prismaMock.swappedItem = { deleteMany: mock.fn(async () => ({ count: 2 })) };
+    prismaMock.tradeEvent = { createMany: async ({ data }) => ({ count: data.length }) };
+  });
+
+  const uphold = { decision: 'UPHOLD', note: 'Item never arrived', revert_items: false, void_ratings: false, points_adjustments: [] };
+  const dismiss = { ...uphold, decision: 'DISMISS', note: 'Item arrived as described' };
+
+  it('fails an upheld pending trade and puts its reserved items back on the market', async () => {
+    useDispute('PENDING');
+
+    const resolved = await DisputeService.resolveDispute('d1', 'moderator', uphold);
+
+    assert.equal(trade.status, 'FAILED');
+    assert.equal(trade.closed_reason, 'Dispute upheld: Item never arrived');
+    assert.deepEqual(items.map(item => item.status), ['AVAILABLE', 'AVAILABLE']);
+    assert.equal(resolved.status, 'UPHELD');
+    assert.equal(resolved.items_reverted, true);
+  });
+
+  it('leaves swapped items with their new owners unless asked to revert them', async () => {
+    useDispute('COMPLETED');
+
+    const resolved = await DisputeService.resolveDispute('d1', 'moderator', uphold);
+
+    assert.equal(trade.status, 'FAILED');
+    assert.deepEqual(items.map(item => item.status), ['SWAPPED', 'SWAPPED']);
+    assert.equal(resolved.items_reverted, false);
+  });
+
+  it('reverts swapped items to their original owners', async () => {
+    useDispute('COMPLETED');
+
+    await DisputeService.resolveDispute('d1', 'moderator', { ...uphold, revert_items: true });
+
+    assert.deepEqual(items.map(item => item.status), ['AVAILABLE', 'AVAILABLE']);
+    assert.deepEqual(prismaMock.swappedItem.deleteMany.mock.calls[0].arguments[0], { where: { trade_id: 't1' } });
+  });
+
+  it('voids the ratings of the trade and takes back the points they gave', async () => {
+    useDispute('COMPLETED');
+
+    const resolved = await DisputeService.resolveDispute('d1', 'moderator', { ...uphold, void_ratings: true });
+
+    assert.equal(users.owner.loyalty_points, 120 - 4 * LOYALTY_POINTS_PER_STAR);
+    assert.equal(users.requester.loyalty_points, 40 - 5 * LOYALTY_POINTS_PER_STAR);
+    assert.deepEqual(prismaMock.rating.deleteMany.mock.calls[0].arguments[0], { where: { trade_id: 't1' } });
+    assert.equal(resolved.ratings_voided, 2);
+  });
+
+  it('restores the previous trade status when dismissed', async () => {
+    useDispute('COMPLETED');
+
+    const resolved = await DisputeService.resolveDispute('d1', 'moderator', dismiss);
+
+    assert.equal(trade.status, 'COMPLETED');
+    assert.deepEqual(items.map(item => item.status), ['SWAPPED', 'SWAPPED']);
+    assert.equal(prismaMock.rating.deleteMany.mock.callCount(), 0);
+    assert.equal(resolved.status, 'DISMISSED');
+  });
+
+  it('applies points adjustments and updates the badges', async () => {
+    useDispute('PENDING');
+
+    await DisputeService.resolveDispute('d1', 'moderator', {
+      ...dismiss,
+      points_adjustments: [{ user_id: 'requester', points: 15 }]
+    });
+
+    assert.equal(users.requester.loyalty_points, 55);
+    assert.equal(users.requester.badge, 'SILVER');
+    assert.equal(trade.status, 'PENDING');
+  });
+
+  it('only adjusts the points of trade participants', async () => {
+    useDispute('PENDING');
+
+    await assert.rejects(
+      DisputeService.resolveDispute('d1', 'moderator', { ...dismiss, points_adjustments: [{ user_id: 'someone', points: 10 }] }),
+      { message: 'Points adjustments must be for trade participants' }
+    );
+    assert.equal(trade.status, 'DISPUTED');
+  });
+
+  it('keeps moderators from resolving disputes on their own trades', async () => {
+    useDispute('PENDING');
+
+    await assert.rejects(
+      DisputeService.resolveDispute('d1', 'owner', uphold),
+      { message: 'You cannot resolve a dispute on your own trade' }
+    );
+  });
+
+  it('resolves a dispute only once', async () => {
+    useDispute('PENDING');
+    dispute.status = 'UPHELD';
+
+    await assert.rejects(DisputeService.resolveDispute('d1', 'moderator', uphold), { message: 'Dispute is already resolved' });
+  });
+});
@@ -0,0 +1,207 @@
+// test/handoverService.test.js
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { prismaMock, resetPrismaMock } from './support/fakePrismaClient.js';
+import { HandoverService } from '../services/handoverService.js';
+import { TradeService } from '../services/tradeService.js';
+
+const trade = { id: 't1', owner_id: 'owner', requester_id: 'requester', status: 'PENDING' };
+
+function handoverCode(overrides = {}) {
+  return {
+    id: 'hc1',
+    trade_id: 't1',
+    user_id: 'owner',
+    code: '123456',
+    failed_attempts: 0,
+    used_at: null,
+    ...overrides
+  };
+}
+
+describe('HandoverService.createCodes', () => {
+  it('creates a six digit code for each participant', async () => {
+    const tx = { tradeHandoverCode: { createMany: mock.fn(async () => ({ count: 2 })) } };
+
+    await HandoverService.createCodes(tx, trade);
+
+    const { data, skipDuplicates } = tx.tradeHandoverCode.createMany.mock.calls[0].arguments[0];
+    assert.equal(skipDuplicates, true);
+    assert.deepEqual(data.map(row => row.user_id), ['owner', 'requester']);
+    data.forEach(row => assert.match(row.code, /^\d{6}$/));
+  });
+});
+
+describe('HandoverService.getHandover', () => {
+  beforeEach(() => {
+    resetPrismaMock();
+    prismaMock.trade = { findUnique: async () => trade };
+    prismaMock.tradeHandoverCode = {
+      createMany: mock.fn(async () => ({ count: 0 })),
+      findMany: async () => [
+        handoverCode(),
+        handoverCode({ id: 'hc2', user_id: 'requester', code: '654321', used_at: new Date('2026-01-01') })
+      ]
+    };
+  });
+
+  it("returns the user's own code with its QR payload and the state of the other code", async () => {
+    const handover = await HandoverService.getHandover('t1', 'owner');
+
+    assert.equal(handover.code, '123456');
+    assert.equal(handover.qr_payload, 'swappo://trades/t1/handover?code=123456');
+    assert.equal(handover.locked, false);
+    assert.equal(handover.used_at, null);
+    assert.deepEqual(handover.other_code_used_at, new Date('2026-01-01'));
+  });
+
+  it('creates missing codes for pending trades', async () => {
+    await HandoverService.getHandover('t1', 'owner');
+
+    assert.equal(prismaMock.tradeHandoverCode.createMany.mock.callCount(), 1);
+  });
+
+  it('is only available to the participants', async () => {
+    await assert.rejects(
+      HandoverService.getHandover('t1', 'stranger'),
+      { message: 'You can only view handover codes of trades you are part of' }
+    );
+  });
+});
+
+describe('HandoverService.verifyCode', () => {
+  let stored;
+
+  beforeEach(() => {
+    resetPrismaMock();
+    stored = handoverCode();
+    prismaMock.tradeHandoverCode = {
+      findUnique: async () => stored,
+      update: mock.fn(async () => stored)
+    };
+  });
+
+  it("accepts the other participant's code", async () => {
+    const verified = await HandoverService.verifyCode('t1', 'owner', '123456');
+
+    assert.equal(verified, stored);
+    assert.equal(prismaMock.tradeHandoverCode.update.mock.callCount(), 0);
+  });
+
+  it('counts wrong entries', async () => {
+    await assert.rejects(
+      HandoverService.verifyCode('t1', 'owner', '000000'),
+      { message: 'Handover code must be the one shown by the other party' }
+    );
+
+    assert.deepEqual(prismaMock.tradeHandoverCode.update.mock.calls[0].arguments[0], {
+      where: { id: 'hc1' },
+      data: { failed_attempts: { increment: 1 } }
+    });
+  });
+
+  it('rejects even the right code once locked after five wrong entries', async () => {
+    stored.failed_attempts = 5;
+
+    await assert.rejects(
+      HandoverService.verifyCode('t1', 'owner', '123456'),
+      { message: 'Handover code is no longer valid, ask the other party for a new code' }
+    );
+  });
+
+  it('asks for the code to be created when the other party has none yet', async () => {
+    stored = null;
+
+    await assert.rejects(
+      HandoverService.verifyCode('t1', 'owner', '123456'),
+      /Handover code is not available yet/
+    );
+  });
+});
+
+describe('HandoverService.regenerateCode', () => {
+  let stored;
+
+  beforeEach(() => {
+    resetPrismaMock();
+    stored = handoverCode({ failed_attempts: 5, trade: { status: 'PENDING' } });
+    prismaMock.tradeHandoverCode = {
+      findUnique: async () => stored,
+      update: mock.fn(async () => stored)
+    };
+  });
+
+  it('replaces a locked code and resets its attempts', async () => {
+    const { code, qr_payload, locked } = await HandoverService.regenerateCode('t1', 'owner');
+
+    assert.match(code, /^\d{6}$/);
+    assert.equal(qr_payload, `swappo://trades/t1/handover?code=${code}`);
+    assert.equal(locked, false);
+    assert.deepEqual(prismaMock.tradeHandoverCode.update.mock.calls[0].arguments[0].data, { code, failed_attempts: 0 });
+  });
+
+  it('keeps codes of trades that are no longer pending', async () => {
+    stored.trade.status = 'COMPLETED';
+
+    await assert.rejects(HandoverService.regenerateCode('t1', 'owner'), /no longer pending/);
+  });
+
+  it('keeps codes that were already used', async () => {
+    stored.used_at = new Date();
+
+    await assert.rejects(
+      HandoverService.regenerateCode('t1', 'owner'),
+      { message: 'Your handover code has already been used' }
+    );
+  });
+});
+
+describe('completing a trade with a scanned handover code', () => {
+  let codes;
+
+  beforeEach(() => {
+    resetPrismaMock();
+    codes = [
+      handoverCode(),
+      handoverCode({ id: 'hc2', user_id: 'requester', code: '654321' })
+    ];
+    const storedTrade = {
+      ...trade,
+      trade_request_id: 'r1',
+      owner_confirmed_at: null,
+      requester_confirmed_at: null,
+      trade_request: { items: [] }
+    };
+
+    prismaMock.trade = {
+      findUnique: mock.fn(async ({ where }) => (where.id === storedTrade.id ? storedTrade : null)),
+      updateMany: mock.fn(async ({ data }) => {
+        Object.assign(storedTrade, data);
+        return { count: 1 };
+      })
+    };
+    prismaMock.tradeHandoverCode = {
+      createMany: async () => ({ count: 0 }),
+      findMany: async () => codes,
+      findUnique: async ({ where: { trade_id_user_id: { user_id } } }) => codes.find(c => c.user_id === user_id),
+      update: mock.fn(async ({ where, data }) => Object.assign(codes.find(c => c.id === where.id), data))
+    };
+  });
+
+  it('confirms the trade the QR payload points to', async () => {
+    const { qr_payload } = await HandoverService.getHandover('t1', 'requester');
+    const url = new URL(qr_payload);
+    const tradeId = url.pathname.split('/')[1];
+
+    const confirmed = await TradeService.completeTrade(tradeId, 'owner', url.searchParams.get('code'));
+
+    assert.equal(tradeId, 't1');
+    assert.ok(confirmed.owner_confirmed_at);
+    assert.equal(confirmed.status, 'PENDING');
+    assert.ok(codes.find(c => c.user_id === 'requester').used_at);
+  });
+
+  it('does not find trades by their trade request id', async () => {
+    await assert.rejects(TradeService.completeTrade('r1', 'owner', '654321'), { message: 'Trade not found' });
+  });
+});
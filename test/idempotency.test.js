@@ -0,0 +1,222 @@
+// test/idempotency.test.js
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { prismaMock, resetPrismaMock } from './support/fakePrismaClient.js';
+import { IdempotencyService } from '../services/idempotencyService.js';
+import { idempotencyMiddleware } from '../middleware/idempotency.js';
+
+// In-memory idempotencyKey table with the (user_id, key) unique constraint
+function createKeyStore() {
+  const rows = new Map();
+  let nextId = 1;
+
+  const byId = id => [...rows.values()].find(row => row.id === id);
+
+  return {
+    rows,
+    async findUnique({ where: { user_id_key: { user_id, key } } }) {
+      return rows.get(`${user_id}:${key}`) || null;
+    },
+    async create({ data }) {
+      const name = `${data.user_id}:${data.key}`;
+
+      if (rows.has(name)) {
+        throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+      }
+
+      const row = { id: `k${nextId++}`, response_status: null, response_body: null, ...data };
+      rows.set(name, row);
+      return row;
+    },
+    async update({ where: { id }, data }) {
+      return Object.assign(byId(id), data);
+    },
+    async deleteMany({ where }) {
+      const matches = [...rows.entries()].filter(([, row]) =>
+        where.id ? row.id === where.id : row.expires_at < where.expires_at.lt
+      );
+      matches.forEach(([name]) => rows.delete(name));
+      return { count: matches.length };
+    }
+  };
+}
+
+function createRequest({ key, body = { title: 'Lamp' }, userId = 'u1' } = {}) {
+  return {
+    method: 'POST',
+    originalUrl: '/api/items',
+    body,
+    user: { id: userId },
+    get: name => (name === 'Idempotency-Key' ? key : undefined)
+  };
+}
+
+function createResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    set(name, value) {
+      res.headers[name] = value;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    }
+  };
+  return res;
+}
+
+// Run the middleware; `handler` plays the route when the request gets through
+async function run(req, handler = () => {}) {
+  const res = createResponse();
+  let nextCalled = false;
+
+  await idempotencyMiddleware(req, res, () => {
+    nextCalled = true;
+    handler(res);
+  });
+
+  // Let the stored response settle before it is sent
+  await new Promise(resolve => setImmediate(resolve));
+
+  return { res, nextCalled };
+}
+
+describe('IdempotencyService.claimKey', () => {
+  let store;
+
+  beforeEach(() => {
+    resetPrismaMock();
+    store = createKeyStore();
+    prismaMock.idempotencyKey = store;
+  });
+
+  const request = { method: 'POST', path: '/api/items', requestHash: 'h1' };
+
+  it('claims an unused key', async () => {
+    const { record, created } = await IdempotencyService.claimKey('u1', 'key-1', request);
+
+    assert.equal(created, true);
+    assert.equal(record.request_hash, 'h1');
+    assert.ok(record.expires_at > new Date());
+  });
+
+  it('returns the request already holding a live key', async () => {
+    const first = await IdempotencyService.claimKey('u1', 'key-1', request);
+    const second = await IdempotencyService.claimKey('u1', 'key-1', request);
+
+    assert.equal(second.created, false);
+    assert.equal(second.record.id, first.record.id);
+  });
+
+  it('keeps keys apart per user', async () => {
+    await IdempotencyService.claimKey('u1', 'key-1', request);
+    const { created } = await IdempotencyService.claimKey('u2', 'key-1', request);
+
+    assert.equal(created, true);
+  });
+
+  it('releases an expired key and claims it again', async () => {
+    const first = await IdempotencyService.claimKey('u1', 'key-1', request);
+    first.record.expires_at = new Date(Date.now() - 1000);
+
+    const second = await IdempotencyService.claimKey('u1', 'key-1', request);
+
+    assert.equal(second.created, true);
+    assert.notEqual(second.record.id, first.record.id);
+  });
+
+  it('reports a concurrent claim of the same key as not created', async () => {
+    const findUnique = store.findUnique;
+    let lookups = 0;
+    // The first lookup misses the row a concurrent retry inserts right after it
+    store.findUnique = async (args) => (lookups++ === 0 ? null : findUnique(args));
+    await store.create({ data: { user_id: 'u1', key: 'key-1', request_hash: 'h1', expires_at: new Date(Date.now() + 1000) } });
+
+    const { record, created } = await IdempotencyService.claimKey('u1', 'key-1', request);
+
+    assert.equal(created, false);
+    assert.equal(record.request_hash, 'h1');
+  });
+
+  it('purges keys past their TTL only', async () => {
+    await IdempotencyService.claimKey('u1', 'old', request);
+    await IdempotencyService.claimKey('u1', 'new', request);
+    store.rows.get('u1:old').expires_at = new Date(Date.now() - 1000);
+
+    assert.deepEqual(await IdempotencyService.purgeExpiredKeys(), { processed: 1 });
+    assert.deepEqual([...store.rows.keys()], ['u1:new']);
+  });
+});
+
+describe('idempotencyMiddleware', () => {
+  let store;
+
+  beforeEach(() => {
+    resetPrismaMock();
+    store = createKeyStore();
+    prismaMock.idempotencyKey = store;
+  });
+
+  const created = res => res.status(201).json({ success: true, data: { id: 'item-1' } });
+
+  it('passes requests without the header through', async () => {
+    const { nextCalled } = await run(createRequest());
+
+    assert.equal(nextCalled, true);
+    assert.equal(store.rows.size, 0);
+  });
+
+  it('rejects empty and overlong keys', async () => {
+    for (const key of ['  ', 'k'.repeat(256)]) {
+      const { res, nextCalled } = await run(createRequest({ key }));
+
+      assert.equal(nextCalled, false);
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.errorCode, 'INVALID_IDEMPOTENCY_KEY');
+    }
+  });
+
+  it('replays the stored response for a retry', async () => {
+    const first = await run(createRequest({ key: 'key-1' }), created);
+    const retry = await run(createRequest({ key: 'key-1' }), () => assert.fail('the request ran twice'));
+
+    assert.equal(first.res.statusCode, 201);
+    assert.equal(retry.nextCalled, false);
+    assert.equal(retry.res.statusCode, 201);
+    assert.deepEqual(retry.res.body, first.res.body);
+    assert.equal(retry.res.headers['Idempotent-Replayed'], 'true');
+  });
+
+  it('rejects a key reused for a different request', async () => {
+    await run(createRequest({ key: 'key-1' }), created);
+    const { res } = await run(createRequest({ key: 'key-1', body: { title: 'Chair' } }));
+
+    assert.equal(res.statusCode, 422);
+    assert.equal(res.body.errorCode, 'IDEMPOTENCY_KEY_REUSED');
+  });
+
+  it('answers 409 while the first request is still running', async () => {
+    await run(createRequest({ key: 'key-1' }));
+    const { res, nextCalled } = await run(createRequest({ key: 'key-1' }));
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 409);
+  });
+
+  it('releases the key of a failed request so a retry runs again', async () => {
+    await run(createRequest({ key: 'key-1' }), res => res.status(400).json({ success: false }));
+    assert.equal(store.rows.size, 0);
+
+    const retry = await run(createRequest({ key: 'key-1' }), created);
+
+    assert.equal(retry.nextCalled, true);
+    assert.equal(retry.res.statusCode, 201);
+  });
+});
@@ -0,0 +1,97 @@
+// test/itemStatus.test.js
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { prismaMock, resetPrismaMock } from './support/fakePrismaClient.js';
+import { ItemService } from '../services/itemService.js';
+
+describe('ItemService.updateItemStatus', () => {
+  let item;
+
+  beforeEach(() => {
+    resetPrismaMock();
+    item = { id: 'i1', user_id: 'owner', status: 'AVAILABLE' };
+
+    prismaMock.item = {
+      findFirst: async ({ where }) => (where.id === item.id && where.user_id === item.user_id ? { ...item } : null),
+      findUnique: async () => item,
+      updateMany: mock.fn(async ({ where, data }) => {
+        if (where.status !== item.status) return { count: 0 };
+        Object.assign(item, data);
+        return { count: 1 };
+      })
+    };
+    prismaMock.loan = { count: async () => 0 };
+    prismaMock.tradeEvent = { createMany: mock.fn(async ({ data }) => ({ count: data.length })) };
+  });
+
+  it('delists an item and records the change on its timeline', async () => {
+    const updated = await ItemService.updateItemStatus('i1', 'owner', 'REMOVED');
+
+    assert.equal(updated.status, 'REMOVED');
+    assert.deepEqual(prismaMock.item.updateMany.mock.calls[0].arguments[0].where, { id: 'i1', status: 'AVAILABLE' });
+
+    const [event] = prismaMock.tradeEvent.createMany.mock.calls[0].arguments[0].data;
+    assert.equal(event.entity_type, 'ITEM');
+    assert.equal(event.from_status, 'AVAILABLE');
+    assert.equal(event.to_status, 'REMOVED');
+    assert.equal(event.actor_id, 'owner');
+  });
+
+  it('lists a removed item again', async () => {
+    item.status = 'REMOVED';
+
+    const updated = await ItemService.updateItemStatus('i1', 'owner', 'AVAILABLE');
+
+    assert.equal(updated.status, 'AVAILABLE');
+  });
+
+  it('reports a trade reserving the item at the same time instead of overwriting it', async () => {
+    // The item is read while AVAILABLE, then a trade reserves it before the update
+    const { findFirst } = prismaMock.item;
+    prismaMock.item.findFirst = async (args) => {
+      const found = await findFirst(args);
+      item.status = 'RESERVED';
+      return found;
+    };
+
+    await assert.rejects(
+      ItemService.updateItemStatus('i1', 'owner', 'REMOVED'),
+      { message: 'Item was changed by another action, please try again' }
+    );
+    assert.equal(item.status, 'RESERVED');
+    assert.equal(prismaMock.tradeEvent.createMany.mock.callCount(), 0);
+  });
+
+  it('leaves items managed by trades and loans to them', async () => {
+    item.status = 'LENT';
+
+    await assert.rejects(
+      ItemService.updateItemStatus('i1', 'owner', 'AVAILABLE'),
+      { message: 'Item cannot move from LENT to AVAILABLE' }
+    );
+  });
+
+  it('keeps items with booked loans listed', async () => {
+    prismaMock.loan.count = async () => 1;
+
+    await assert.rejects(
+      ItemService.updateItemStatus('i1', 'owner', 'REMOVED'),
+      { message: 'Cannot remove item with approved loans, cancel them first' }
+    );
+  });
+
+  it('changes nothing when the item already has the status', async () => {
+    const updated = await ItemService.updateItemStatus('i1', 'owner', 'AVAILABLE');
+
+    assert.equal(updated.status, 'AVAILABLE');
+    assert.equal(prismaMock.item.updateMany.mock.callCount(), 0);
+    assert.equal(prismaMock.tradeEvent.createMany.mock.callCount(), 0);
+  });
+
+  it('is only available to the owner', async () => {
+    await assert.rejects(
+      ItemService.updateItemStatus('i1', 'someone', 'REMOVED'),
+      { message: 'Item not found or access denied' }
+    );
+  });
+});
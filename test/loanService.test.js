@@ -0,0 +1,90 @@
+// test/loanService.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { prismaMock, resetPrismaMock } from './support/fakePrismaClient.js';
+import { LoanService } from '../services/loanService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// In-memory loans; updateMany only applies while a loan still has the expected status
+function useLoans(loans) {
+  prismaMock.loan = {
+    findMany: async ({ where }) => loans.filter(loan =>
+      (where.status.in ? where.status.in.includes(loan.status) : loan.status === where.status) &&
+      loan.ends_at < where.ends_at.lt
+    ),
+    updateMany: async ({ where, data }) => {
+      const loan = loans.find(loan => loan.id === where.id && loan.status === where.status);
+      if (loan) Object.assign(loan, data);
+      return { count: loan ? 1 : 0 };
+    },
+    findUnique: async ({ where }) => loans.find(loan => loan.id === where.id)
+  };
+  prismaMock.tradeEvent = { createMany: mock.fn(async ({ data }) => ({ count: data.length })) };
+}
+
+function loan(id, status, endsInDays) {
+  return { id, status, lender_id: 'lender', borrower_id: 'borrower', ends_at: new Date(Date.now() + endsInDays * DAY_MS) };
+}
+
+describe('LoanService.expireStaleLoans', () => {
+  beforeEach(() => {
+    resetPrismaMock();
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('expires unapproved and never handed over loans whose period ended', async () => {
+    const loans = [loan('l1', 'REQUESTED', -1), loan('l2', 'APPROVED', -2), loan('l3', 'REQUESTED', 3)];
+    useLoans(loans);
+
+    assert.deepEqual(await LoanService.expireStaleLoans(), { processed: 2 });
+    assert.deepEqual(loans.map(loan => loan.status), ['EXPIRED', 'EXPIRED', 'REQUESTED']);
+    assert.equal(loans[0].closed_reason, 'Not approved before the loan period ended');
+    assert.equal(loans[1].closed_reason, 'Not handed over before the loan period ended');
+  });
+
+  it('skips a loan changed by another action and still expires the rest', async () => {
+    const loans = [loan('l1', 'REQUESTED', -1), loan('l2', 'REQUESTED', -1)];
+    useLoans(loans);
+    const { updateMany } = prismaMock.loan;
+    // The lender approves l1 between the lookup and the update
+    prismaMock.loan.updateMany = async (args) => (args.where.id === 'l1' ? { count: 0 } : updateMany(args));
+
+    assert.deepEqual(await LoanService.expireStaleLoans(), { processed: 1 });
+    assert.deepEqual(loans.map(loan => loan.status), ['REQUESTED', 'EXPIRED']);
+  });
+});
+
+describe('LoanService.markOverdueLoans', () => {
+  beforeEach(() => {
+    resetPrismaMock();
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('marks active loans past their end date as overdue', async () => {
+    const loans = [loan('l1', 'ACTIVE', -1), loan('l2', 'ACTIVE', 1)];
+    useLoans(loans);
+
+    assert.deepEqual(await LoanService.markOverdueLoans(), { processed: 1 });
+    assert.deepEqual(loans.map(loan => loan.status), ['OVERDUE', 'ACTIVE']);
+    assert.equal(prismaMock.tradeEvent.createMany.mock.calls[0].arguments[0].data[0].loan_id, 'l1');
+  });
+
+  it('counts only the loans it marked when one was returned meanwhile', async () => {
+    const loans = [loan('l1', 'ACTIVE', -1), loan('l2', 'ACTIVE', -1)];
+    useLoans(loans);
+    const { findMany } = prismaMock.loan;
+    prismaMock.loan.findMany = async (args) => {
+      const found = await findMany(args);
+      loans[1].status = 'RETURNED';
+      return found;
+    };
+
+    assert.deepEqual(await LoanService.markOverdueLoans(), { processed: 1 });
+    assert.deepEqual(loans.map(loan => loan.status), ['OVERDUE', 'RETURNED']);
+  });
+});
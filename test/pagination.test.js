@@ -0,0 +1,167 @@
+// test/pagination.test.js
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { prismaMock, resetPrismaMock } from './support/fakePrismaClient.js';
+import {
+  encodeCursor,
+  decodeCursor,
+  cursorWhere,
+  cursorOrderBy,
+  toCursorPage,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE
+} from '../utils/pagination.js';
+import { cursorPaginationSchema } from '../validation/validationMiddleware.js';
+import { receivedRequestsQuerySchema } from '../validation/tradeValidation.js';
+import { itemQuerySchema } from '../validation/itemValidation.js';
+import { TradeService } from '../services/tradeService.js';
+
+// Records newest first, as the feeds fetch them
+function records(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    id: `r${index}`,
+    created_at: new Date(Date.UTC(2026, 0, 31 - index))
+  }));
+}
+
+describe('cursors', () => {
+  it('decode to the timestamp and id of the record they were made from', () => {
+    const [record] = records(1);
+
+    assert.deepEqual(decodeCursor(encodeCursor(record, 'created_at')), {
+      timestamp: record.created_at,
+      id: 'r0'
+    });
+  });
+
+  it('are null when malformed', () => {
+    const malformed = [
+      'not a cursor',
+      Buffer.from('{"a":1}').toString('base64url'),
+      Buffer.from('["yesterday","r0"]').toString('base64url'),
+      Buffer.from('["2026-01-01T00:00:00.000Z",7]').toString('base64url')
+    ];
+
+    malformed.forEach(cursor => assert.equal(decodeCursor(cursor), null));
+  });
+
+  it('filter the records after them, the id breaking timestamp ties', () => {
+    const cursor = { timestamp: new Date('2026-01-01'), id: 'r5' };
+
+    assert.deepEqual(cursorWhere('created_at', cursor), {
+      OR: [
+        { created_at: { lt: cursor.timestamp } },
+        { created_at: cursor.timestamp, id: { lt: 'r5' } }
+      ]
+    });
+    assert.deepEqual(cursorWhere('created_at', cursor, 'asc').OR[1], { created_at: cursor.timestamp, id: { gt: 'r5' } });
+    assert.deepEqual(cursorOrderBy('created_at'), [{ created_at: 'desc' }, { id: 'desc' }]);
+  });
+});
+
+describe('toCursorPage', () => {
+  it('cuts a page and points the cursor at its last record', () => {
+    const { data, nextCursor } = toCursorPage(records(4), 'created_at', 3);
+
+    assert.deepEqual(data.map(record => record.id), ['r0', 'r1', 'r2']);
+    assert.equal(decodeCursor(nextCursor).id, 'r2');
+  });
+
+  it('has no cursor on the last page', () => {
+    const { data, nextCursor } = toCursorPage(records(3), 'created_at', 3);
+
+    assert.equal(data.length, 3);
+    assert.equal(nextCursor, null);
+  });
+
+  it('uses the default page size without a limit', () => {
+    const { data, nextCursor } = toCursorPage(records(DEFAULT_PAGE_SIZE + 1), 'created_at');
+
+    assert.equal(data.length, DEFAULT_PAGE_SIZE);
+    assert.ok(nextCursor);
+  });
+});
+
+describe('cursorPaginationSchema', () => {
+  it('limits every page, the first one included', () => {
+    assert.deepEqual(cursorPaginationSchema.validate({}).value, { limit: DEFAULT_PAGE_SIZE });
+
+    const cursor = encodeCursor(records(1)[0], 'created_at');
+    const { value } = cursorPaginationSchema.validate({ cursor });
+    assert.equal(value.limit, DEFAULT_PAGE_SIZE);
+    assert.deepEqual(value.cursor, decodeCursor(cursor));
+  });
+
+  it('caps the page size', () => {
+    assert.equal(cursorPaginationSchema.validate({ limit: MAX_PAGE_SIZE }).error, undefined);
+    assert.ok(cursorPaginationSchema.validate({ limit: MAX_PAGE_SIZE + 1 }).error);
+    assert.ok(cursorPaginationSchema.validate({ limit: 0 }).error);
+  });
+
+  it('rejects malformed cursors', () => {
+    const { error } = cursorPaginationSchema.validate({ cursor: 'not a cursor' });
+
+    assert.equal(error.message, 'Invalid cursor');
+  });
+});
+
+describe('receivedRequestsQuerySchema', () => {
+  it('pages newest requests by default', () => {
+    assert.deepEqual(receivedRequestsQuerySchema.validate({}).value, { sort: 'newest', limit: DEFAULT_PAGE_SIZE });
+  });
+
+  it('ranks requests by match likelihood without paging', () => {
+    assert.deepEqual(receivedRequestsQuerySchema.validate({ sort: 'match_likelihood' }).value, { sort: 'match_likelihood' });
+
+    const { error } = receivedRequestsQuerySchema.validate({ sort: 'match_likelihood', limit: 10 });
+    assert.equal(error.message, 'Pagination is only available for sort: newest');
+  });
+});
+
+describe('itemQuerySchema', () => {
+  const cursor = encodeCursor({ id: 'i1', posted_at: new Date('2026-01-01') }, 'posted_at');
+
+  it('pages by number by default', () => {
+    assert.deepEqual(itemQuerySchema.validate({}).value, { page: 1, limit: DEFAULT_PAGE_SIZE });
+  });
+
+  it('leaves page out of cursor pages', () => {
+    const { value } = itemQuerySchema.validate({ cursor });
+
+    assert.equal('page' in value, false);
+    assert.equal(value.limit, DEFAULT_PAGE_SIZE);
+  });
+
+  it('rejects page and cursor together', () => {
+    const { error } = itemQuerySchema.validate({ cursor, page: 1 });
+
+    assert.equal(error.message, 'Use either page or cursor, not both');
+  });
+});
+
+describe('TradeService.getSentRequests', () => {
+  beforeEach(() => {
+    resetPrismaMock();
+    prismaMock.tradeRequest = {
+      findMany: mock.fn(async ({ take }) => records(take).map(({ id, created_at }) => ({ id, requested_at: created_at })))
+    };
+  });
+
+  it('fetches one record past the default page to know whether another page follows', async () => {
+    const { requests, nextCursor } = await TradeService.getSentRequests('u1');
+
+    assert.equal(prismaMock.tradeRequest.findMany.mock.calls[0].arguments[0].take, DEFAULT_PAGE_SIZE + 1);
+    assert.equal(requests.length, DEFAULT_PAGE_SIZE);
+    assert.equal(decodeCursor(nextCursor).id, requests[requests.length - 1].id);
+  });
+
+  it('continues after a decoded cursor', async () => {
+    const cursor = { timestamp: new Date('2026-01-01'), id: 'r5' };
+
+    await TradeService.getSentRequests('u1', { cursor, limit: 5 });
+
+    const { where, take } = prismaMock.tradeRequest.findMany.mock.calls[0].arguments[0];
+    assert.equal(take, 6);
+    assert.deepEqual(where.AND[1], cursorWhere('requested_at', cursor));
+  });
+});
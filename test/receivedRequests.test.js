@@ -0,0 +1,44 @@
+// test/receivedRequests.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { prismaMock, resetPrismaMock } from './support/fakePrismaClient.js';
+import { TradeService } from '../services/tradeService.js';
+import { MatchScoreService } from '../services/matchScoreService.js';
+
+function request(id, score) {
+  return { id, requested_at: new Date(), score };
+}
+
+describe('TradeService.getReceivedRequests', () => {
+  beforeEach(() => {
+    resetPrismaMock();
+    prismaMock.tradeRequest = {
+      findMany: mock.fn(async () => [request('r1', 20), request('r2', 90), request('r3', 55)])
+    };
+    mock.method(MatchScoreService, 'scoreRequests', async requests =>
+      requests.map(({ score, ...request }) => ({ ...request, match_likelihood: { score } }))
+    );
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('ranks by match likelihood only the most recent pending requests', async () => {
+    const { requests, nextCursor } = await TradeService.getReceivedRequests('u1', { sort: 'match_likelihood' });
+
+    const { where, take, orderBy } = prismaMock.tradeRequest.findMany.mock.calls[0].arguments[0];
+    assert.equal(take, 100);
+    assert.deepEqual(orderBy, [{ requested_at: 'desc' }, { id: 'desc' }]);
+    assert.deepEqual(where.AND[1], { status: 'PENDING' });
+    assert.deepEqual(requests.map(request => request.id), ['r2', 'r3', 'r1']);
+    assert.equal(nextCursor, null);
+  });
+
+  it('pages the newest requests of any status', async () => {
+    const { requests } = await TradeService.getReceivedRequests('u1', { limit: 2 });
+
+    const { where, take } = prismaMock.tradeRequest.findMany.mock.calls[0].arguments[0];
+    assert.equal(take, 3);
+    assert.equal(where.AND.length, 1);
+    assert.deepEqual(requests.map(request => request.id), ['r1', 'r2']);
+  });
+});
@@ -0,0 +1,5 @@
+// test/setup.js
+// Loaded with --import before the tests: swaps @prisma/client for the fake client
+import { register } from 'node:module';
+
+register('./support/prismaLoader.js', import.meta.url);
@@ -0,0 +1,30 @@
+// test/support/fakePrismaClient.js
+//
+// Stand-in for @prisma/client. Every `new PrismaClient()` returns the same prismaMock,
+// whose models the tests fill in with the calls they expect.
+
+export const prismaMock = {};
+
+// Drop the models and methods set by a previous test
+export function resetPrismaMock() {
+  for (const key of Object.keys(prismaMock)) {
+    delete prismaMock[key];
+  }
+
+  // Interactive transactions run on the same mock
+  prismaMock.$transaction = async (callback) => callback(prismaMock);
+}
+
+// Raw queries are kept as their strings and values, enough to build them without a database
+export const Prisma = {
+  sql: (strings, ...values) => ({ strings, values }),
+  join: (values, separator = ', ') => ({ values, separator })
+};
+
+export class PrismaClient {
+  constructor() {
+    return prismaMock;
+  }
+}
+
+resetPrismaMock();
@@ -0,0 +1,14 @@
+// test/support/prismaLoader.js
+//
+// Module resolve hook serving the fake Prisma client in place of @prisma/client,
+// so services can be tested without a generated client or a database.
+
+const fakeClientUrl = new URL('./fakePrismaClient.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === '@prisma/client') {
+    return { url: fakeClientUrl, shortCircuit: true };
+  }
+
+  return nextResolve(specifier, context);
+}
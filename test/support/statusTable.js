@@ -0,0 +1,16 @@
+// test/support/statusTable.js
+import { mock } from 'node:test';
+
+// Model over in-memory rows whose updateMany only applies while a row has the expected
+// status, as the trade state machine expects
+export function statusTable(rows) {
+  return {
+    updateMany: mock.fn(async ({ where, data }) => {
+      const ids = where.id.in || [where.id];
+      const matches = rows.filter(row => ids.includes(row.id) && row.status === where.status);
+      matches.forEach(row => Object.assign(row, data));
+      return { count: matches.length };
+    }),
+    findUnique: async ({ where }) => rows.find(row => row.id === where.id) || null
+  };
+}
@@ -0,0 +1,166 @@
+// test/tradeCycle.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { prismaMock, resetPrismaMock } from './support/fakePrismaClient.js';
+import { statusTable } from './support/statusTable.js';
+import { TradeCycleService } from '../services/tradeCycleService.js';
+import { TradeService } from '../services/tradeService.js';
+import { MatchScoreService } from '../services/matchScoreService.js';
+
+describe('TradeCycleService.acceptCycle', () => {
+  let cycle;
+  let items;
+  let createdRequests;
+
+  beforeEach(() => {
+    resetPrismaMock();
+    items = ['i1', 'i2', 'i3'].map(id => ({ id, title: id, status: 'AVAILABLE' }));
+    // u1 gives i1 to u2, u2 gives i2 to u3, u3 gives i3 to u1; u1 is the last to accept
+    const legs = items.map((item, position) => ({
+      id: `leg${position}`,
+      position,
+      giver_id: `u${position + 1}`,
+      receiver_id: `u${(position + 1) % 3 + 1}`,
+      item_id: item.id,
+      item,
+      accepted_at: position === 0 ? null : new Date()
+    }));
+    cycle = { id: 'c1', status: 'PROPOSED', legs };
+    createdRequests = [];
+
+    prismaMock.tradeCycle = {
+      ...statusTable([cycle]),
+      findUnique: async () => cycle,
+      findMany: async () => [],
+      update: async () => cycle
+    };
+    prismaMock.tradeCycleLeg = {
+      update: mock.fn(async ({ where, data }) => Object.assign(legs.find(leg => leg.id === where.id), data)),
+      count: async () => legs.filter(leg => !leg.accepted_at).length
+    };
+    prismaMock.item = statusTable(items);
+    prismaMock.tradeRequest = {
+      findMany: async () => [],
+      create: mock.fn(async ({ data }) => {
+        const request = { id: `r${createdRequests.length + 1}`, ...data };
+        createdRequests.push(request);
+        return request;
+      })
+    };
+    prismaMock.trade = {
+      create: async ({ data }) => ({ id: `t-${data.trade_request_id}`, ...data })
+    };
+    prismaMock.tradeEvent = { createMany: async ({ data }) => ({ count: data.length }) };
+    prismaMock.tradeHandoverCode = { createMany: async () => ({ count: 2 }) };
+  });
+
+  it('turns every leg into an accepted request and trade once the last participant accepts', async () => {
+    await TradeCycleService.acceptCycle('c1', 'u1');
+
+    assert.equal(cycle.status, 'ACCEPTED');
+    assert.deepEqual(items.map(item => item.status), ['RESERVED', 'RESERVED', 'RESERVED']);
+    assert.deepEqual(createdRequests.map(request => [request.requester_id, request.requested_item_id, request.status]), [
+      ['u2', 'i1', 'ACCEPTED'],
+      ['u3', 'i2', 'ACCEPTED'],
+      ['u1', 'i3', 'ACCEPTED']
+    ]);
+  });
+
+  it('links each leg to its request and trade so they stay out of feeds and quotas', async () => {
+    await TradeCycleService.acceptCycle('c1', 'u1');
+
+    assert.deepEqual(
+      cycle.legs.map(leg => [leg.trade_request_id, leg.trade_id]),
+      [['r1', 't-r1'], ['r2', 't-r2'], ['r3', 't-r3']]
+    );
+  });
+});
+
+describe('TradeService.settleCycle', () => {
+  let cycle;
+  let trades;
+  let items;
+
+  beforeEach(() => {
+    resetPrismaMock();
+    cycle = { id: 'c1', status: 'ACCEPTED', legs: [{ giver_id: 'u1' }, { giver_id: 'u2' }, { giver_id: 'u3' }] };
+    trades = ['t1', 't2', 't3'].map((id, index) => ({
+      id,
+      trade_request_id: `r${index + 1}`,
+      item_id: `i${index + 1}`,
+      status: 'PENDING'
+    }));
+    items = trades.map(trade => ({ id: trade.item_id, status: 'RESERVED' }));
+
+    prismaMock.trade = {
+      ...statusTable(trades),
+      findUnique: async ({ where }) => {
+        const trade = trades.find(trade => trade.id === where.id);
+        return { ...trade, cycle_leg: { cycle_id: 'c1', cycle: { status: cycle.status } } };
+      },
+      count: async () => trades.filter(trade => trade.status !== 'COMPLETED').length
+    };
+    prismaMock.tradeCycle = statusTable([cycle]);
+    prismaMock.tradeCycleLeg = {
+      findMany: async () => trades
+        .filter(trade => trade.status === 'PENDING')
+        .map(trade => ({ item_id: trade.item_id, trade }))
+    };
+    prismaMock.item = statusTable(items);
+    prismaMock.tradeEvent = { createMany: async ({ data }) => ({ count: data.length }) };
+  });
+
+  it('waits until the trades of every leg are completed', async () => {
+    trades[0].status = 'COMPLETED';
+
+    assert.equal(await TradeService.settleCycle(prismaMock, 't1'), null);
+    assert.equal(cycle.status, 'ACCEPTED');
+  });
+
+  it('completes the cycle with the last leg trade', async () => {
+    trades.forEach(trade => { trade.status = 'COMPLETED'; });
+
+    const settled = await TradeService.settleCycle(prismaMock, 't3', { actorId: 'u3' });
+
+    assert.equal(settled.status, 'COMPLETED');
+    assert.ok(cycle.completed_at);
+  });
+
+  it('cancels the other pending leg trades and the cycle when a leg trade fails', async () => {
+    trades[0].status = 'COMPLETED';
+    trades[1].status = 'FAILED';
+
+    const settled = await TradeService.settleCycle(prismaMock, 't2');
+
+    assert.equal(settled.status, 'CANCELLED');
+    assert.equal(cycle.closed_reason, 'Another trade of the cycle did not go through');
+    assert.deepEqual(trades.map(trade => trade.status), ['COMPLETED', 'FAILED', 'CANCELLED']);
+    assert.equal(items[2].status, 'AVAILABLE');
+  });
+
+  it('leaves trades outside of accepted cycles alone', async () => {
+    cycle.status = 'CANCELLED';
+    trades[0].status = 'CANCELLED';
+
+    assert.equal(await TradeService.settleCycle(prismaMock, 't1'), null);
+  });
+});
+
+describe('trade request feeds', () => {
+  beforeEach(() => {
+    resetPrismaMock();
+    prismaMock.tradeRequest = { findMany: mock.fn(async () => []) };
+    mock.method(MatchScoreService, 'scoreRequests', async requests => requests);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('leave out the requests behind trade cycle legs', async () => {
+    await TradeService.getSentRequests('u1');
+    await TradeService.getReceivedRequests('u1');
+
+    const [sent, received] = prismaMock.tradeRequest.findMany.mock.calls.map(call => call.arguments[0].where);
+    assert.deepEqual(sent.cycle_leg, { is: null });
+    assert.deepEqual(received.AND[0].cycle_leg, { is: null });
+  });
+});
@@ -0,0 +1,115 @@
+// test/tradeQuotaService.test.js
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { prismaMock, resetPrismaMock } from './support/fakePrismaClient.js';
+import { TradeQuotaService } from '../services/tradeQuotaService.js';
+import { TRADE_REQUEST_QUOTAS } from '../utils/badgeSystem.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// A user with the given badge, open requests and requests sent in the last 24 hours
+function useQuota({ badge = 'BRONZE', pending = 0, daily = [] } = {}) {
+  prismaMock.user = { findUnique: async () => (badge ? { badge } : null) };
+  prismaMock.tradeRequest = {
+    count: mock.fn(async () => pending),
+    findMany: mock.fn(async () => daily.map(requested_at => ({ requested_at })))
+  };
+}
+
+describe('TradeQuotaService.getQuota', () => {
+  beforeEach(resetPrismaMock);
+
+  it('reports usage against the limits of the badge', async () => {
+    const oldest = new Date(Date.now() - 20 * HOUR_MS);
+    useQuota({ badge: 'SILVER', pending: 4, daily: [oldest, new Date()] });
+
+    const quota = await TradeQuotaService.getQuota('u1');
+
+    assert.deepEqual(quota, {
+      badge: 'SILVER',
+      pending_requests: { limit: TRADE_REQUEST_QUOTAS.SILVER.pendingRequests, used: 4, remaining: 6 },
+      daily_requests: {
+        limit: TRADE_REQUEST_QUOTAS.SILVER.requestsPerDay,
+        used: 2,
+        remaining: 18,
+        next_slot_at: new Date(oldest.getTime() + 24 * HOUR_MS)
+      }
+    });
+  });
+
+  it('counts open requests the user proposed, not counter-offers waiting on them', async () => {
+    useQuota();
+
+    await TradeQuotaService.getQuota('u1');
+
+    assert.deepEqual(prismaMock.tradeRequest.count.mock.calls[0].arguments[0].where, {
+      status: 'PENDING',
+      OR: [
+        { proposed_by_id: null, requester_id: 'u1' },
+        { proposed_by_id: 'u1' }
+      ]
+    });
+  });
+
+  it('counts only requests the user started in the last 24 hours, without giveaway claims or cycle legs', async () => {
+    useQuota();
+
+    await TradeQuotaService.getQuota('u1');
+
+    const { where } = prismaMock.tradeRequest.findMany.mock.calls[0].arguments[0];
+    assert.equal(where.requester_id, 'u1');
+    assert.equal(where.revision, 1);
+    assert.deepEqual(where.giveaway_claim, { is: null });
+    assert.deepEqual(where.cycle_leg, { is: null });
+    assert.ok(Math.abs(Date.now() - 24 * HOUR_MS - where.requested_at.gte) < 1000);
+  });
+
+  it('has no next slot while the window is empty', async () => {
+    useQuota();
+
+    const { daily_requests } = await TradeQuotaService.getQuota('u1');
+
+    assert.equal(daily_requests.next_slot_at, null);
+  });
+
+  it('fails for unknown users', async () => {
+    useQuota({ badge: null });
+
+    await assert.rejects(TradeQuotaService.getQuota('u1'), { message: 'User not found' });
+  });
+});
+
+describe('TradeQuotaService.assertCanCreateRequest', () => {
+  beforeEach(resetPrismaMock);
+
+  it('lets the user create a request below both limits', async () => {
+    useQuota({ pending: TRADE_REQUEST_QUOTAS.BRONZE.pendingRequests - 1 });
+
+    const quota = await TradeQuotaService.assertCanCreateRequest(prismaMock, 'u1');
+
+    assert.equal(quota.pending_requests.remaining, 1);
+  });
+
+  it('stops the user at the pending request limit', async () => {
+    useQuota({ pending: TRADE_REQUEST_QUOTAS.BRONZE.pendingRequests });
+
+    await assert.rejects(TradeQuotaService.assertCanCreateRequest(prismaMock, 'u1'), error => {
+      assert.equal(error.errorCode, 'PENDING_REQUEST_QUOTA_EXCEEDED');
+      assert.match(error.message, /Pending trade request limit reached \(5 for BRONZE badge\)/);
+      assert.equal(error.details.pending_requests.remaining, 0);
+      return true;
+    });
+  });
+
+  it('stops the user at the daily request limit', async () => {
+    const daily = Array.from({ length: TRADE_REQUEST_QUOTAS.GOLD.requestsPerDay }, () => new Date());
+    useQuota({ badge: 'GOLD', daily });
+
+    await assert.rejects(TradeQuotaService.assertCanCreateRequest(prismaMock, 'u1'), error => {
+      assert.equal(error.errorCode, 'DAILY_REQUEST_QUOTA_EXCEEDED');
+      assert.match(error.message, /Daily trade request limit reached \(40 for GOLD badge\)/);
+      assert.ok(error.details.daily_requests.next_slot_at);
+      return true;
+    });
+  });
+});
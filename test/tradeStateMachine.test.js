@@ -0,0 +1,149 @@
+// test/tradeStateMachine.test.js
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { TradeStateMachine } from '../services/tradeStateMachine.js';
+
+// Transaction with one model whose updateMany reports `count` changed rows
+function createTx(model, count) {
+  return {
+    [model]: {
+      updateMany: mock.fn(async () => ({ count })),
+      findUnique: mock.fn(async ({ where }) => ({ id: where.id }))
+    },
+    tradeEvent: {
+      createMany: mock.fn(async ({ data }) => ({ count: data.length }))
+    }
+  };
+}
+
+describe('TradeStateMachine.assertTransition', () => {
+  it('allows declared transitions', () => {
+    assert.doesNotThrow(() => TradeStateMachine.assertTransition('TRADE_REQUEST', 'PENDING', 'ACCEPTED'));
+    assert.doesNotThrow(() => TradeStateMachine.assertTransition('TRADE', 'DISPUTED', 'COMPLETED'));
+    assert.doesNotThrow(() => TradeStateMachine.assertTransition('LOAN', 'OVERDUE', 'RETURNED'));
+  });
+
+  it('rejects undeclared transitions with the entity label', () => {
+    assert.throws(
+      () => TradeStateMachine.assertTransition('TRADE', 'COMPLETED', 'PENDING'),
+      { message: 'Trade cannot move from COMPLETED to PENDING' }
+    );
+  });
+
+  it('treats statuses without transitions as final', () => {
+    assert.equal(TradeStateMachine.canTransition('TRADE_REQUEST', 'REJECTED', 'PENDING'), false);
+    assert.equal(TradeStateMachine.canTransition('TRADE_CYCLE', 'COMPLETED', 'CANCELLED'), false);
+  });
+});
+
+describe('TradeStateMachine.transition', () => {
+  it('updates only while the record has the expected status and records the event', async () => {
+    const tx = createTx('trade', 1);
+
+    const trade = await TradeStateMachine.transition(tx, 'TRADE', 't1', 'PENDING', 'COMPLETED', {
+      data: { completed_at: 'now' },
+      include: { owner: true },
+      actorId: 'u1',
+      tradeRequestId: 'r1'
+    });
+
+    assert.deepEqual(tx.trade.updateMany.mock.calls[0].arguments[0], {
+      where: { id: 't1', status: 'PENDING' },
+      data: { completed_at: 'now', status: 'COMPLETED' }
+    });
+    assert.deepEqual(tx.tradeEvent.createMany.mock.calls[0].arguments[0].data, [{
+      trade_request_id: 'r1',
+      trade_id: 't1',
+      cycle_id: null,
+      loan_id: null,
+      entity_type: 'TRADE',
+      entity_id: 't1',
+      from_status: 'PENDING',
+      to_status: 'COMPLETED',
+      actor_id: 'u1',
+      reason: null
+    }]);
+    assert.deepEqual(tx.trade.findUnique.mock.calls[0].arguments[0], { where: { id: 't1' }, include: { owner: true } });
+    assert.deepEqual(trade, { id: 't1' });
+  });
+
+  it('reports a concurrent change instead of overwriting it', async () => {
+    const tx = createTx('tradeRequest', 0);
+
+    await assert.rejects(
+      TradeStateMachine.transition(tx, 'TRADE_REQUEST', 'r1', 'PENDING', 'ACCEPTED'),
+      { message: 'Trade request was changed by another action, please try again' }
+    );
+    assert.equal(tx.tradeEvent.createMany.mock.callCount(), 0);
+  });
+
+  it('rejects a disallowed transition before touching the database', async () => {
+    const tx = createTx('loan', 1);
+
+    await assert.rejects(
+      TradeStateMachine.transition(tx, 'LOAN', 'l1', 'RETURNED', 'ACTIVE'),
+      { message: 'Loan cannot move from RETURNED to ACTIVE' }
+    );
+    assert.equal(tx.loan.updateMany.mock.callCount(), 0);
+  });
+
+  it('anchors item events to the loan or cycle from the context', async () => {
+    const tx = createTx('item', 1);
+
+    await TradeStateMachine.transition(tx, 'ITEM', 'i1', 'AVAILABLE', 'LENT', { loanId: 'l1', reason: 'Loan started' });
+
+    const [event] = tx.tradeEvent.createMany.mock.calls[0].arguments[0].data;
+    assert.equal(event.loan_id, 'l1');
+    assert.equal(event.trade_id, null);
+    assert.equal(event.actor_id, null);
+    assert.equal(event.reason, 'Loan started');
+  });
+});
+
+describe('TradeStateMachine.transitionMany', () => {
+  it('moves all records and records one event each', async () => {
+    const tx = createTx('tradeRequest', 2);
+
+    const count = await TradeStateMachine.transitionMany(tx, 'TRADE_REQUEST', ['r1', 'r2'], 'PENDING', 'REJECTED', {
+      reason: 'Item was traded'
+    });
+
+    assert.equal(count, 2);
+    assert.deepEqual(tx.tradeRequest.updateMany.mock.calls[0].arguments[0].where, {
+      id: { in: ['r1', 'r2'] },
+      status: 'PENDING'
+    });
+    const events = tx.tradeEvent.createMany.mock.calls[0].arguments[0].data;
+    assert.deepEqual(events.map(event => event.trade_request_id), ['r1', 'r2']);
+  });
+
+  it('fails when any record changed status in the meantime', async () => {
+    const tx = createTx('item', 1);
+
+    await assert.rejects(
+      TradeStateMachine.transitionMany(tx, 'ITEM', ['i1', 'i2'], 'RESERVED', 'SWAPPED'),
+      { message: 'Item was changed by another action, please try again' }
+    );
+    assert.equal(tx.tradeEvent.createMany.mock.callCount(), 0);
+  });
+
+  it('does nothing for an empty list', async () => {
+    const tx = createTx('item', 0);
+
+    assert.equal(await TradeStateMachine.transitionMany(tx, 'ITEM', [], 'RESERVED', 'AVAILABLE'), 0);
+    assert.equal(tx.item.updateMany.mock.callCount(), 0);
+  });
+});
+
+describe('TradeStateMachine.recordCreated', () => {
+  it('records the initial status without a previous one', async () => {
+    const tx = createTx('tradeCycle', 0);
+
+    await TradeStateMachine.recordCreated(tx, 'TRADE_CYCLE', 'c1', 'PROPOSED');
+
+    const [event] = tx.tradeEvent.createMany.mock.calls[0].arguments[0].data;
+    assert.equal(event.cycle_id, 'c1');
+    assert.equal(event.from_status, null);
+    assert.equal(event.to_status, 'PROPOSED');
+  });
+});
@@ -7,6 +7,15 @@ export const BADGE_THRESHOLDS = {
   RUBY: 601
 };
 
+// Trade request quotas per badge: open outgoing requests and new requests per rolling 24 hours
+export const TRADE_REQUEST_QUOTAS = {
+  BRONZE: { pendingRequests: 5, requestsPerDay: 10 },
+  SILVER: { pendingRequests: 10, requestsPerDay: 20 },
+  GOLD: { pendingRequests: 20, requestsPerDay: 40 },
+  DIAMOND: { pendingRequests: 35, requestsPerDay: 70 },
+  RUBY: { pendingRequests: 50, requestsPerDay: 100 }
+};
+
 export const LOYALTY_POINT_REWARDS = {
   SUCCESSFUL_TRADE: 20,
   RATING_5_STAR: 10,
@@ -9,6 +9,15 @@ export function sanitizeInput(input) {
   return input?.toString().trim().replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '');
 }
 
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 export function calculateDistance(lat1, lon1, lat2, lon2) {
   const R = 6371; // Radius of the Earth in kilometers
   const dLat = deg2rad(lat2 - lat1);
@@ -26,6 +35,65 @@ function deg2rad(deg) {
   return deg * (Math.PI/180);
 }
 
+function rad2deg(rad) {
+  return rad * (180/Math.PI);
+}
+
+/**
+ * Latitude/longitude box containing every point within radiusKm of a coordinate
+ * Used to prefilter by radius in the database before the exact distance check.
+ * A box crossing the antimeridian is split into two longitude ranges; near the poles
+ * the box spans every longitude.
+ */
+export function calculateBoundingBox(lat, lon, radiusKm) {
+  const R = 6371;
+  const dLat = rad2deg(radiusKm / R);
+  const minLatitude = Math.max(lat - dLat, -90);
+  const maxLatitude = Math.min(lat + dLat, 90);
+
+  if (minLatitude === -90 || maxLatitude === 90) {
+    return { minLatitude, maxLatitude, longitudeRanges: [[-180, 180]] };
+  }
+
+  const dLon = rad2deg(Math.asin(Math.min(Math.sin(radiusKm / R) / Math.cos(deg2rad(lat)), 1)));
+  const minLongitude = lon - dLon;
+  const maxLongitude = lon + dLon;
+
+  if (dLon >= 180) {
+    return { minLatitude, maxLatitude, longitudeRanges: [[-180, 180]] };
+  }
+
+  if (minLongitude < -180) {
+    return { minLatitude, maxLatitude, longitudeRanges: [[minLongitude + 360, 180], [-180, maxLongitude]] };
+  }
+
+  if (maxLongitude > 180) {
+    return { minLatitude, maxLatitude, longitudeRanges: [[minLongitude, 180], [-180, maxLongitude - 360]] };
+  }
+
+  return { minLatitude, maxLatitude, longitudeRanges: [[minLongitude, maxLongitude]] };
+}
+
+// Geographic midpoint of two coordinates (along the great circle)
+export function calculateMidpoint(lat1, lon1, lat2, lon2) {
+  const phi1 = deg2rad(lat1);
+  const phi2 = deg2rad(lat2);
+  const dLon = deg2rad(lon2 - lon1);
+
+  const bx = Math.cos(phi2) * Math.cos(dLon);
+  const by = Math.cos(phi2) * Math.sin(dLon);
+  const latitude = Math.atan2(
+    Math.sin(phi1) + Math.sin(phi2),
+    Math.sqrt((Math.cos(phi1) + bx) * (Math.cos(phi1) + bx) + by * by)
+  );
+  const longitude = deg2rad(lon1) + Math.atan2(by, Math.cos(phi1) + bx);
+
+  return {
+    latitude: rad2deg(latitude),
+    longitude: ((rad2deg(longitude) + 540) % 360) - 180 // normalise to -180..180
+  };
+}
+
 export function formatUserForResponse(user) {
   const { password_hash, ...userWithoutPassword } = user;
   return userWithoutPassword;
@@ -46,3 +114,17 @@ export const ITEM_CATEGORIES = [
 ];
 
 export const ITEM_CONDITIONS = ['NEW', 'GOOD', 'FAIR', 'POOR'];
+
+// Maximum number of items on each side of a bundle trade request
+export const MAX_BUNDLE_ITEMS = 5;
+
+export const LISTING_TYPES = ['SWAP', 'LEND', 'GIVEAWAY'];
+
+// Longest period an item can be borrowed for
+export const MAX_LOAN_DAYS = 60;
+
+// Loans that are not finished yet; their items cannot be deleted or switched to swapping
+export const OPEN_LOAN_STATUSES = ['REQUESTED', 'APPROVED', 'ACTIVE', 'OVERDUE'];
+
+// Largest search radius of nearby item discovery
+export const MAX_NEARBY_RADIUS_KM = 200;
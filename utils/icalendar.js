@@ -0,0 +1,74 @@
+// utils/icalendar.js - minimal iCalendar (RFC 5545) writer
+
+const DEFAULT_DURATION_MS = 60 * 60 * 1000; // meetups without an end time last an hour
+
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// 20261019T143000Z
+function formatDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Lines longer than 75 octets are folded with CRLF + space
+function foldLine(line) {
+  const chunks = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 75;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut--;
+    chunks.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+  }
+  chunks.push(rest);
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Build an iCalendar document
+ * @param {string} name - Calendar name shown by calendar apps
+ * @param {Array} events - { uid, start, end?, summary, description?, location?, latitude?, longitude? }
+ * @returns {string} text/calendar content
+ */
+export function buildCalendar(name, events) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Swappo//Swap Meetups//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  const stamp = formatDate(new Date());
+
+  for (const event of events) {
+    const end = event.end || new Date(new Date(event.start).getTime() + DEFAULT_DURATION_MS);
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatDate(event.start)}`,
+      `DTEND:${formatDate(end)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.latitude != null && event.longitude != null) {
+      lines.push(`GEO:${event.latitude};${event.longitude}`);
+    }
+
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
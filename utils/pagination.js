@@ -0,0 +1,70 @@
+// utils/pagination.js
+//
+// Cursor pagination for feeds ordered by a timestamp column (posted_at, created_at, ...)
+// with the id breaking ties. Unlike page offsets, a cursor keeps its place while new rows
+// are inserted, so following pages have no duplicates or gaps.
+
+// Page size when none is given, and the largest one allowed
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Opaque cursor pointing just after a record
+ */
+export function encodeCursor(record, field) {
+  return Buffer.from(JSON.stringify([record[field].toISOString(), record.id])).toString('base64url');
+}
+
+/**
+ * Decode a cursor made by encodeCursor
+ * Returns { timestamp, id }, or null when the cursor is malformed.
+ */
+export function decodeCursor(cursor) {
+  try {
+    const [timestamp, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const date = new Date(timestamp);
+
+    if (typeof id !== 'string' || typeof timestamp !== 'string' || isNaN(date)) {
+      return null;
+    }
+
+    return { timestamp: date, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Prisma filter for the records after a decoded cursor, in the given direction
+ */
+export function cursorWhere(field, cursor, direction = 'desc') {
+  const after = direction === 'desc' ? 'lt' : 'gt';
+
+  return {
+    OR: [
+      { [field]: { [after]: cursor.timestamp } },
+      { [field]: cursor.timestamp, id: { [after]: cursor.id } }
+    ]
+  };
+}
+
+/**
+ * Prisma orderBy matching cursorWhere
+ */
+export function cursorOrderBy(field, direction = 'desc') {
+  return [{ [field]: direction }, { id: direction }];
+}
+
+/**
+ * Cut a page out of records fetched with take: limit + 1
+ * nextCursor is null on the last page.
+ */
+export function toCursorPage(records, field, limit = DEFAULT_PAGE_SIZE) {
+  if (records.length <= limit) {
+    return { data: records, nextCursor: null };
+  }
+
+  const data = records.slice(0, limit);
+
+  return { data, nextCursor: encodeCursor(data[data.length - 1], field) };
+}
@@ -168,6 +168,7 @@ export const createServerErrorResponse = (
  * @param {number} limit - Items per page
  * @param {number} total - Total number of items
  * @param {string} message - Success message
+ * @param {string|null} nextCursor - Cursor of the next page, for feeds that also support cursors
  * @returns {Object} Formatted paginated response
  */
 export const createPaginatedResponse = (
@@ -175,7 +176,8 @@ export const createPaginatedResponse = (
   page, 
   limit, 
   total, 
-  message = 'Data retrieved successfully'
+  message = 'Data retrieved successfully',
+  nextCursor = undefined
 ) => {
   const pagination = {
     page: parseInt(page),
@@ -186,6 +188,10 @@ export const createPaginatedResponse = (
     hasPrev: page > 1
   };
 
+  if (nextCursor !== undefined) {
+    return createSuccessResponse(data, message, { pagination, nextCursor });
+  }
+
   return createSuccessResponse(data, message, { pagination });
 };
 
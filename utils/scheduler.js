@@ -0,0 +1,79 @@
+// utils/scheduler.js
+import { TradeService } from '../services/tradeService.js';
+import { TradeCycleService } from '../services/tradeCycleService.js';
+import { LoanService } from '../services/loanService.js';
+import { IdempotencyService } from '../services/idempotencyService.js';
+import { getSchedulerIntervalMs } from './tradeSettings.js';
+
+// Background jobs run inside the API server process
+const JOBS = [
+  {
+    name: 'resolve-stale-confirmations',
+    run: () => TradeService.resolveStaleConfirmations()
+  },
+  {
+    name: 'expire-stale-requests',
+    run: () => TradeService.expireStaleRequests()
+  },
+  {
+    name: 'expire-stale-trades',
+    run: () => TradeService.expireStaleTrades()
+  },
+  {
+    name: 'expire-stale-cycles',
+    run: () => TradeCycleService.expireStaleCycles()
+  },
+  {
+    name: 'match-trade-cycles',
+    run: () => TradeCycleService.matchCycles()
+  },
+  {
+    name: 'expire-stale-loans',
+    run: () => LoanService.expireStaleLoans()
+  },
+  {
+    name: 'mark-overdue-loans',
+    run: () => LoanService.markOverdueLoans()
+  },
+  {
+    name: 'purge-idempotency-keys',
+    run: () => IdempotencyService.purgeExpiredKeys()
+  }
+];
+
+async function runJob(job) {
+  if (job.running) return; // Skip if the previous run is still going
+  job.running = true;
+
+  try {
+    const result = await job.run();
+    if (result?.processed) {
+      console.log(`⏱️  Job ${job.name} processed ${result.processed} record(s)`);
+    }
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, error);
+  } finally {
+    job.running = false;
+  }
+}
+
+/**
+ * Start all background jobs
+ * @returns {Function} Stops the scheduler
+ */
+export function startScheduler() {
+  const intervalMs = getSchedulerIntervalMs();
+
+  const timers = JOBS.map(job => {
+    const timer = setInterval(() => runJob(job), intervalMs);
+    timer.unref(); // Never keep the process alive just for jobs
+    return timer;
+  });
+
+  // Run once on startup to catch up on anything missed while down
+  JOBS.forEach(runJob);
+
+  console.log(`⏱️  Scheduler started (${JOBS.length} job(s), every ${intervalMs / 60000} min)`);
+
+  return () => timers.forEach(clearInterval);
+}
@@ -0,0 +1,231 @@
+// utils/tradeReceipt.js - receipt documents for completed trades (JSON, HTML and PDF)
+import PDFDocument from 'pdfkit';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { escapeHtml } from './helpers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const toParticipant = (user) => ({ id: user.id, name: user.name });
+
+/**
+ * Build the receipt of a completed trade
+ * @param {Object} trade - trade loaded with the completed trade include of TradeService
+ * @returns {Object} receipt; dates are Date objects, image URLs as stored on the items
+ */
+export function buildReceipt(trade) {
+  const owner = toParticipant(trade.owner);
+  const requester = toParticipant(trade.requester);
+
+  // Requests created before bundles have no item rows
+  const bundleItems = trade.trade_request.items.length > 0
+    ? trade.trade_request.items
+    : [
+        { side: 'REQUESTED', item: trade.requested_item },
+        { side: 'OFFERED', item: trade.offered_item }
+      ];
+
+  // The owner gives the requested items, the requester gives the offered items
+  const items = bundleItems.map(({ side, item }) => ({
+    id: item.id,
+    side,
+    title: item.title,
+    category: item.category,
+    condition: item.condition,
+    images: item.images.map(image => image.url),
+    given_by: side === 'REQUESTED' ? owner : requester,
+    received_by: side === 'REQUESTED' ? requester : owner
+  }));
+
+  const participantsById = { [owner.id]: owner, [requester.id]: requester };
+  const meetup = trade.meetups[0];
+
+  return {
+    receipt_number: `SWP-${trade.id}`,
+    trade_id: trade.id,
+    trade_request_id: trade.trade_request_id,
+    participants: { owner, requester },
+    items,
+    meetup: meetup
+      ? {
+          location: meetup.location_label,
+          latitude: meetup.latitude,
+          longitude: meetup.longitude,
+          scheduled_at: meetup.scheduled_at
+        }
+      : null,
+    handover: {
+      owner_confirmed_at: trade.owner_confirmed_at,
+      requester_confirmed_at: trade.requester_confirmed_at,
+      auto_completed: trade.auto_completed,
+      // Each confirmation was made with the code the other participant showed
+      codes: trade.handover_codes
+        .filter(code => code.used_at)
+        .map(code => ({
+          shown_by: participantsById[code.user_id],
+          entered_by: participantsById[code.used_by_id],
+          used_at: code.used_at
+        }))
+    },
+    accepted_at: trade.created_at,
+    completed_at: trade.completed_at,
+    generated_at: new Date()
+  };
+}
+
+function formatDate(date) {
+  return date ? new Date(date).toUTCString() : '-';
+}
+
+// Text lines shared by the HTML and PDF receipts
+function describeHandover(receipt) {
+  const { handover, participants } = receipt;
+
+  const lines = [
+    `${participants.owner.name} confirmed: ${formatDate(handover.owner_confirmed_at)}`,
+    `${participants.requester.name} confirmed: ${formatDate(handover.requester_confirmed_at)}`,
+    ...handover.codes.map(code =>
+      `${code.entered_by?.name || 'Participant'} entered the handover code of ${code.shown_by?.name || 'the other participant'} at ${formatDate(code.used_at)}`
+    )
+  ];
+
+  if (handover.auto_completed) {
+    lines.push('Completed automatically after the confirmation window');
+  }
+
+  return lines;
+}
+
+function describeMeetup(meetup) {
+  if (!meetup) {
+    return 'No meetup was arranged in the app';
+  }
+
+  return `${meetup.location} (${meetup.latitude}, ${meetup.longitude}) at ${formatDate(meetup.scheduled_at)}`;
+}
+
+/**
+ * Render a receipt as a standalone HTML page
+ * @param {Object} receipt - from buildReceipt
+ * @param {string} baseUrl - prefix for the stored image paths, e.g. "https://api.swappo.com"
+ * @returns {string} text/html content
+ */
+export function renderReceiptHtml(receipt, baseUrl = '') {
+  const itemRows = receipt.items.map(item => `
+      <tr>
+        <td>${item.images.map(url => `<img src="${escapeHtml(baseUrl + url)}" alt="" width="96">`).join(' ')}</td>
+        <td><strong>${escapeHtml(item.title)}</strong><br>${escapeHtml(item.category)}, ${escapeHtml(item.condition)}</td>
+        <td>${escapeHtml(item.given_by.name)} &rarr; ${escapeHtml(item.received_by.name)}</td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Swappo trade receipt ${escapeHtml(receipt.receipt_number)}</title>
+  <style>
+    body { font-family: sans-serif; max-width: 720px; margin: 2em auto; color: #222; }
+    table { width: 100%; border-collapse: collapse; }
+    td, th { border-bottom: 1px solid #ddd; padding: 8px; text-align: left; vertical-align: top; }
+  </style>
+</head>
+<body>
+  <h1>Swappo trade receipt</h1>
+  <p>Receipt ${escapeHtml(receipt.receipt_number)}<br>Generated ${escapeHtml(formatDate(receipt.generated_at))}</p>
+
+  <h2>Participants</h2>
+  <p>Owner: ${escapeHtml(receipt.participants.owner.name)}<br>Requester: ${escapeHtml(receipt.participants.requester.name)}</p>
+
+  <h2>Items</h2>
+  <table>
+    <tr><th>Photos</th><th>Item</th><th>Handed over</th></tr>${itemRows}
+  </table>
+
+  <h2>Timeline</h2>
+  <p>Accepted: ${escapeHtml(formatDate(receipt.accepted_at))}<br>Completed: ${escapeHtml(formatDate(receipt.completed_at))}</p>
+
+  <h2>Meetup</h2>
+  <p>${escapeHtml(describeMeetup(receipt.meetup))}</p>
+
+  <h2>Handover confirmation</h2>
+  <p>${describeHandover(receipt).map(escapeHtml).join('<br>')}</p>
+</body>
+</html>
+`;
+}
+
+// First photo of an item that PDFKit can embed (JPEG/PNG stored under /uploads)
+function embedItemPhoto(doc, item, x, y) {
+  for (const url of item.images) {
+    const filePath = path.join(__dirname, '..', url);
+    if (!fs.existsSync(filePath)) continue;
+
+    try {
+      doc.image(filePath, x, y, { fit: [80, 80] });
+      return true;
+    } catch {
+      // Unsupported format (e.g. WebP), try the next photo
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Render a receipt as a PDF document
+ * @param {Object} receipt - from buildReceipt
+ * @returns {Promise<Buffer>} application/pdf content
+ */
+export function renderReceiptPdf(receipt) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Swappo trade receipt ${receipt.receipt_number}` } });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const heading = (text) => doc.moveDown().font('Helvetica-Bold').fontSize(13).text(text).font('Helvetica').fontSize(10);
+
+    doc.font('Helvetica-Bold').fontSize(20).text('Swappo trade receipt');
+    doc.font('Helvetica').fontSize(10)
+      .text(`Receipt ${receipt.receipt_number}`)
+      .text(`Generated ${formatDate(receipt.generated_at)}`);
+
+    heading('Participants');
+    doc.text(`Owner: ${receipt.participants.owner.name}`);
+    doc.text(`Requester: ${receipt.participants.requester.name}`);
+
+    heading('Items');
+    for (const item of receipt.items) {
+      if (doc.y > doc.page.height - 150) {
+        doc.addPage();
+      }
+
+      const top = doc.y + 5;
+      const hasPhoto = embedItemPhoto(doc, item, doc.page.margins.left, top);
+      const textX = doc.page.margins.left + (hasPhoto ? 95 : 0);
+
+      doc.font('Helvetica-Bold').text(item.title, textX, top).font('Helvetica');
+      doc.text(`${item.category}, ${item.condition}`, textX);
+      doc.text(`${item.given_by.name} -> ${item.received_by.name}`, textX);
+
+      doc.x = doc.page.margins.left;
+      doc.y = Math.max(doc.y, hasPhoto ? top + 85 : doc.y) + 5;
+    }
+
+    heading('Timeline');
+    doc.text(`Accepted: ${formatDate(receipt.accepted_at)}`);
+    doc.text(`Completed: ${formatDate(receipt.completed_at)}`);
+
+    heading('Meetup');
+    doc.text(describeMeetup(receipt.meetup));
+
+    heading('Handover confirmation');
+    describeHandover(receipt).forEach(line => doc.text(line));
+
+    doc.end();
+  });
+}
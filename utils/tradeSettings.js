@@ -0,0 +1,59 @@
+// utils/tradeSettings.js
+
+// Read at call time: server.js loads .env after its imports are evaluated
+function readNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Two-sided completion settings
+ * windowHours - how long the first confirmation waits for the other party
+ * expiryPolicy - 'complete' finalizes the trade once the window passes,
+ *                'expire' clears the lone confirmation so both must confirm again
+ */
+export function getConfirmationSettings() {
+  const policy = process.env.TRADE_CONFIRMATION_EXPIRY_POLICY;
+
+  return {
+    windowHours: readNumber('TRADE_CONFIRMATION_WINDOW_HOURS', 72),
+    expiryPolicy: policy === 'expire' ? 'expire' : 'complete'
+  };
+}
+
+/**
+ * Expiry windows for stale requests and trades
+ * requestDays - PENDING trade requests expire after this many days
+ * tradeDays - PENDING trades that were never completed are cancelled after this many days
+ */
+export function getExpirySettings() {
+  return {
+    requestDays: readNumber('TRADE_REQUEST_EXPIRY_DAYS', 14),
+    tradeDays: readNumber('TRADE_EXPIRY_DAYS', 30)
+  };
+}
+
+/**
+ * Trade dispute settings
+ * windowDays - how long after completion a trade can still be disputed
+ */
+export function getDisputeSettings() {
+  return {
+    windowDays: readNumber('DISPUTE_WINDOW_DAYS', 7)
+  };
+}
+
+/**
+ * Idempotency-Key settings
+ * ttlHours - how long a stored response is replayed for retries with the same key
+ */
+export function getIdempotencySettings() {
+  return {
+    ttlHours: readNumber('IDEMPOTENCY_KEY_TTL_HOURS', 24)
+  };
+}
+
+// How often background jobs run
+export function getSchedulerIntervalMs() {
+  return readNumber('SCHEDULER_INTERVAL_MINUTES', 15) * 60 * 1000;
+}
@@ -0,0 +1,30 @@
+// utils/transactions.js
+
+// Prisma error code for a transaction aborted by a write conflict or deadlock
+const WRITE_CONFLICT_CODE = 'P2034';
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Run an interactive transaction at SERIALIZABLE isolation.
+ * Postgres aborts one of two transactions that touch the same rows concurrently; the
+ * aborted one is rerun from the start (re-reading everything) up to MAX_ATTEMPTS times.
+ * When every attempt conflicts the caller gets a "changed by another action" error (409).
+ */
+export async function runSerializable(prisma, fn) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await prisma.$transaction(fn, { isolationLevel: 'Serializable' });
+    } catch (error) {
+      if (error.code !== WRITE_CONFLICT_CODE) {
+        throw error;
+      }
+
+      if (attempt >= MAX_ATTEMPTS) {
+        throw new Error('Trade was changed by another action, please try again');
+      }
+
+      // Small random backoff so the retries do not collide again
+      await new Promise(resolve => setTimeout(resolve, Math.random() * 50 * attempt));
+    }
+  }
+}
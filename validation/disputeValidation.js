@@ -0,0 +1,81 @@
+// validation/disputeValidation.js
+import Joi from 'joi';
+
+// Validation schema for opening a trade dispute (evidence photos are uploaded as files)
+export const openDisputeSchema = Joi.object({
+  reason: Joi.string()
+    .trim()
+    .min(10)
+    .max(1000)
+    .required()
+    .messages({
+      'string.empty': 'Dispute reason is required',
+      'string.min': 'Dispute reason must be at least 10 characters long',
+      'string.max': 'Dispute reason cannot exceed 1000 characters',
+      'any.required': 'Dispute reason is required'
+    })
+});
+
+// Validation schema for a moderator's dispute resolution
+export const resolveDisputeSchema = Joi.object({
+  decision: Joi.string()
+    .valid('UPHOLD', 'DISMISS')
+    .required()
+    .messages({
+      'any.only': 'Decision must be either UPHOLD or DISMISS',
+      'any.required': 'Decision is required'
+    }),
+
+  note: Joi.string()
+    .trim()
+    .min(1)
+    .max(1000)
+    .required()
+    .messages({
+      'string.empty': 'Resolution note is required',
+      'string.max': 'Resolution note cannot exceed 1000 characters',
+      'any.required': 'Resolution note is required'
+    }),
+
+  // Only apply to upheld disputes of completed trades; items of pending trades are always released
+  revert_items: Joi.boolean()
+    .when('decision', { is: 'DISMISS', then: Joi.valid(false) })
+    .default(false)
+    .messages({
+      'any.only': 'Items can only be reverted when the dispute is upheld'
+    }),
+
+  void_ratings: Joi.boolean()
+    .when('decision', { is: 'DISMISS', then: Joi.valid(false) })
+    .default(false)
+    .messages({
+      'any.only': 'Ratings can only be voided when the dispute is upheld'
+    }),
+
+  points_adjustments: Joi.array()
+    .items(Joi.object({
+      user_id: Joi.string().required(),
+      points: Joi.number().integer().min(-1000).max(1000).invalid(0).required()
+    }))
+    .max(2)
+    .unique('user_id')
+    .default([])
+    .messages({
+      'array.max': 'Points can be adjusted for at most the two participants',
+      'array.unique': 'Each participant can only have one points adjustment'
+    })
+});
+
+// Validation schema for the moderator dispute queue
+export const disputeQuerySchema = Joi.object({
+  status: Joi.string()
+    .valid('OPEN', 'UPHELD', 'DISMISSED')
+    .default('OPEN'),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Validation schema for dispute ID parameter
+export const disputeParamsSchema = Joi.object({
+  disputeId: Joi.string().required()
+});
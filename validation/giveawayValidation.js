@@ -0,0 +1,31 @@
+// validation/giveawayValidation.js
+import Joi from 'joi';
+
+// Validation schema for joining the claim queue of a giveaway
+export const joinClaimQueueSchema = Joi.object({
+  note: Joi.string()
+    .trim()
+    .max(200)
+    .optional()
+    .messages({
+      'string.max': 'Note cannot exceed 200 characters'
+    })
+});
+
+// Validation schema for picking a giveaway recipient
+// Either a specific claim or a strategy for the system to pick one
+export const pickRecipientSchema = Joi.object({
+  claim_id: Joi.string()
+    .messages({
+      'string.empty': 'Claim ID cannot be empty'
+    }),
+
+  strategy: Joi.string()
+    .valid('earliest', 'highest_badge')
+    .messages({
+      'any.only': 'Strategy must be one of: earliest, highest_badge'
+    })
+}).oxor('claim_id', 'strategy')
+  .messages({
+    'object.oxor': 'Provide either a claim ID or a strategy, not both'
+  });
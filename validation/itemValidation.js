@@ -1,5 +1,13 @@
 // validation/itemValidation.js
 import Joi from 'joi';
+import { LISTING_TYPES, MAX_NEARBY_RADIUS_KM } from '../utils/helpers.js';
+import { BADGE_THRESHOLDS } from '../utils/badgeSystem.js';
+import { cursorSchema } from './validationMiddleware.js';
+
+const ITEM_SORTS = ['relevance', 'newest', 'oldest', 'title', 'condition', 'most_requested'];
+
+// Sorts by posted_at, which cursors can follow
+const CURSOR_SORTS = ['newest', 'oldest'];
 
 // Validation schema for creating a new item
 export const createItemSchema = Joi.object({
@@ -47,6 +55,13 @@ export const createItemSchema = Joi.object({
       'any.required': 'Condition is required'
     }),
 
+  listing_type: Joi.string()
+    .valid(...LISTING_TYPES)
+    .default('SWAP')
+    .messages({
+      'any.only': `Listing type must be one of: ${LISTING_TYPES.join(', ')}`
+    }),
+
   phone_number: Joi.string()
     .trim()
     .pattern(/^[\+]?[0-9\s\-\(\)]{10,15}$/)
@@ -124,6 +139,13 @@ export const updateItemSchema = Joi.object({
       'any.only': 'Condition must be one of: NEW, GOOD, FAIR, POOR'
     }),
 
+  listing_type: Joi.string()
+    .valid(...LISTING_TYPES)
+    .optional()
+    .messages({
+      'any.only': `Listing type must be one of: ${LISTING_TYPES.join(', ')}`
+    }),
+
   phone_number: Joi.string()
     .trim()
     .pattern(/^[\+]?[0-9\s\-\(\)]{10,15}$/)
@@ -195,14 +217,95 @@ export const updateItemStatusSchema = Joi.object({
 export const itemQuerySchema = Joi.object({
   category: Joi.string().trim().optional(),
   condition: Joi.string().valid('NEW', 'GOOD', 'FAIR', 'POOR').optional(),
+  listing_type: Joi.string().valid(...LISTING_TYPES).optional(),
+  owner_badge: Joi.string()
+    .valid(...Object.keys(BADGE_THRESHOLDS))
+    .optional()
+    .messages({
+      'any.only': `Owner badge must be one of: ${Object.keys(BADGE_THRESHOLDS).join(', ')}`
+    }),
+  posted_since: Joi.date()
+    .iso()
+    .max('now')
+    .optional()
+    .messages({
+      'date.max': 'posted_since cannot be in the future'
+    }),
   latitude: Joi.number().min(-90).max(90).optional(),
   longitude: Joi.number().min(-180).max(180).optional(),
   search: Joi.string().trim().min(1).max(100).optional(),
-  page: Joi.number().integer().min(1).default(1),
+  // Defaults to relevance for keyword searches, newest otherwise
+  sort: Joi.string()
+    .valid(...ITEM_SORTS)
+    .optional()
+    .messages({
+      'any.only': `Sort must be one of: ${ITEM_SORTS.join(', ')}`
+    })
+    .when('search', {
+      not: Joi.exist(),
+      then: Joi.invalid('relevance').messages({
+        'any.only': `Sort must be one of: ${ITEM_SORTS.slice(1).join(', ')} (relevance requires a search)`
+      })
+    }),
+  // Cursor of the previous page (meta.nextCursor); replaces page
+  cursor: cursorSchema
+    .optional()
+    .when('sort', {
+      is: Joi.exist(),
+      then: Joi.when('sort', { not: Joi.valid(...CURSOR_SORTS), then: Joi.forbidden() }),
+      otherwise: Joi.when('search', { is: Joi.exist(), then: Joi.forbidden() })
+    })
+    .messages({
+      'any.unknown': `Cursors can only be used with sort: ${CURSOR_SORTS.join(', ')}`
+    }),
+  // Joi.when so that cursor pages do not get the default page either
+  page: Joi.when('cursor', {
+    is: Joi.exist(),
+    then: Joi.forbidden().messages({
+      'any.unknown': 'Use either page or cursor, not both'
+    }),
+    otherwise: Joi.number().integer().min(1).default(1)
+  }),
   limit: Joi.number().integer().min(1).max(100).default(20),
   exclude_user: Joi.string().optional()
 });
 
+// Validation schema for nearby item query parameters
+export const nearbyItemsQuerySchema = Joi.object({
+  lat: Joi.number()
+    .min(-90)
+    .max(90)
+    .required()
+    .messages({
+      'number.min': 'Latitude must be between -90 and 90',
+      'number.max': 'Latitude must be between -90 and 90',
+      'any.required': 'Latitude (lat) is required'
+    }),
+  lng: Joi.number()
+    .min(-180)
+    .max(180)
+    .required()
+    .messages({
+      'number.min': 'Longitude must be between -180 and 180',
+      'number.max': 'Longitude must be between -180 and 180',
+      'any.required': 'Longitude (lng) is required'
+    }),
+  radiusKm: Joi.number()
+    .greater(0)
+    .max(MAX_NEARBY_RADIUS_KM)
+    .default(10)
+    .messages({
+      'number.greater': 'Radius must be greater than 0',
+      'number.max': `Radius cannot exceed ${MAX_NEARBY_RADIUS_KM} km`
+    }),
+  category: Joi.string().trim().optional(),
+  condition: Joi.string().valid('NEW', 'GOOD', 'FAIR', 'POOR').optional(),
+  listing_type: Joi.string().valid(...LISTING_TYPES).optional(),
+  search: Joi.string().trim().min(1).max(100).optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
 // Validation schema for item ID parameter
 export const itemParamsSchema = Joi.object({
   itemId: Joi.string()
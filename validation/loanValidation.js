@@ -0,0 +1,70 @@
+// validation/loanValidation.js
+import Joi from 'joi';
+import { MAX_LOAN_DAYS } from '../utils/helpers.js';
+
+const LOAN_STATUSES = ['REQUESTED', 'APPROVED', 'ACTIVE', 'OVERDUE', 'RETURNED', 'REJECTED', 'CANCELLED', 'EXPIRED'];
+
+// Ensure the loan period is not longer than MAX_LOAN_DAYS
+const maxLoanPeriod = (value, helpers) => {
+  const days = (new Date(value.ends_at) - new Date(value.starts_at)) / (24 * 60 * 60 * 1000);
+  if (days > MAX_LOAN_DAYS) {
+    return helpers.error('loan.tooLong');
+  }
+  return value;
+};
+
+// Validation schema for requesting a loan
+export const createLoanSchema = Joi.object({
+  item_id: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Item ID is required',
+      'any.required': 'Item ID is required'
+    }),
+
+  starts_at: Joi.date()
+    .iso()
+    .required()
+    .messages({
+      'any.required': 'Loan start date is required'
+    }),
+
+  ends_at: Joi.date()
+    .iso()
+    .greater(Joi.ref('starts_at'))
+    .min('now')
+    .required()
+    .messages({
+      'date.greater': 'Loan end date must be after the start date',
+      'date.min': 'Loan end date must be in the future',
+      'any.required': 'Loan end date is required'
+    }),
+
+  message: Joi.string()
+    .trim()
+    .max(500)
+    .optional()
+    .messages({
+      'string.max': 'Message cannot exceed 500 characters'
+    })
+}).custom(maxLoanPeriod)
+  .messages({
+    'loan.tooLong': `Items cannot be borrowed for more than ${MAX_LOAN_DAYS} days`
+  });
+
+// Schema for user loans query parameters
+export const userLoansQuerySchema = Joi.object({
+  role: Joi.string()
+    .valid('lender', 'borrower', 'all')
+    .default('all')
+    .messages({
+      'any.only': 'Role must be one of: lender, borrower, all'
+    }),
+
+  status: Joi.string()
+    .valid(...LOAN_STATUSES)
+    .optional()
+    .messages({
+      'any.only': `Status must be one of: ${LOAN_STATUSES.join(', ')}`
+    })
+});
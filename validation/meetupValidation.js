@@ -0,0 +1,87 @@
+// validation/meetupValidation.js
+import Joi from 'joi';
+
+// Validation schema for proposing a meetup
+export const proposeMeetupSchema = Joi.object({
+  location_label: Joi.string()
+    .trim()
+    .min(2)
+    .max(200)
+    .required()
+    .messages({
+      'string.empty': 'Meetup location is required',
+      'string.max': 'Meetup location cannot exceed 200 characters',
+      'any.required': 'Meetup location is required'
+    }),
+
+  latitude: Joi.number()
+    .min(-90)
+    .max(90)
+    .required()
+    .messages({
+      'number.min': 'Latitude must be between -90 and 90',
+      'number.max': 'Latitude must be between -90 and 90',
+      'any.required': 'Latitude is required'
+    }),
+
+  longitude: Joi.number()
+    .min(-180)
+    .max(180)
+    .required()
+    .messages({
+      'number.min': 'Longitude must be between -180 and 180',
+      'number.max': 'Longitude must be between -180 and 180',
+      'any.required': 'Longitude is required'
+    }),
+
+  note: Joi.string()
+    .trim()
+    .max(500)
+    .optional()
+    .messages({
+      'string.max': 'Note cannot exceed 500 characters'
+    }),
+
+  slots: Joi.array()
+    .items(Joi.object({
+      starts_at: Joi.date()
+        .iso()
+        .greater('now')
+        .required()
+        .messages({
+          'date.greater': 'Meetup slots must be in the future',
+          'any.required': 'Slot start time is required'
+        }),
+      ends_at: Joi.date()
+        .iso()
+        .greater(Joi.ref('starts_at'))
+        .optional()
+        .messages({
+          'date.greater': 'Slot end time must be after its start time'
+        })
+    }))
+    .min(1)
+    .max(5)
+    .required()
+    .messages({
+      'array.min': 'At least one time slot is required',
+      'array.max': 'Cannot propose more than 5 time slots',
+      'any.required': 'At least one time slot is required'
+    })
+});
+
+// Validation schema for accepting a meetup slot
+export const acceptMeetupSchema = Joi.object({
+  slot_id: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Slot ID is required',
+      'any.required': 'Slot ID is required'
+    })
+});
+
+// Validation schema for meetup route parameters
+export const meetupParamsSchema = Joi.object({
+  tradeId: Joi.string().required(),
+  meetupId: Joi.string().required()
+});
@@ -0,0 +1,16 @@
+// validation/messageValidation.js
+import Joi from 'joi';
+
+// Validation schema for posting a trade message
+export const sendMessageSchema = Joi.object({
+  body: Joi.string()
+    .trim()
+    .min(1)
+    .max(1000)
+    .required()
+    .messages({
+      'string.empty': 'Message cannot be empty',
+      'string.max': 'Message cannot exceed 1000 characters',
+      'any.required': 'Message body is required'
+    })
+});
@@ -15,6 +15,12 @@ export const createRatingSchema = Joi.object({
     .messages({
       'string.empty': 'Trade ID must be a valid string if provided'
     }),
+
+  loan_id: Joi.string()
+    .optional()
+    .messages({
+      'string.empty': 'Loan ID must be a valid string if provided'
+    }),
   
   rating: Joi.number()
     .integer()
@@ -36,11 +42,16 @@ export const createRatingSchema = Joi.object({
     .messages({
       'string.max': 'Review cannot exceed 500 characters'
     })
-}).custom((value, helpers) => {
-  // Add custom validation to prevent self-rating
-  // This will be handled in the service layer with user context
-  return value;
-});
+}).xor('trade_id', 'loan_id')
+  .custom((value, helpers) => {
+    // Add custom validation to prevent self-rating
+    // This will be handled in the service layer with user context
+    return value;
+  })
+  .messages({
+    'object.missing': 'A trade ID or loan ID is required',
+    'object.xor': 'Rate either a trade or a loan, not both'
+  });
 
 // Validation schema for updating a rating
 export const updateRatingSchema = Joi.object({
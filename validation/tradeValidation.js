@@ -1,21 +1,57 @@
 // validation/tradeValidation.js
 import Joi from 'joi';
+import { MAX_BUNDLE_ITEMS } from '../utils/helpers.js';
+import { cursorPaginationSchema } from './validationMiddleware.js';
 
-// Validation schema for creating a trade request
-export const createTradeRequestSchema = Joi.object({
+// Item keys for each side of a trade request or counter-offer
+// Each side takes either a single item ID or a bundle of item IDs
+const bundleItemKeys = {
   requested_item_id: Joi.string()
-    .required()
     .messages({
-      'string.empty': 'Requested item ID is required',
-      'any.required': 'Requested item ID is required'
+      'string.empty': 'Requested item ID is required'
+    }),
+
+  requested_item_ids: Joi.array()
+    .items(Joi.string())
+    .min(1)
+    .max(MAX_BUNDLE_ITEMS)
+    .unique()
+    .messages({
+      'array.min': 'At least one requested item is required',
+      'array.max': `Cannot request more than ${MAX_BUNDLE_ITEMS} items`,
+      'array.unique': 'Requested items must not contain duplicates'
     }),
   
   offered_item_id: Joi.string()
-    .required()
     .messages({
-      'string.empty': 'Offered item ID is required',
-      'any.required': 'Offered item ID is required'
+      'string.empty': 'Offered item ID is required'
     }),
+
+  offered_item_ids: Joi.array()
+    .items(Joi.string())
+    .min(1)
+    .max(MAX_BUNDLE_ITEMS)
+    .unique()
+    .messages({
+      'array.min': 'At least one offered item is required',
+      'array.max': `Cannot offer more than ${MAX_BUNDLE_ITEMS} items`,
+      'array.unique': 'Offered items must not contain duplicates'
+    })
+};
+
+// Ensure no item appears on both sides of the trade
+const noSharedItems = (value, helpers) => {
+  const requested = value.requested_item_ids || [value.requested_item_id];
+  const offered = value.offered_item_ids || [value.offered_item_id];
+  if (requested.some(id => id && offered.includes(id))) {
+    return helpers.error('trade.sameItem');
+  }
+  return value;
+};
+
+// Validation schema for creating a trade request
+export const createTradeRequestSchema = Joi.object({
+  ...bundleItemKeys,
   
   message: Joi.string()
     .trim()
@@ -24,15 +60,36 @@ export const createTradeRequestSchema = Joi.object({
     .messages({
       'string.max': 'Message cannot exceed 500 characters'
     })
-}).custom((value, helpers) => {
-  // Ensure user is not trading with themselves
-  if (value.requested_item_id === value.offered_item_id) {
-    return helpers.error('trade.sameItem');
-  }
-  return value;
-}).messages({
-  'trade.sameItem': 'Cannot trade the same item'
-});
+}).xor('requested_item_id', 'requested_item_ids')
+  .xor('offered_item_id', 'offered_item_ids')
+  .custom(noSharedItems)
+  .messages({
+    'object.missing': 'Requested and offered items are required',
+    'object.xor': 'Provide either a single item ID or a list of item IDs for each side',
+    'trade.sameItem': 'Cannot trade the same item'
+  });
+
+// Validation schema for countering a trade request
+// A side that is left out keeps the items of the offer being countered
+export const counterOfferSchema = Joi.object({
+  ...bundleItemKeys,
+
+  message: Joi.string()
+    .trim()
+    .max(500)
+    .optional()
+    .messages({
+      'string.max': 'Message cannot exceed 500 characters'
+    })
+}).or('requested_item_id', 'requested_item_ids', 'offered_item_id', 'offered_item_ids')
+  .oxor('requested_item_id', 'requested_item_ids')
+  .oxor('offered_item_id', 'offered_item_ids')
+  .custom(noSharedItems)
+  .messages({
+    'object.missing': 'A counter-offer must change the requested or offered items',
+    'object.oxor': 'Provide either a single item ID or a list of item IDs for each side',
+    'trade.sameItem': 'Cannot trade the same item'
+  });
 
 // Validation schema for trade request ID parameter
 export const tradeRequestIdSchema = Joi.object({
@@ -65,14 +122,16 @@ export const updateTradeStatusSchema = Joi.object({
     })
 });
 
-// Validation schema for trade completion
+// Validation schema for trade completion (the handover code shown by the other participant)
 export const completeTradeSchema = Joi.object({
-  confirmation: Joi.boolean()
-    .truthy()
+  handover_code: Joi.string()
+    .trim()
+    .pattern(/^\d{6}$/)
     .required()
     .messages({
-      'any.required': 'Confirmation is required',
-      'boolean.base': 'Confirmation must be true'
+      'string.pattern.base': 'Handover code must be 6 digits',
+      'string.empty': 'Handover code is required',
+      'any.required': 'Handover code is required'
     })
 });
 
@@ -105,3 +164,29 @@ export const userTradesQuerySchema = Joi.object({
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(20)
 });
+
+// Schema for received trade requests query parameters
+export const receivedRequestsQuerySchema = cursorPaginationSchema.keys({
+  sort: Joi.string()
+    .valid('newest', 'match_likelihood')
+    .default('newest')
+    .messages({
+      'any.only': 'Sort must be one of: newest, match_likelihood'
+    }),
+
+  // Pages follow requested_at, so match_likelihood ranks the most recent pending requests in one go
+  cursor: cursorPaginationSchema.extract('cursor')
+    .when('sort', { is: 'match_likelihood', then: Joi.forbidden() })
+    .messages({
+      'any.unknown': 'Pagination is only available for sort: newest'
+    }),
+
+  // Joi.when so that match_likelihood does not get the default limit either
+  limit: Joi.when('sort', {
+    is: 'match_likelihood',
+    then: Joi.forbidden().messages({
+      'any.unknown': 'Pagination is only available for sort: newest'
+    }),
+    otherwise: cursorPaginationSchema.extract('limit')
+  })
+});
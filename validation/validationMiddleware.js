@@ -7,6 +7,7 @@ import {
   ERROR_MESSAGES,
   SUCCESS_MESSAGES 
 } from '../utils/responses.js';
+import { decodeCursor, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } from '../utils/pagination.js';
 
 /**
  * Validation middleware factory
@@ -108,7 +109,8 @@ export const validateQuery = (schema) => {
       return res.status(400).json(createValidationErrorResponse(validationErrors, 'Invalid query parameters'));
     }
 
-    req.query = value;
+    // Express 5 exposes req.query through a getter, so it cannot be assigned directly
+    Object.defineProperty(req, 'query', { value, writable: true, configurable: true, enumerable: true });
     next();
   };
 };
@@ -221,6 +223,19 @@ export const paginationSchema = Joi.object({
   limit: Joi.number().integer().min(1).max(100).default(10)
 });
 
+// Opaque feed cursor (meta.nextCursor of the previous page), decoded for the services
+export const cursorSchema = Joi.string()
+  .custom((value, helpers) => decodeCursor(value) || helpers.error('cursor.invalid'))
+  .messages({
+    'cursor.invalid': 'Invalid cursor'
+  });
+
+// Cursor pagination of feeds; every page is limited, the first one included
+export const cursorPaginationSchema = Joi.object({
+  cursor: cursorSchema.optional(),
+  limit: Joi.number().integer().min(1).max(MAX_PAGE_SIZE).default(DEFAULT_PAGE_SIZE)
+});
+
 export const idParamSchema = Joi.object({
   requestId: Joi.string().required()
 });
@@ -229,6 +244,18 @@ export const tradeIdParamSchema = Joi.object({
   tradeId: Joi.string().required()
 });
 
+export const cycleIdParamSchema = Joi.object({
+  cycleId: Joi.string().required()
+});
+
+export const loanIdParamSchema = Joi.object({
+  loanId: Joi.string().required()
+});
+
+export const wantedIdParamSchema = Joi.object({
+  wantedId: Joi.string().required()
+});
+
 export const userIdParamSchema = Joi.object({
   userId: Joi.string().required()
 });
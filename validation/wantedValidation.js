@@ -0,0 +1,98 @@
+// validation/wantedValidation.js
+import Joi from 'joi';
+import { ITEM_CONDITIONS, MAX_NEARBY_RADIUS_KM } from '../utils/helpers.js';
+import { cursorPaginationSchema } from './validationMiddleware.js';
+
+// Most keywords on one wanted item
+const MAX_WANTED_KEYWORDS = 10;
+
+// Keywords are single words so they can be matched against the item full-text index
+const keywordSchema = Joi.string()
+  .trim()
+  .lowercase()
+  .pattern(/^[\p{L}\p{N}]{2,30}$/u)
+  .messages({
+    'string.pattern.base': 'Keywords must be single words of 2-30 letters or digits'
+  });
+
+const wantedFields = {
+  title: Joi.string()
+    .trim()
+    .min(3)
+    .max(100)
+    .messages({
+      'string.empty': 'Title is required',
+      'string.min': 'Title must be at least 3 characters long',
+      'string.max': 'Title cannot exceed 100 characters',
+      'any.required': 'Title is required'
+    }),
+
+  description: Joi.string()
+    .trim()
+    .max(1000)
+    .allow(null)
+    .messages({
+      'string.max': 'Description cannot exceed 1000 characters'
+    }),
+
+  keywords: Joi.array()
+    .items(keywordSchema)
+    .min(1)
+    .max(MAX_WANTED_KEYWORDS)
+    .unique()
+    .messages({
+      'array.min': 'At least one keyword is required',
+      'array.max': `A wanted item can have at most ${MAX_WANTED_KEYWORDS} keywords`,
+      'array.unique': 'Keywords must be unique',
+      'any.required': 'At least one keyword is required'
+    }),
+
+  category: Joi.string()
+    .trim()
+    .min(2)
+    .max(50)
+    .allow(null)
+    .messages({
+      'string.min': 'Category must be at least 2 characters long',
+      'string.max': 'Category cannot exceed 50 characters'
+    }),
+
+  min_condition: Joi.string()
+    .valid(...ITEM_CONDITIONS)
+    .allow(null)
+    .messages({
+      'any.only': `Minimum condition must be one of: ${ITEM_CONDITIONS.join(', ')}`
+    }),
+
+  max_distance_km: Joi.number()
+    .greater(0)
+    .max(MAX_NEARBY_RADIUS_KM)
+    .allow(null)
+    .messages({
+      'number.greater': 'Maximum distance must be greater than 0',
+      'number.max': `Maximum distance cannot exceed ${MAX_NEARBY_RADIUS_KM} km`
+    }),
+
+  is_public: Joi.boolean()
+};
+
+// Validation schema for adding a wanted item
+export const createWantedSchema = Joi.object({
+  ...wantedFields,
+  title: wantedFields.title.required(),
+  keywords: wantedFields.keywords.required(),
+  is_public: wantedFields.is_public.default(true)
+});
+
+// Validation schema for updating a wanted item; null clears an optional criterion
+export const updateWantedSchema = Joi.object(wantedFields)
+  .min(1)
+  .messages({
+    'object.min': 'At least one field must be provided for update'
+  });
+
+// Schema for browsing public wanted posts (newest first)
+export const wantedQuerySchema = cursorPaginationSchema.keys({
+  category: Joi.string().trim().optional(),
+  keyword: keywordSchema.optional()
+});